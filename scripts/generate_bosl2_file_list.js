@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { contentHash } from '../src/services/KnowledgeManifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,7 +42,10 @@ try {
 
     console.log(`Found ${relativeFiles.length} files.`);
 
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(relativeFiles, null, 2));
+    // The app names its library cache after this, so changed files are fetched again
+    const version = contentHash(relativeFiles.map(file => `${file}\n${fs.readFileSync(path.join(BOSL2_DIR, file), 'utf8')}`).join('\n'));
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ version, files: relativeFiles }, null, 2));
     console.log(`Successfully wrote file list to ${OUTPUT_FILE}`);
 
 } catch (e) {
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { splitMarkdown } from '../src/services/Chunker.js';
+import { buildManifest } from '../src/services/KnowledgeManifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,23 +30,12 @@ async function getEmbedding(text) {
     }
 }
 
+// Heading-aware chunks that keep code blocks whole, shared with the app's RAGService
 function chunkMarkdown(text, source) {
-    const chunks = [];
-    // Split by Section headers
-    const sections = text.split(/^###?\s+/m);
-
-    for (let section of sections) {
-        if (!section.trim()) continue;
-
-        // Truncate/Chunk if too long
-        if (section.length > 1500) {
-            const parts = section.match(/[\s\S]{1,1500}/g) || [];
-            parts.forEach(p => chunks.push({ content: p, metadata: { source } }));
-        } else {
-            chunks.push({ content: section, metadata: { source } });
-        }
-    }
-    return chunks;
+    return splitMarkdown(text, source).map(({ text: content, headings, symbols }) => ({
+        content,
+        metadata: { source, headings, symbols }
+    }));
 }
 
 async function index() {
@@ -77,7 +68,9 @@ async function index() {
     }
 
     console.log(`--- Saving ${allKnowledge.length} chunks to ${OUTPUT_FILE} ---`);
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(allKnowledge, null, 2));
+    // Versioned manifest with per-chunk hashes, so the app syncs only what changed
+    const manifest = buildManifest(allKnowledge, EMBED_MODEL);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(manifest, null, 2));
     console.log('Success!');
 }
 
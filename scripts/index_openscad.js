@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { splitMarkdown, splitScad } from '../src/services/Chunker.js';
+import { buildManifest } from '../src/services/KnowledgeManifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -60,23 +62,12 @@ function determineTechnique(filePath, content) {
     return keywords[0] || 'general';
 }
 
+// Heading-aware chunks that keep code blocks whole, shared with the app's RAGService
 function chunkMarkdown(text, source) {
-    const chunks = [];
-    // Split by Section headers (## or ###)
-    const sections = text.split(/^#{2,3}\s+/m);
-
-    for (let section of sections) {
-        if (!section.trim()) continue;
-
-        // Truncate/Chunk if too long
-        if (section.length > 1500) {
-            const parts = section.match(/[\s\S]{1,1500}/g) || [];
-            parts.forEach(p => chunks.push({ content: p, metadata: { source } }));
-        } else {
-            chunks.push({ content: section, metadata: { source } });
-        }
-    }
-    return chunks;
+    return splitMarkdown(text, source).map(({ text: content, headings, symbols }) => ({
+        content,
+        metadata: { source, headings, symbols }
+    }));
 }
 
 async function processMarkdownFiles() {
@@ -161,7 +152,8 @@ async function processExampleFiles() {
                         technique: technique,
                         keywords: keywords,
                         cgal_safe: content.includes('eps ='),
-                        category: category
+                        category: category,
+                        symbols: splitScad(content, file).flatMap(chunk => chunk.symbols)
                     }
                 });
                 console.log(' Done.');
@@ -185,7 +177,9 @@ async function index() {
     const allKnowledge = [...docKnowledge, ...exampleKnowledge];
 
     console.log(`\n--- Saving ${allKnowledge.length} chunks to ${OUTPUT_FILE} ---`);
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(allKnowledge, null, 2));
+    // Versioned manifest with per-chunk hashes, so the app syncs only what changed
+    const manifest = buildManifest(allKnowledge, EMBED_MODEL);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(manifest, null, 2));
     console.log('✓ Success!');
     console.log(`\nIndexed:`);
     console.log(`  - ${docKnowledge.length} documentation chunks`);
@@ -1,44 +1,110 @@
 import { geometryValidator } from '../src/services/GeometryValidator.js';
 
+// Each rule gets a case that must report it and one that must not
 const testCases = [
     {
         name: 'Valid code',
-        code: 'cube([10, 10, 10]);'
+        code: 'cube([10, 10, 10]);',
+        expect: [],
+        absent: ['epsilon', 'dimensions', 'booleanDepth', 'resolution', 'dimensionality', 'emptyExtrusion']
     },
     {
-        name: 'Dimensionality mixing (2D + 3D)',
-        code: 'cube([10, 10, 10]); circle(r=5);'
+        name: 'Epsilon: cutter flush with the top face',
+        code: 'difference() { cube(10); translate([0,0,5]) cube([5,5,5]); }',
+        expect: ['epsilon']
     },
     {
-        name: 'Empty extrusion',
-        code: 'linear_extrude(height=10) { ; }'
+        name: 'Epsilon: cutter extended by eps',
+        code: 'eps = 0.01;\ndifference() { cube(10); translate([2,2,-eps]) cube([5,5,10+2*eps]); }',
+        absent: ['epsilon']
+    },
+    {
+        name: 'Epsilon: enclosed void shares no face',
+        code: 'difference() { cube(10); translate([1,1,1]) cube(3); }',
+        absent: ['epsilon']
+    },
+    {
+        name: 'Dimensions: tiny and huge literals',
+        code: 'cube([0.001, 10, 20000]);',
+        expect: ['dimensions']
+    },
+    {
+        name: 'Dimensions: epsilon definition is exempt',
+        code: 'eps = 0.001;\ncube([10, 10, 10]);',
+        absent: ['dimensions']
+    },
+    {
+        name: 'Boolean depth: four nested booleans',
+        code: 'difference() { union() { difference() { union() { cube(); } } } }',
+        expect: ['booleanDepth']
     },
     {
-        name: 'Deep nesting',
-        code: 'difference() { union() { difference() { union() { cube(); } } } }'
+        name: 'Boolean depth: two nested booleans',
+        code: 'difference() { union() { cube(10); sphere(6, $fn=32); } }',
+        absent: ['booleanDepth']
     },
     {
-        name: 'Missing epsilon in difference',
-        code: 'difference() { cube(10); translate([0,0,10]) cube(10); }'
+        name: 'Resolution: cylinder without $fn',
+        code: 'cylinder(h=10, r=5);',
+        expect: ['resolution']
+    },
+    {
+        name: 'Resolution: $fn set at the top level',
+        code: '$fn = 64;\ncylinder(h=10, r=5);',
+        absent: ['resolution']
+    },
+    {
+        name: 'Dimensionality: 2D and 3D at the top level',
+        code: 'cube([10, 10, 10]); square(5);',
+        expect: ['dimensionality']
+    },
+    {
+        name: 'Dimensionality: 2D shape extruded',
+        code: 'cube([10, 10, 10]); linear_extrude(height=2) square(5);',
+        absent: ['dimensionality']
+    },
+    {
+        name: 'Empty extrusion',
+        code: 'linear_extrude(height=10) { ; }',
+        expect: ['emptyExtrusion']
+    },
+    {
+        name: 'Extrusion with a 2D child',
+        code: 'linear_extrude(height=10) square(5);',
+        absent: ['emptyExtrusion']
     }
 ];
 
 console.log('--- Starting GeometryValidator Tests ---\n');
 
+let failures = 0;
+
 testCases.forEach(tc => {
     console.log(`Testing: ${tc.name}`);
     try {
         const result = geometryValidator.validate(tc.code);
-        console.log(`Result: ${result.valid ? 'VALID' : 'INVALID'}`);
-        if (result.warnings.length > 0) {
-            console.log(`Warnings: ${result.warnings.map(w => w.type).join(', ')}`);
+        const issues = [...result.errors, ...result.warnings];
+        const rules = new Set(issues.map(issue => issue.rule));
+        if (issues.length > 0) {
+            console.log(`Issues: ${issues.map(issue => `${issue.rule}/${issue.type} (line ${issue.line})`).join(', ')}`);
         }
-        if (result.errors.length > 0) {
-            console.log(`Errors: ${result.errors.map(e => e.type).join(', ')}`);
+
+        const missing = (tc.expect || []).filter(rule => !rules.has(rule));
+        const unexpected = (tc.absent || []).filter(rule => rules.has(rule));
+        if (missing.length > 0 || unexpected.length > 0) {
+            failures++;
+            if (missing.length > 0) console.log(`FAIL: expected ${missing.join(', ')}`);
+            if (unexpected.length > 0) console.log(`FAIL: did not expect ${unexpected.join(', ')}`);
+        } else {
+            console.log('PASS');
         }
     } catch (error) {
+        failures++;
         console.error(`CRASH: ${error.message}`);
         console.error(error.stack);
     }
     console.log('-------------------\n');
 });
+
+console.log(failures > 0 ? `${failures} of ${testCases.length} cases failed` : `All ${testCases.length} cases passed`);
+process.exitCode = failures > 0 ? 1 : 0;
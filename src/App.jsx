@@ -1,34 +1,83 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import CodeEditor from './components/Editor/CodeEditor';
+import ProblemsPanel from './components/Editor/ProblemsPanel';
+import DocsPanel from './components/Editor/DocsPanel';
+import DiffReview from './components/Editor/DiffReview';
 import ThreeDViewer from './components/Viewer/3DViewer';
 import AdminPanel from './components/Admin/AdminPanel';
+import PassportEditor from './components/Passport/PassportEditor';
+import ProviderSettings from './components/Settings/ProviderSettings';
+import KnowledgeCollections from './components/Settings/KnowledgeCollections';
+import ParameterPanel from './components/Customizer/ParameterPanel';
+import VersionTimeline from './components/Versions/VersionTimeline';
+import VersionDiff from './components/Versions/VersionDiff';
+import MeshReportPanel from './components/Viewer/MeshReportPanel';
+import VisualQATimeline from './components/Chat/VisualQATimeline';
 import { openSCADService } from './services/OpenSCADService';
 import { aiService } from './services/AIService';
 import { localDBService } from './services/LocalDBService';
-import { ragService } from './services/RAGService';
+import { ragService, CORPORA } from './services/RAGService';
 import { imageService } from './services/ImageService';
 import { loggingService } from './services/LoggingService';
+import { exportService } from './services/ExportService';
+import { parameterService } from './services/ParameterService';
+import { versionService } from './services/VersionService';
+import { providerRegistry } from './services/ProviderRegistry';
+import { openSCADParser } from './services/OpenSCADParser';
+import { geometryValidator } from './services/GeometryValidator';
+import { diagnosticsService } from './services/DiagnosticsService';
+import { meshAnalyzer } from './services/MeshAnalyzer';
+import { requirementService } from './services/RequirementService';
 import {
   Send, Box, Code, Settings, MessageSquare,
   PanelLeftClose, PanelLeft, Terminal, Loader2,
   User, History, Download, Plus, Trash2, Database,
-  RefreshCw, Paperclip, X
+  RefreshCw, Paperclip, X, SlidersHorizontal, Square, ChevronDown, GitBranch
 } from 'lucide-react';
 import './App.css';
 import './image-upload-styles.css';
 
+// Validator quick-fix passes per pipeline run before falling back to the LLM
+const MAX_QUICK_FIX_ROUNDS = 2;
+// LLM passes that fix a compiled model whose measurements miss the prompt's numbers
+const MAX_REQUIREMENT_ROUNDS = 1;
+// Visual QA critique -> change request -> fix -> recompile passes (Settings can override)
+const DEFAULT_VISUAL_QA_ROUNDS = 2;
+
+// One corpus of a knowledge sync result, for the settings panel
+function describeSync({ label, status, added, updated, removed, error }) {
+  if (status === 'failed') return `${label}: failed (${error})`;
+  if (!added && !updated && !removed) return `${label}: up to date`;
+  return `${label}: ${added} added, ${updated} updated, ${removed} removed`;
+}
+
 function App() {
   // Model & State
   const [code, setCode] = useState(`// Welcome to AiXopenscad\n// Desgin parametric 3D models with AI\n\nmodule example() {\n  difference() {\n    cube(10, center=true);\n    sphere(r=7);\n  }\n}\n\nexample();`);
   const [sidebarOpen, setSidebarOpen] = useState(true);
-  const [activeTab, setActiveTab] = useState('chat'); // 'chat', 'params', 'debug', 'history'
+  const [activeTab, setActiveTab] = useState('chat'); // 'chat', 'customizer', 'params', 'debug', 'history', 'versions'
   const [isCompiling, setIsCompiling] = useState(false);
-  const [lastOutput, setLastOutput] = useState(null);
+  const [isRendering, setIsRendering] = useState(false); // Any compile running in the worker (manual or pipeline)
+  const [compileProgress, setCompileProgress] = useState('');
+  const [lastOutput, setLastOutput] = useState(null); // STL of the last 3D render
+  const [lastSvg, setLastSvg] = useState(null); // SVG of the last 2D render
+  const [modelDimension, setModelDimension] = useState(null); // '2D' | '3D'
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]); // Structured compiler output of the last compile
+  const [meshReport, setMeshReport] = useState(null); // MeshAnalyzer report of the rendered 3D model
+  const [isAnalyzingMesh, setIsAnalyzingMesh] = useState(false);
+  const [docsSymbol, setDocsSymbol] = useState(null); // Symbol shown in the documentation panel
+  const [pendingSuggestion, setPendingSuggestion] = useState(null); // AI code awaiting review: { code, title }
+  const [versions, setVersions] = useState([]); // Snapshots of the active design, oldest first
+  const [versionComparison, setVersionComparison] = useState(null); // { left, right } of { version, label }
   const [screenshot, setScreenshot] = useState(null);
   const [chatInput, setChatInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [pipelineStatus, setPipelineStatus] = useState('');
   const [pipelineLogs, setPipelineLogs] = useState([]);
+  const [streamingMessage, setStreamingMessage] = useState(null); // Partial LLM output: { text, suggestedCode }
+  const [modelParameters, setModelParameters] = useState([]); // `parameters` from the AI output schema
   const [messages, setMessages] = useState([
     { role: 'ai', content: 'Hello! I am your AI designer. How can I help you today? You can describe a 3D object, or upload a drawing.' }
   ]);
@@ -38,6 +87,9 @@ function App() {
   const [imagePreview, setImagePreview] = useState(null);
   const fileInputRef = useRef(null);
 
+  // Geometric Passport awaiting user review: { prompt, passport, error }
+  const [pendingPassport, setPendingPassport] = useState(null);
+
   // Auth State
   const [isAuthenticated, setIsAuthenticated] = useState(() => {
     return !import.meta.env.VITE_ADMIN_PASSWORD || sessionStorage.getItem('admin_auth') === 'true';
@@ -55,8 +107,18 @@ function App() {
   const [visionProvider, setVisionProvider] = useState(() => localStorage.getItem('visionProvider') || 'ollama');
   const [visionModel, setVisionModel] = useState(() => localStorage.getItem('visionModel') || 'qwen3-vl:32b');
 
-  const [ollamaHost, setOllamaHost] = useState(() => localStorage.getItem('ollamaHost') || 'http://localhost:11434');
+  // Connection settings keyed by provider id, e.g. { ollama: { host }, openai: { baseUrl, apiKey } }
+  const [providerSettings, setProviderSettings] = useState(() => {
+    const saved = localStorage.getItem('providerSettings');
+    if (saved) return JSON.parse(saved);
+    // Earlier versions only stored the Ollama host
+    const ollamaHost = localStorage.getItem('ollamaHost');
+    return ollamaHost ? { ollama: { host: ollamaHost } } : {};
+  });
+  const [isRefreshingModels, setIsRefreshingModels] = useState(false);
   const [isIndexing, setIsIndexing] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null); // { label, phase, done, total }
+  const [syncSummary, setSyncSummary] = useState(null); // { message, error }
 
   const [config, setConfig] = useState(() => {
     const saved = localStorage.getItem('aiConfig');
@@ -70,11 +132,53 @@ function App() {
   const [expandedLogId, setExpandedLogId] = useState(null);
 
   const viewerRef = useRef(null);
+  const editorRef = useRef(null);
   const chatEndRef = useRef(null);
 
+  // Customizer recompilation: debounce slider input and only compile the latest code
+  const compileTimerRef = useRef(null);
+  const compilingRef = useRef(false);
+  const queuedCodeRef = useRef(null);
+  const activeCompilesRef = useRef(0);
+  const renderedCodeRef = useRef(null); // Source of the model currently shown in the preview
+  const activeChatRef = useRef(null); // Latest active chat for async snapshot and pipeline persistence
+  const versionQueueRef = useRef(Promise.resolve()); // Serializes snapshots
+  const customizerSessionRef = useRef(null); // Id shared by the versions of one Customizer session
+  const aiAbortRef = useRef(null); // AbortController of the running LLM request (Stop button)
+  const meshReportRef = useRef(null); // { code, report } - kept for chats created after the analysis finished
+  const meshAnalysisRef = useRef(0); // Id of the latest analysis; older results are dropped
+
+  useEffect(() => {
+    activeChatRef.current = activeChat;
+  }, [activeChat]);
+
+  // Runs before initialization so the first model list uses the saved provider settings
+  useEffect(() => {
+    providerRegistry.configure(providerSettings);
+    aiService.setReasoningProvider(reasoningProvider);
+    aiService.setReasoningModel(reasoningModel);
+    aiService.setVisionProvider(visionProvider);
+    aiService.setVisionModel(visionModel);
+    aiService.setConfig(config);
+    ragService.setEmbeddingProvider(config.embeddingProvider || 'ollama', config.embeddingModel);
+    ragService.setEnabledCorpora(config.ragCorpora);
+    openSCADService.setCompileTimeout((config.compileTimeout || 120) * 1000);
+
+    // Persist settings
+    localStorage.setItem('reasoningProvider', reasoningProvider);
+    localStorage.setItem('reasoningModel', reasoningModel);
+    localStorage.setItem('visionProvider', visionProvider);
+    localStorage.setItem('visionModel', visionModel);
+    localStorage.setItem('aiConfig', JSON.stringify(config));
+    localStorage.setItem('providerSettings', JSON.stringify(providerSettings));
+  }, [reasoningProvider, reasoningModel, visionProvider, visionModel, config, providerSettings]);
+
   // Initialization
   useEffect(() => {
     const init = async () => {
+      // Prepare an OpenSCAD instance with BOSL2 before the first compile
+      openSCADService.warmUp();
+
       // Fetch models
       const models = await aiService.getAvailableModels();
       setAvailableModels(models);
@@ -82,8 +186,8 @@ function App() {
       // Load local design history
       fetchChats();
 
-      // Initialize BOSL2 RAG
-      ragService.loadBOSL2Index().catch(err => console.error("Auto-loading BOSL2 index failed:", err));
+      // Pick up new or changed bundled RAG indexes
+      ragService.syncIndexes().catch(err => console.error("Auto-syncing RAG indexes failed:", err));
     };
     init();
   }, []);
@@ -93,57 +197,170 @@ function App() {
     if (data) setChats(data);
   };
 
-  useEffect(() => {
-    aiService.setReasoningProvider(reasoningProvider);
-    aiService.setReasoningModel(reasoningModel);
-    aiService.setVisionProvider(visionProvider);
-    aiService.setVisionModel(visionModel);
-    aiService.setConfig(config);
-    ragService.setOllamaHost(ollamaHost);
+  const refreshModels = async () => {
+    setIsRefreshingModels(true);
+    try {
+      setAvailableModels(await aiService.getAvailableModels());
+    } finally {
+      setIsRefreshingModels(false);
+    }
+  };
 
-    // Persist settings
-    localStorage.setItem('reasoningProvider', reasoningProvider);
-    localStorage.setItem('reasoningModel', reasoningModel);
-    localStorage.setItem('visionProvider', visionProvider);
-    localStorage.setItem('visionModel', visionModel);
-    localStorage.setItem('aiConfig', JSON.stringify(config));
-    localStorage.setItem('ollamaHost', ollamaHost);
-  }, [reasoningProvider, reasoningModel, visionProvider, visionModel, config, ollamaHost]);
+  const handleProviderSettingChange = (providerId, key, value) => {
+    setProviderSettings(prev => ({ ...prev, [providerId]: { ...prev[providerId], [key]: value } }));
+  };
+
+  // Switching provider selects its first listed model
+  const selectProvider = (providerId, setProvider, setModel) => {
+    setProvider(providerId);
+    const first = availableModels.find(m => m.provider === providerId);
+    const fallback = first?.id || providerRegistry.get(providerId)?.defaultModel;
+    if (fallback) setModel(fallback);
+  };
 
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages, isTyping]);
+  }, [messages, isTyping, pendingPassport]);
+
+  useEffect(() => {
+    if (streamingMessage) chatEndRef.current?.scrollIntoView();
+  }, [streamingMessage]);
+
+  // Leaving the Customizer or switching designs starts a new Customizer session
+  useEffect(() => {
+    customizerSessionRef.current = null;
+  }, [activeTab, activeChat?.id]);
+
+  const svgPreviewUrl = useMemo(
+    () => lastSvg ? URL.createObjectURL(new Blob([lastSvg], { type: 'image/svg+xml' })) : null,
+    [lastSvg]
+  );
+  useEffect(() => () => svgPreviewUrl && URL.revokeObjectURL(svgPreviewUrl), [svgPreviewUrl]);
+
+  // Run a worker task while streaming progress and stderr into the preview header
+  const trackRender = async (task) => {
+    activeCompilesRef.current++;
+    setIsRendering(true);
+    setCompileProgress('Starting...');
+    try {
+      return await task({
+        onProgress: ({ message }) => setCompileProgress(message),
+        onLog: ({ stream, text }) => stream === 'stderr' && setCompileProgress(text)
+      });
+    } finally {
+      activeCompilesRef.current--;
+      if (activeCompilesRef.current === 0) {
+        setIsRendering(false);
+        setCompileProgress('');
+      }
+    }
+  };
+
+  const runCompile = async (source) => {
+    const result = await trackRender(callbacks => openSCADService.compile(source, callbacks));
+    if (result.errorType !== 'CANCELLED') setDiagnostics(result.diagnostics || []);
+    return result;
+  };
+
+  // Parser pre-check: code that doesn't parse goes back to the fixer without a compile
+  const checkSyntax = (source) => {
+    const { hasErrors, diagnostics: problems } = openSCADParser.analyze(source);
+    if (!hasErrors) return null;
+    setDiagnostics(problems);
+    return {
+      error: diagnosticsService.format(problems),
+      errorType: 'SYNTAX_ERROR',
+      logs: problems.map(d => d.raw).join('\n'),
+      diagnostics: problems
+    };
+  };
+
+  // Show a successful render: STL in the 3D viewer, SVG for 2D designs; resolves to the mesh report
+  const showRender = (source, result) => {
+    renderedCodeRef.current = source;
+    setLastOutput(result.stlData);
+    setLastSvg(result.svgData);
+    setModelDimension(result.dimension);
+    return analyzeMesh(source, result.dimension === '3D' ? result.stlData : null);
+  };
+
+  // Printability report of every 3D render, shown under the preview and stored with the chat
+  const analyzeMesh = async (source, stlData) => {
+    const analysisId = ++meshAnalysisRef.current;
+    if (!stlData) {
+      meshReportRef.current = null;
+      setMeshReport(null);
+      setIsAnalyzingMesh(false);
+      return null;
+    }
+    setIsAnalyzingMesh(true);
+    const report = await meshAnalyzer.analyze(stlData);
+    if (analysisId !== meshAnalysisRef.current) return null;
+    setIsAnalyzingMesh(false);
+    meshReportRef.current = report ? { code: source, report } : null;
+    setMeshReport(report);
+    if (report) {
+      loggingService.log('Mesh', 'Analyzed', { printable: report.printable, issues: report.issues, durationMs: report.durationMs });
+      if (activeChatRef.current) await localDBService.updateChat(activeChatRef.current.id, { meshReport: report });
+    }
+    return report;
+  };
+
+  // Streams tokens into the typing bubble; Stop aborts the request through the signal
+  const startAIRequest = () => {
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    return {
+      signal: controller.signal,
+      onStream: ({ text, suggestedCode }) => setStreamingMessage({ text, suggestedCode })
+    };
+  };
+
+  const finishAIRequest = () => {
+    aiAbortRef.current = null;
+    setStreamingMessage(null);
+  };
+
+  const handleStopAI = () => aiAbortRef.current?.abort();
 
   // Chat/Pipeline Logic
-  const runPipeline = async (prompt, initialCode, imageData = null) => {
+  const runPipeline = async (prompt, initialCode, passport = null) => {
     setIsTyping(true);
     setPipelineStatus('Thinking...');
+    const stream = startAIRequest();
 
     let currentPipelineCode = initialCode;
     let finalExplanation = "";
     let attempts = 0;
     const maxAttempts = 3;
+    let quickFixRounds = 0; // Deterministic repairs don't count as attempts
     let compilationSuccess = false;
+    let compilationCancelled = false;
+    let stoppedCode = null; // Partial code left by a stopped request
     let modelMetadata = null;
-
-    try {
-      // 1. Initial Generation
-      const response = await aiService.sendMessage(prompt, {
-        currentCode: initialCode,
-        screenshot,
-        imageData  // Pass uploaded technical drawing
-      });
-
-      currentPipelineCode = response.suggestedCode || currentPipelineCode;
-      finalExplanation = response.text;
-      modelMetadata = response.metadata;
-
-      // 2. Compilation Loop (Self-Healing)
-      while (attempts < maxAttempts && !compilationSuccess) {
-        attempts++;
+    const requirements = requirementService.extract(prompt, passport);
+    let requirementRounds = 0;
+    let requirementCheck = null;
+    let lastGoodRender = null; // { code, result, requirementCheck } of the last successful compile
+    const visualQARounds = []; // Timeline of the visual refinement loop
+
+    // Compile, repairing compile errors and requirement mismatches; returns true when it fell back to lastGoodRender
+    const compileAndRepair = async () => {
+      attempts = 0;
+      compilationSuccess = false;
+      let quickFixed = false; // The code to compile came from a quick fix, not a repair attempt
+      while (attempts < maxAttempts && !compilationSuccess && !stream.signal.aborted) {
+        if (!quickFixed) attempts++;
+        quickFixed = false;
         setPipelineStatus(attempts > 1 ? `Re-fixing (Attempt ${attempts})...` : 'Compiling...');
 
-        const result = await openSCADService.compile(currentPipelineCode);
+        let result = checkSyntax(currentPipelineCode) || await runCompile(currentPipelineCode);
+
+        if (result.errorType === 'CANCELLED') {
+          compilationCancelled = true;
+          finalExplanation += "\n\n(Compilation was cancelled.)";
+          break;
+        }
 
         if (result.error) {
           console.warn(`Pipeline: Compilation attempt ${attempts} failed.`, result.error);
@@ -153,68 +370,208 @@ function App() {
           if (result.validationWarnings && result.validationWarnings.length > 0) {
             console.warn('Validation warnings:', result.validationWarnings);
           }
+        } else {
+          // Compiled: measure the mesh against the numbers in the prompt
+          const report = await showRender(currentPipelineCode, result);
+          requirementCheck = requirementService.check(requirements, report);
+          lastGoodRender = { code: currentPipelineCode, result, requirementCheck };
+          const { mismatches } = requirementCheck;
+          if (mismatches.length === 0 || requirementRounds >= MAX_REQUIREMENT_ROUNDS || attempts >= maxAttempts) {
+            compilationSuccess = true;
+            continue;
+          }
+          requirementRounds++;
+          loggingService.log('Pipeline', 'Requirement Mismatch', { mismatches: mismatches.map(m => m.message) });
+          const mismatchReport = requirementService.format(mismatches);
+          result = { error: mismatchReport, errorType: 'REQUIREMENT_MISMATCH', logs: mismatchReport, diagnostics: [] };
+        }
 
-          setPipelineStatus(`Fixing ${result.errorType || 'error'}...`);
-
-          const fixResponse = await aiService.fixCode(
-            result.errorType || result.error,
-            result.logs,
-            {
-              currentCode: currentPipelineCode,
-              errorType: result.errorType,
-              validationWarnings: result.validationWarnings
-            }
-          );
+        // Validator quick fixes first: no LLM call. Only rules that repair this kind of
+        // error (CGAL/manifold, 2D/3D mixing) may rewrite the code.
+        if (quickFixRounds < MAX_QUICK_FIX_ROUNDS) {
+          const errorCategories = [result.errorType, ...(result.diagnostics || []).map(d => d.category)];
+          const { fixedCode, fixes } = geometryValidator.suggestFixes(currentPipelineCode, errorCategories);
+          if (fixes.length > 0) {
+            quickFixRounds++;
+            quickFixed = true;
+            currentPipelineCode = fixedCode;
+            finalExplanation += `\n\nApplied quick fixes: ${fixes.join('; ')}.`;
+            loggingService.log('Pipeline', 'Quick Fixes Applied', { errorType: result.errorType, fixes });
+            continue;
+          }
+        }
 
-          if (fixResponse.suggestedCode) {
-            currentPipelineCode = fixResponse.suggestedCode;
-          } else {
-            break;
+        setPipelineStatus(`Fixing ${result.errorType || 'error'}...`);
+        setStreamingMessage(null);
+
+        const fixResponse = await aiService.fixCode(
+          result.errorType || result.error,
+          result.logs,
+          {
+            currentCode: currentPipelineCode,
+            errorType: result.errorType,
+            diagnostics: result.diagnostics,
+            validationWarnings: result.validationWarnings,
+            ...stream
           }
+        );
+
+        if (fixResponse.aborted) {
+          // Keep the last code that was compiled; offer the partial fix separately
+          stoppedCode = fixResponse.suggestedCode || null;
+          break;
+        }
+
+        if (fixResponse.suggestedCode) {
+          currentPipelineCode = fixResponse.suggestedCode;
         } else {
-          compilationSuccess = true;
-          setLastOutput(result.stlData);
+          break;
         }
       }
 
-      // 3. Visual Verification
-      if (compilationSuccess && config.enableVisualQA) {
-        setPipelineStatus('Verifying visually...');
-        await new Promise(r => setTimeout(r, 800));
+      // A fix that never compiled falls back to the last version that did
+      if (!compilationSuccess && lastGoodRender && !compilationCancelled && !stream.signal.aborted) {
+        currentPipelineCode = lastGoodRender.code;
+        requirementCheck = lastGoodRender.requirementCheck;
+        compilationSuccess = true;
+        await showRender(currentPipelineCode, lastGoodRender.result);
+        finalExplanation += "\n\n(The last fix did not compile; kept the previous version.)";
+        return true;
+      }
+      return false;
+    };
 
-        if (viewerRef.current) {
-          const newScreenshot = viewerRef.current.captureScreenshot();
-          const visualFeedback = await aiService.analyzeVisuals(newScreenshot, prompt, currentPipelineCode);
+    try {
+      // 1. Initial Generation
+      const response = await aiService.sendMessage(prompt, {
+        currentCode: initialCode,
+        // Only a report of the code the AI is shown
+        meshReport: meshReportRef.current?.code === initialCode ? meshReportRef.current.report : null,
+        screenshot,
+        passport,  // Authoritative geometry extracted from an uploaded drawing
+        ...stream
+      });
+
+      currentPipelineCode = response.suggestedCode || currentPipelineCode;
+      finalExplanation = response.text;
+      modelMetadata = response.metadata;
+      setModelParameters(modelMetadata?.parameters || []);
+      if (response.aborted) stoppedCode = response.suggestedCode || null;
 
-          if (visualFeedback.text.includes('LOOKS GOOD')) {
-            finalExplanation += "\n\n(Visual verification passed!)";
-          } else {
-            finalExplanation += `\n\n(Visual QA noted some issues: ${visualFeedback.text})`;
+      // 2. Compilation Loop (Self-Healing)
+      await compileAndRepair();
+
+      // 3. Visual Verification, refined until it passes or the rounds run out
+      if (compilationSuccess && config.enableVisualQA && !stream.signal.aborted) {
+        const maxRounds = config.visualQARounds ?? DEFAULT_VISUAL_QA_ROUNDS;
+        for (let round = 1; viewerRef.current && !stream.signal.aborted; round++) {
+          setPipelineStatus(round > 1 ? `Verifying visually (round ${round})...` : 'Verifying visually...');
+          setStreamingMessage(null);
+          await new Promise(r => setTimeout(r, 800));
+
+          // Standard views with dimensions instead of whatever angle the user left the camera at
+          const capture = viewerRef.current.captureViews({ section: true });
+          const image = capture ? capture.sheet : viewerRef.current.captureScreenshot();
+          const visualFeedback = await aiService.analyzeVisuals(image, prompt, currentPipelineCode, {
+            views: capture?.views.map(v => v.label),
+            ...stream
+          });
+          const entry = { round, image, critique: visualFeedback.text, code: currentPipelineCode, changeRequest: null, status: 'unresolved' };
+          visualQARounds.push(entry);
+
+          if (visualFeedback.aborted) {
+            entry.status = 'stopped';
+            finalExplanation += "\n\n(Visual verification was stopped.)";
+          } else if (visualFeedback.text.includes('LOOKS GOOD')) {
+            entry.status = 'passed';
+            finalExplanation += round > 1
+              ? `\n\n(Visual verification passed after ${round - 1} refinement round${round > 2 ? 's' : ''}!)`
+              : "\n\n(Visual verification passed!)";
+          } else if (round <= maxRounds) {
+            setPipelineStatus('Planning visual fixes...');
+            const { changeRequest, aborted } = await aiService.toChangeRequest(visualFeedback.text, prompt, stream);
+            // Without a structured request the critique itself is the change list
+            entry.changeRequest = changeRequest || { verdict: 'revise', summary: '', changes: [{ issue: '', change: visualFeedback.text }] };
+
+            if (aborted) {
+              entry.status = 'stopped';
+            } else if (entry.changeRequest.verdict === 'pass') {
+              entry.status = 'passed';
+              finalExplanation += "\n\n(Visual verification passed.)";
+            } else {
+              setPipelineStatus(`Refining (round ${round})...`);
+              setStreamingMessage(null);
+              const fixResponse = await aiService.fixCode('VISUAL_QA', aiService.formatChangeRequest(entry.changeRequest), {
+                currentCode: currentPipelineCode,
+                errorType: 'VISUAL_QA',
+                ...stream
+              });
+              if (fixResponse.aborted) {
+                entry.status = 'stopped';
+              } else if (fixResponse.suggestedCode) {
+                entry.status = 'revised';
+                currentPipelineCode = fixResponse.suggestedCode;
+                const reverted = await compileAndRepair();
+                if (reverted || !compilationSuccess) entry.status = 'failed';
+              }
+            }
           }
+
+          aiService.logVisualQARound(entry);
+          if (entry.status !== 'revised') break;
+        }
+
+        const lastRound = visualQARounds[visualQARounds.length - 1];
+        if (lastRound?.status === 'unresolved') {
+          finalExplanation += `\n\n(Visual QA noted some issues: ${lastRound.critique})`;
         }
-      } else if (!compilationSuccess) {
+        // Stopped or cancelled mid-refinement: the last compiled round is still the answer
+        if (!compilationSuccess && lastGoodRender) {
+          currentPipelineCode = lastGoodRender.code;
+          requirementCheck = lastGoodRender.requirementCheck;
+          compilationSuccess = true;
+          finalExplanation += "\n\n(Refinement did not finish; kept the last version that compiled.)";
+        }
+      } else if (stream.signal.aborted && !compilationSuccess) {
+        // Prefer the partial answer of the stopped request, else the last uncompiled code
+        stoppedCode = stoppedCode || (currentPipelineCode !== initialCode ? currentPipelineCode : null);
+        finalExplanation += stoppedCode
+          ? "\n\n(Stopped. The partial code was kept but has not compiled; review it before applying.)"
+          : "\n\n(Stopped before any code was generated.)";
+      } else if (!compilationSuccess && !compilationCancelled) {
         finalExplanation += "\n\n(Note: I couldn't resolve all compilation errors after several attempts.)";
       }
 
-      // Final Sync
+      if (compilationSuccess && requirementCheck) {
+        const { mismatches, passed } = requirementCheck;
+        if (mismatches.length > 0) {
+          finalExplanation += `\n\n(Requirement check: ${mismatches.map(m => m.message).join(' ')})`;
+        } else if (passed.length > 0) {
+          finalExplanation += `\n\n(Requirement check passed: ${requirementService.describe(passed)}.)`;
+        }
+      }
+
+      // Final Sync: let the user review the change instead of overwriting manual edits
       if (compilationSuccess) {
-        setCode(currentPipelineCode);
+        setPendingSuggestion({ code: currentPipelineCode, title: modelMetadata?.name || 'AI suggestion' });
       }
 
       // Update UI
+      const suggestedCode = stream.signal.aborted && !compilationSuccess ? stoppedCode : currentPipelineCode;
       const aiMsg = {
         role: 'ai',
         content: finalExplanation,
-        suggestedCode: currentPipelineCode,
+        suggestedCode,
         compilationSuccess,
-        metadata: modelMetadata
+        metadata: modelMetadata,
+        visualQA: visualQARounds
       };
 
       setPipelineLogs([...aiService.getLogs()]);
       setMessages(prev => [...prev, aiMsg]);
 
       // PERSISTENCE (Local)
-      let chatId = activeChat?.id;
+      let chatId = activeChatRef.current?.id;
 
       if (!chatId) {
         // Create new chat entry locally
@@ -223,7 +580,9 @@ function App() {
         const { data } = await localDBService.createChat(name, desc);
         if (data) {
           chatId = data.id;
+          activeChatRef.current = data;
           setActiveChat(data);
+          if (meshReportRef.current) await localDBService.updateChat(chatId, { meshReport: meshReportRef.current.report });
         }
       } else if (modelMetadata) {
         // Update chat metadata locally
@@ -235,10 +594,11 @@ function App() {
 
       if (chatId) {
         // Save messages locally
-        await localDBService.saveMessage(chatId, 'user', prompt, { screenshot });
+        await localDBService.saveMessage(chatId, 'user', prompt, { screenshot, passport });
         await localDBService.saveMessage(chatId, 'ai', finalExplanation, {
-          suggestedCode: currentPipelineCode,
-          metadata: modelMetadata
+          suggestedCode,
+          metadata: modelMetadata,
+          visualQA: visualQARounds
         });
         fetchChats();
       }
@@ -247,11 +607,43 @@ function App() {
       console.error("Pipeline Error:", err);
       setMessages(prev => [...prev, { role: 'ai', content: "Sorry, the design pipeline crashed: " + err.message }]);
     } finally {
+      finishAIRequest();
       setIsTyping(false);
       setPipelineStatus('');
     }
   };
 
+  // Vision step: read the uploaded drawing into a Geometric Passport for review
+  const runPassportExtraction = async (prompt, imageData) => {
+    setIsTyping(true);
+    setPipelineStatus('Reading drawing...');
+    const stream = startAIRequest();
+    try {
+      const { passport, error } = await aiService.extractPassport(imageData.data, prompt, stream);
+      setPendingPassport({ prompt, passport, error });
+    } catch (err) {
+      console.error("Passport extraction failed:", err);
+      setPendingPassport({ prompt, passport: null, error: err.message });
+    } finally {
+      finishAIRequest();
+      setIsTyping(false);
+      setPipelineStatus('');
+    }
+  };
+
+  const handleConfirmPassport = async (passport) => {
+    const { prompt } = pendingPassport;
+    setPendingPassport(null);
+    setMessages(prev => [...prev, { role: 'user', content: 'Confirmed Geometric Passport', passport }]);
+    await runPipeline(prompt, code, passport);
+  };
+
+  const handleSkipPassport = async () => {
+    const { prompt } = pendingPassport;
+    setPendingPassport(null);
+    await runPipeline(prompt, code);
+  };
+
   // Image upload handlers
   const handleImageSelect = async (e) => {
     const file = e.target.files?.[0];
@@ -277,7 +669,7 @@ function App() {
   };
 
   const handleSendMessage = async () => {
-    if (!chatInput.trim() || isTyping) return;
+    if (!chatInput.trim() || isTyping || pendingPassport) return;
     const userMsg = chatInput;
     const imageData = uploadedImage;
 
@@ -292,83 +684,210 @@ function App() {
       image: imageData
     }]);
 
-    await runPipeline(userMsg, code, imageData);
+    if (imageData) {
+      await runPassportExtraction(userMsg, imageData);
+    } else {
+      await runPipeline(userMsg, code);
+    }
+  };
+
+  const refreshVersions = async (chatId) => {
+    const { data } = await localDBService.getVersions(chatId);
+    if (activeChatRef.current?.id === chatId) setVersions(data || []);
+  };
+
+  // Snapshot a rendered design of the active chat; Customizer changes in a row share one version
+  const recordVersion = (source, origin, render) => {
+    const chat = activeChatRef.current;
+    if (!chat) return;
+    if (origin !== 'customizer') customizerSessionRef.current = null;
+    else if (!customizerSessionRef.current) customizerSessionRef.current = `customizer-${Date.now()}`;
+    const session = customizerSessionRef.current;
+    const thumbnail = render.dimension === '3D' ? viewerRef.current?.captureThumbnail() : null;
+    versionQueueRef.current = versionQueueRef.current.then(async () => {
+      const { data, skipped } = await versionService.snapshot(chat.id, { code: source, origin, thumbnail, session, ...render });
+      if (data && !skipped) refreshVersions(chat.id);
+    }).catch(err => console.error('Saving version failed:', err));
   };
 
-  const handleGenerate = async () => {
+  const compileCode = async (source, origin = 'compile') => {
+    if (compilingRef.current) {
+      // Only the most recent code matters once the running compile finishes
+      queuedCodeRef.current = { source, origin };
+      return;
+    }
+
+    compilingRef.current = true;
     setIsCompiling(true);
     try {
-      const result = await openSCADService.compile(code);
-      if (result.stlData) {
-        setLastOutput(result.stlData);
+      const result = await runCompile(source);
+      if (!result.error) {
+        showRender(source, result);
       }
       setTimeout(() => {
         if (viewerRef.current) setScreenshot(viewerRef.current.captureScreenshot());
+        if (!result.error) {
+          recordVersion(source, origin, { stlData: result.stlData, svgData: result.svgData, dimension: result.dimension });
+        }
       }, 500);
     } catch (err) {
       console.error("Generation failed:", err);
     } finally {
+      compilingRef.current = false;
       setIsCompiling(false);
     }
+
+    if (queuedCodeRef.current !== null) {
+      const next = queuedCodeRef.current;
+      queuedCodeRef.current = null;
+      await compileCode(next.source, next.origin);
+    }
+  };
+
+  const handleGenerate = () => compileCode(code);
+
+  const handleApplySuggestion = (newCode) => {
+    setPendingSuggestion(null);
+    setCode(newCode);
+    // The pipeline already rendered the suggestion; only partial merges need a new render
+    if (newCode !== renderedCodeRef.current) {
+      compileCode(newCode, 'ai-apply');
+    } else {
+      recordVersion(newCode, 'ai-apply', { stlData: lastOutput, svgData: lastSvg, dimension: modelDimension });
+    }
   };
 
-  const handleDownloadSTL = () => {
-    if (!lastOutput) return;
-    const blob = new Blob([lastOutput], { type: 'application/sla' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    const fileName = activeChat?.name ? `${activeChat.name.replace(/\s+/g, '_')}.stl` : `model_${Date.now()}.stl`;
-    link.href = url;
-    link.download = fileName;
-    link.click();
-    URL.revokeObjectURL(url);
+  // The pipeline previewed the suggestion; show and export the kept code again
+  const handleRejectSuggestion = () => {
+    setPendingSuggestion(null);
+    if (code !== renderedCodeRef.current) compileCode(code);
+  };
+
+  const handleParameterChange = (newCode) => {
+    setCode(newCode);
+    clearTimeout(compileTimerRef.current);
+    compileTimerRef.current = setTimeout(() => compileCode(newCode, 'customizer'), 300);
+  };
+
+  const handleRestoreVersion = (version) => {
+    setVersionComparison(null);
+    setCode(version.code);
+    compileCode(version.code, 'restore');
+  };
+
+  const handleCompareVersions = (left, right) => {
+    const label = (version) => `v${versions.indexOf(version) + 1}`;
+    setVersionComparison({
+      left: { version: left, label: label(left) },
+      right: { version: right, label: label(right) }
+    });
+  };
+
+  const handleExport = async (format) => {
+    setExportMenuOpen(false);
+    const spec = exportService.FORMATS[format];
+    const fileName = exportService.getFileName(activeChat?.name, spec.extension);
+
+    // The preview render already produced STL (3D) or SVG (2D)
+    const rendered = format === 'stl' ? lastOutput : format === 'svg' ? lastSvg : null;
+    if (rendered) {
+      exportService.download(rendered, fileName, spec.mimeType);
+      return;
+    }
+
+    // Export the model shown in the preview, not unrendered edits
+    const source = renderedCodeRef.current ?? code;
+    setExportingFormat(format);
+    try {
+      const result = await trackRender(callbacks => openSCADService.exportModel(source, format, {
+        ...callbacks,
+        name: activeChat?.name || 'Untitled Model',
+        parameters: parameterService.getValues(source)
+      }));
+      if (result.error) {
+        if (result.errorType !== 'CANCELLED') alert(`${spec.label} export failed: ${result.error}`);
+        return;
+      }
+      exportService.download(result.data, fileName, result.mimeType);
+    } finally {
+      setExportingFormat(null);
+    }
   };
 
   const handleSyncRAG = async () => {
     setIsIndexing(true);
+    setSyncSummary(null);
     setPipelineStatus('Syncing Knowledge Base...');
     try {
-      // Force reload by clearing first? 
-      // loadBOSL2Index only loads if empty. 
-      // If user clicks Sync, they probably want to FORCE resync.
-      // So we clear first.
-      await localDBService.clearKnowledge();
-      await ragService.loadBOSL2Index();
-      alert("Synchronized BOSL2 knowledge base!");
+      // Compare every bundled corpus with its index file; user collections are kept
+      const results = await ragService.syncIndexes({ force: true, onProgress: setSyncProgress });
+      setSyncSummary({ message: results.map(describeSync).join(' · '), error: results.some(r => r.status === 'failed') });
     } catch (e) {
       console.error("Sync failed:", e);
-      alert("Failed to sync knowledge: " + e.message);
+      setSyncSummary({ message: `Sync failed: ${e.message}`, error: true });
     } finally {
       setIsIndexing(false);
+      setSyncProgress(null);
       setPipelineStatus('');
     }
   };
 
   const startNewChat = () => {
     setActiveChat(null);
+    setPendingPassport(null);
     setMessages([{ role: 'ai', content: 'Ready for a new design! What should we create?' }]);
     setCode(`// New Project\n\n`);
     setLastOutput(null);
+    setLastSvg(null);
+    setModelDimension(null);
+    setDiagnostics([]);
+    meshAnalysisRef.current++;
+    meshReportRef.current = null;
+    setMeshReport(null);
+    setIsAnalyzingMesh(false);
+    renderedCodeRef.current = null;
+    activeChatRef.current = null;
+    setVersions([]);
+    setVersionComparison(null);
+    setModelParameters([]);
   };
 
   const loadChat = async (chat) => {
+    activeChatRef.current = chat;
     setActiveChat(chat);
+    meshAnalysisRef.current++;
+    meshReportRef.current = null;
+    setMeshReport(chat.meshReport || null); // Replaced once the loaded code renders
     setActiveTab('chat');
+    setVersionComparison(null);
     setIsTyping(true);
 
+    // Versions include manual edits, so the latest one wins over the last AI suggestion
+    const { data: chatVersions } = await localDBService.getVersions(chat.id);
+    setVersions(chatVersions || []);
+    const latestVersion = chatVersions?.[chatVersions.length - 1];
+
     const { data } = await localDBService.getMessages(chat.id);
     if (data) {
       const formattedMessages = data.map(m => ({
         role: m.role,
         content: m.content,
         suggestedCode: m.metadata?.suggestedCode,
-        screenshot: m.metadata?.screenshot
+        screenshot: m.metadata?.screenshot,
+        passport: m.metadata?.passport,
+        visualQA: m.metadata?.visualQA,
+        metadata: m.metadata?.metadata
       }));
       setMessages(formattedMessages);
 
       // Load last code if present
       const lastAiMsg = [...formattedMessages].reverse().find(m => m.suggestedCode);
-      if (lastAiMsg) setCode(lastAiMsg.suggestedCode);
+      if (lastAiMsg) {
+        setCode(latestVersion?.code ?? lastAiMsg.suggestedCode);
+        setModelParameters(lastAiMsg.metadata?.parameters || []);
+      } else if (latestVersion) {
+        setCode(latestVersion.code);
+      }
     }
     setIsTyping(false);
   };
@@ -439,9 +958,34 @@ function App() {
             <Plus size={20} />
           </button>
 
-          {lastOutput && (
-            <button className="button-outline button-icon-only" onClick={handleDownloadSTL} title="Download STL">
-              <Download size={20} />
+          {(lastOutput || lastSvg) && (
+            <div className="export-menu">
+              <button
+                className="button-outline"
+                onClick={() => setExportMenuOpen(open => !open)}
+                disabled={!!exportingFormat}
+                title={`Export ${modelDimension} model`}
+              >
+                {exportingFormat ? <Loader2 className="animate-spin" size={16} /> : <Download size={16} />}
+                <ChevronDown size={14} />
+              </button>
+              {exportMenuOpen && (
+                <div className="export-dropdown glass">
+                  <div className="export-dropdown-title">{modelDimension} export</div>
+                  {exportService.getFormats(modelDimension).map(f => (
+                    <button key={f.id} className="export-option" onClick={() => handleExport(f.id)}>
+                      <span className="export-option-label">{f.label}</span>
+                      <span className="export-option-desc">{f.description}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {isRendering && (
+            <button className="button-outline" onClick={() => openSCADService.cancel()} title="Cancel rendering">
+              <Square size={14} /> <span>Cancel</span>
             </button>
           )}
 
@@ -460,6 +1004,12 @@ function App() {
             <button className={`tab ${activeTab === 'history' ? 'active' : ''}`} onClick={() => setActiveTab('history')}>
               <History size={18} /><span>History</span>
             </button>
+            <button className={`tab ${activeTab === 'versions' ? 'active' : ''}`} onClick={() => setActiveTab('versions')}>
+              <GitBranch size={18} /><span>Versions</span>
+            </button>
+            <button className={`tab ${activeTab === 'customizer' ? 'active' : ''}`} onClick={() => setActiveTab('customizer')}>
+              <SlidersHorizontal size={18} /><span>Params</span>
+            </button>
             <button className={`tab ${activeTab === 'params' ? 'active' : ''}`} onClick={() => setActiveTab('params')}>
               <Settings size={18} /><span>AI</span>
             </button>
@@ -486,10 +1036,25 @@ function App() {
                         {msg.screenshot && msg.role === 'user' && (
                           <div className="screenshot-preview"><img src={msg.screenshot} alt="Visual Context" /></div>
                         )}
+                        {msg.passport && (
+                          <details className="passport-summary">
+                            <summary>Geometric Passport: {msg.passport.part_name}</summary>
+                            <pre>{JSON.stringify(msg.passport, null, 2)}</pre>
+                          </details>
+                        )}
+                        {msg.visualQA?.length > 0 && (
+                          <VisualQATimeline
+                            rounds={msg.visualQA}
+                            onReviewCode={(round) => setPendingSuggestion({ code: round.code, title: `Visual QA round ${round.round}` })}
+                          />
+                        )}
                         {msg.suggestedCode && (
                           <div className="suggested-code-block">
-                            <button className="button-apply" onClick={() => { setCode(msg.suggestedCode); setTimeout(handleGenerate, 100); }}>
-                              <Code size={14} /><span>Apply Code</span>
+                            <button
+                              className="button-apply"
+                              onClick={() => setPendingSuggestion({ code: msg.suggestedCode, title: msg.metadata?.name || 'AI suggestion' })}
+                            >
+                              <Code size={14} /><span>Review &amp; Apply</span>
                             </button>
                           </div>
                         )}
@@ -498,12 +1063,28 @@ function App() {
                   ))}
                   {isTyping && (
                     <div className="chat-message ai typing">
+                      {(streamingMessage?.text || streamingMessage?.suggestedCode) && (
+                        <div className="message-content streaming">
+                          {streamingMessage.text && <p>{streamingMessage.text}</p>}
+                          {streamingMessage.suggestedCode && (
+                            <pre className="streaming-code"><code>{streamingMessage.suggestedCode}</code></pre>
+                          )}
+                        </div>
+                      )}
                       <div className="typing-indicator-container">
                         <div className="typing-indicator"><span></span><span></span><span></span></div>
                         {pipelineStatus && <span className="pipeline-status-text">{pipelineStatus}</span>}
                       </div>
                     </div>
                   )}
+                  {pendingPassport && (
+                    <PassportEditor
+                      passport={pendingPassport.passport}
+                      extractionError={pendingPassport.error}
+                      onConfirm={handleConfirmPassport}
+                      onSkip={handleSkipPassport}
+                    />
+                  )}
                   <div ref={chatEndRef} />
                 </div>
                 <div className="chat-input-area">
@@ -527,7 +1108,7 @@ function App() {
                       className="image-upload-btn"
                       onClick={() => fileInputRef.current?.click()}
                       title="Upload technical drawing"
-                      disabled={isTyping}
+                      disabled={isTyping || !!pendingPassport}
                     >
                       <Paperclip size={18} />
                     </button>
@@ -538,9 +1119,15 @@ function App() {
                       onChange={(e) => setChatInput(e.target.value)}
                       onKeyDown={(e) => e.key === 'Enter' && !e.shiftKey && (e.preventDefault(), handleSendMessage())}
                     />
-                    <button className="chat-send-btn" onClick={handleSendMessage} disabled={isTyping || !chatInput.trim()}>
-                      {isTyping ? <Loader2 className="animate-spin" size={18} /> : <Send size={18} />}
-                    </button>
+                    {isTyping ? (
+                      <button className="chat-send-btn stop" onClick={handleStopAI} title="Stop generating">
+                        <Square size={18} />
+                      </button>
+                    ) : (
+                      <button className="chat-send-btn" onClick={handleSendMessage} disabled={!!pendingPassport || !chatInput.trim()}>
+                        <Send size={18} />
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -568,6 +1155,19 @@ function App() {
               </div>
             )}
 
+            {activeTab === 'versions' && (
+              <VersionTimeline
+                versions={versions}
+                currentCode={code}
+                onRestore={handleRestoreVersion}
+                onCompare={handleCompareVersions}
+              />
+            )}
+
+            {activeTab === 'customizer' && (
+              <ParameterPanel code={code} aiParameters={modelParameters} onChange={handleParameterChange} />
+            )}
+
             {activeTab === 'params' && (
               <div className="sidebar-params">
                 {/* Generation / Reasoning Section */}
@@ -575,15 +1175,13 @@ function App() {
                 <div className="params-group">
                   <label className="params-label">Provider</label>
                   <div className="provider-toggle">
-                    <button className={reasoningProvider === 'ollama' ? 'active' : ''} onClick={() => {
-                      setReasoningProvider('ollama');
-                      const first = availableModels.find(m => m.provider === 'ollama');
-                      if (first) setReasoningModel(first.id);
-                    }}>Ollama</button>
-                    <button className={reasoningProvider === 'gemini' ? 'active' : ''} onClick={() => {
-                      setReasoningProvider('gemini');
-                      setReasoningModel('gemini-2.0-flash');
-                    }}>Gemini</button>
+                    {providerRegistry.list('json').map(provider => (
+                      <button
+                        key={provider.id}
+                        className={reasoningProvider === provider.id ? 'active' : ''}
+                        onClick={() => selectProvider(provider.id, setReasoningProvider, setReasoningModel)}
+                      >{provider.label}</button>
+                    ))}
                   </div>
                 </div>
                 <div className="params-group">
@@ -602,15 +1200,13 @@ function App() {
                 <div className="params-group">
                   <label className="params-label">Provider</label>
                   <div className="provider-toggle">
-                    <button className={visionProvider === 'ollama' ? 'active' : ''} onClick={() => {
-                      setVisionProvider('ollama');
-                      const first = availableModels.find(m => m.provider === 'ollama');
-                      if (first) setVisionModel(first.id);
-                    }}>Ollama</button>
-                    <button className={visionProvider === 'gemini' ? 'active' : ''} onClick={() => {
-                      setVisionProvider('gemini');
-                      setVisionModel('gemini-2.0-flash');
-                    }}>Gemini</button>
+                    {providerRegistry.list('vision').map(provider => (
+                      <button
+                        key={provider.id}
+                        className={visionProvider === provider.id ? 'active' : ''}
+                        onClick={() => selectProvider(provider.id, setVisionProvider, setVisionModel)}
+                      >{provider.label}</button>
+                    ))}
                   </div>
                 </div>
                 <div className="params-group">
@@ -621,18 +1217,69 @@ function App() {
                     ))}
                   </select>
                 </div>
+                <div className="params-group checkbox-group">
+                  <label className="checkbox-label">
+                    <input type="checkbox" checked={config.enableVisualQA} onChange={(e) => setConfig({ ...config, enableVisualQA: e.target.checked })} />
+                    <span>Check renders visually</span>
+                  </label>
+                </div>
+                <div className="params-group">
+                  <label className="params-label">Refinement Rounds</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="5"
+                    className="params-input"
+                    value={config.visualQARounds ?? DEFAULT_VISUAL_QA_ROUNDS}
+                    onChange={(e) => setConfig({ ...config, visualQARounds: Math.max(0, Math.min(5, Number(e.target.value))) })}
+                    disabled={!config.enableVisualQA}
+                    title="Critique, fix and re-check passes when visual QA finds problems"
+                  />
+                </div>
+
+                <div className="params-divider" />
+
+                <ProviderSettings
+                  settings={providerSettings}
+                  onChange={handleProviderSettingChange}
+                  onRefreshModels={refreshModels}
+                  isRefreshing={isRefreshingModels}
+                />
+
+                <div className="params-divider" />
+
+                <div className="params-section-title">OpenSCAD Renderer</div>
+                <div className="params-group">
+                  <label className="params-label">Compile Timeout (seconds)</label>
+                  <input
+                    type="number"
+                    min="5"
+                    className="params-input"
+                    value={config.compileTimeout || 120}
+                    onChange={(e) => setConfig({ ...config, compileTimeout: Number(e.target.value) })}
+                  />
+                </div>
 
                 <div className="params-divider" />
 
-                <div className="params-section-title"><Database size={14} style={{ marginRight: 8 }} />RAG Knowledge (BOSL2)</div>
+                <div className="params-section-title"><Database size={14} style={{ marginRight: 8 }} />RAG Knowledge</div>
                 <div className="params-group">
-                  <label className="params-label">Ollama Host (Remote/Local)</label>
+                  <label className="params-label">Embedding Provider</label>
+                  <select
+                    className="params-select"
+                    value={config.embeddingProvider || 'ollama'}
+                    onChange={(e) => setConfig({ ...config, embeddingProvider: e.target.value, embeddingModel: '' })}
+                  >
+                    {providerRegistry.list('embeddings').map(provider => (
+                      <option key={provider.id} value={provider.id}>{provider.label}</option>
+                    ))}
+                  </select>
                   <input
                     type="text"
                     className="params-input"
-                    value={ollamaHost}
-                    onChange={(e) => setOllamaHost(e.target.value)}
-                    placeholder="http://10.x.x.x:11434"
+                    value={config.embeddingModel || ''}
+                    onChange={(e) => setConfig({ ...config, embeddingModel: e.target.value })}
+                    placeholder={providerRegistry.get(config.embeddingProvider || 'ollama')?.defaultEmbeddingModel || 'Embedding model'}
                   />
                 </div>
                 <div className="params-group checkbox-group">
@@ -640,11 +1287,39 @@ function App() {
                     <input type="checkbox" checked={config.enableRAG} onChange={(e) => setConfig({ ...config, enableRAG: e.target.checked })} />
                     <span>Enable RAG</span>
                   </label>
+                  {CORPORA.map(corpus => (
+                    <label key={corpus.id} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={config.ragCorpora?.[corpus.id] !== false}
+                        disabled={!config.enableRAG}
+                        onChange={(e) => setConfig({ ...config, ragCorpora: { ...config.ragCorpora, [corpus.id]: e.target.checked } })}
+                      />
+                      <span>{corpus.label}</span>
+                    </label>
+                  ))}
                 </div>
                 <button className="button-outline w-full" onClick={handleSyncRAG} disabled={isIndexing}>
                   {isIndexing ? <RefreshCw className="animate-spin" size={16} /> : <RefreshCw size={16} />}
                   <span style={{ marginLeft: 8 }}>Sync Knowledge Base</span>
                 </button>
+                {syncProgress && (
+                  <div className="knowledge-progress">
+                    <div className="knowledge-status">
+                      <Loader2 className="animate-spin" size={12} />
+                      {syncProgress.phase === 'download'
+                        ? `Downloading ${syncProgress.label}...`
+                        : `${syncProgress.label}: ${syncProgress.done}/${syncProgress.total} chunks`}
+                    </div>
+                    {syncProgress.total > 0 && (
+                      <div className="knowledge-progress-track">
+                        <div className="knowledge-progress-bar" style={{ width: `${(100 * syncProgress.done) / syncProgress.total}%` }} />
+                      </div>
+                    )}
+                  </div>
+                )}
+                {syncSummary && <div className={`knowledge-status ${syncSummary.error ? 'error' : ''}`}>{syncSummary.message}</div>}
+                <KnowledgeCollections />
               </div>
             )}
 
@@ -684,7 +1359,8 @@ function App() {
                       >
                         <div className="log-time">{new Date(log.timestamp).toLocaleTimeString()}</div>
                         <div className="log-step">{log.step}</div>
-                        <pre className="log-data">{JSON.stringify(log, null, 2)}</pre>
+                        <pre className="log-data">{JSON.stringify(log, (key, value) => (key === 'image' ? undefined : value), 2)}</pre>
+                        {log.image && expandedLogId === i && <img className="log-image" src={log.image} alt={log.step} />}
                       </div>
                     ))
                   }
@@ -701,11 +1377,51 @@ function App() {
         <div className="workspace">
           <div className="pane editor-pane">
             <div className="pane-header"><Code size={16} /><span>Code</span></div>
-            <div className="pane-content"><CodeEditor code={code} onChange={setCode} /></div>
+            <div className="pane-content">
+              {pendingSuggestion ? (
+                <DiffReview
+                  key={pendingSuggestion.code}
+                  original={code}
+                  suggestion={pendingSuggestion.code}
+                  title={pendingSuggestion.title}
+                  onApply={handleApplySuggestion}
+                  onReject={handleRejectSuggestion}
+                />
+              ) : versionComparison ? (
+                <VersionDiff
+                  left={versionComparison.left}
+                  right={versionComparison.right}
+                  onRestore={handleRestoreVersion}
+                  onClose={() => setVersionComparison(null)}
+                />
+              ) : (
+                <CodeEditor
+                  ref={editorRef}
+                  code={code}
+                  onChange={setCode}
+                  diagnostics={diagnostics}
+                  onOpenDocs={setDocsSymbol}
+                />
+              )}
+            </div>
+            <ProblemsPanel
+              diagnostics={diagnostics}
+              onSelect={(problem) => editorRef.current?.revealLine(problem.editorLine, problem.column || 1)}
+            />
+            {docsSymbol && <DocsPanel symbol={docsSymbol} onClose={() => setDocsSymbol(null)} />}
           </div>
           <div className="pane viewer-pane">
-            <div className="pane-header"><Box size={16} /><span>Preview</span></div>
-            <div className="pane-content"><ThreeDViewer ref={viewerRef} stlData={lastOutput} /></div>
+            <div className="pane-header">
+              <Box size={16} /><span>Preview</span>
+              {isRendering && <span className="compile-progress" title={compileProgress}><Loader2 className="animate-spin" size={12} /> {compileProgress}</span>}
+            </div>
+            <div className="pane-content">
+              <ThreeDViewer ref={viewerRef} stlData={lastOutput} />
+              {modelDimension === '2D' && svgPreviewUrl && (
+                <div className="svg-preview"><img src={svgPreviewUrl} alt="2D design preview" /></div>
+              )}
+            </div>
+            <MeshReportPanel report={meshReport} analyzing={isAnalyzingMesh} />
           </div>
         </div>
       </main>
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Code, Eye } from 'lucide-react';
+
+const STATUS_LABELS = {
+    passed: 'Passed',
+    revised: 'Revised',
+    failed: 'Fix did not compile',
+    stopped: 'Stopped',
+    unresolved: 'Issues remain'
+};
+
+/**
+ * Rounds of the visual QA refinement loop attached to an AI message:
+ * the views the vision model saw, its critique, the change request and the code of each round.
+ */
+const VisualQATimeline = ({ rounds = [], onReviewCode }) => {
+    if (rounds.length === 0) return null;
+    const last = rounds[rounds.length - 1];
+
+    return (
+        <details className="visual-qa-timeline">
+            <summary>
+                <Eye size={12} />
+                <span>Visual QA · {rounds.length} round{rounds.length === 1 ? '' : 's'}</span>
+                <span className={`visual-qa-status ${last.status}`}>{STATUS_LABELS[last.status] || last.status}</span>
+            </summary>
+            <ol className="visual-qa-rounds">
+                {rounds.map(round => (
+                    <li key={round.round} className="visual-qa-round">
+                        <div className="visual-qa-round-header">
+                            <strong>Round {round.round}</strong>
+                            <span className={`visual-qa-status ${round.status}`}>{STATUS_LABELS[round.status] || round.status}</span>
+                        </div>
+                        {round.image && <img className="visual-qa-image" src={round.image} alt={`Views checked in round ${round.round}`} />}
+                        <p className="visual-qa-critique">{round.critique}</p>
+                        {round.changeRequest?.changes?.length > 0 && (
+                            <ul className="visual-qa-changes">
+                                {round.changeRequest.changes.map((item, i) => (
+                                    <li key={i}>{item.issue ? <><em>{item.issue}</em> → </> : null}{item.change}</li>
+                                ))}
+                            </ul>
+                        )}
+                        {round.code && (
+                            <button className="button-outline" onClick={() => onReviewCode(round)} title="Review the code this round checked">
+                                <Code size={12} /> Code of round {round.round}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </details>
+    );
+};
+
+export default VisualQATimeline;
@@ -0,0 +1,147 @@
+import React, { useMemo } from 'react';
+import { parameterService } from '../../services/ParameterService';
+import { SlidersHorizontal } from 'lucide-react';
+
+const ParameterControl = ({ param, onChange }) => {
+    switch (param.control) {
+        case 'checkbox':
+            return (
+                <label className="checkbox-label">
+                    <input type="checkbox" checked={param.value} onChange={(e) => onChange(e.target.checked)} />
+                    <span>{param.value ? 'true' : 'false'}</span>
+                </label>
+            );
+        case 'slider':
+            return (
+                <div className="param-slider">
+                    <input
+                        type="range"
+                        min={param.min}
+                        max={param.max}
+                        step={param.step}
+                        value={param.value}
+                        onChange={(e) => onChange(Number(e.target.value))}
+                    />
+                    <input
+                        type="number"
+                        className="params-input param-number"
+                        step={param.step}
+                        value={param.value}
+                        onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+                    />
+                </div>
+            );
+        case 'dropdown':
+            return (
+                <select
+                    className="params-select"
+                    value={String(param.value)}
+                    onChange={(e) => {
+                        const option = param.options.find(o => String(o.value) === e.target.value);
+                        onChange(option ? option.value : e.target.value);
+                    }}
+                >
+                    {param.options.map(o => (
+                        <option key={String(o.value)} value={String(o.value)}>{o.label}</option>
+                    ))}
+                </select>
+            );
+        case 'vector':
+            return (
+                <div className="param-vector">
+                    {param.value.map((v, i) => (
+                        <input
+                            key={i}
+                            type="number"
+                            className="params-input param-number"
+                            min={param.min}
+                            max={param.max}
+                            step={param.step}
+                            value={v}
+                            onChange={(e) => {
+                                if (e.target.value === '') return;
+                                const next = [...param.value];
+                                next[i] = Number(e.target.value);
+                                onChange(next);
+                            }}
+                        />
+                    ))}
+                </div>
+            );
+        case 'number':
+            return (
+                <input
+                    type="number"
+                    className="params-input"
+                    value={param.value}
+                    onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+                />
+            );
+        default:
+            return (
+                <input
+                    type="text"
+                    className="params-input"
+                    value={param.value}
+                    onChange={(e) => onChange(e.target.value)}
+                />
+            );
+    }
+};
+
+const ParameterPanel = ({ code, aiParameters = [], onChange }) => {
+    const params = useMemo(() => parameterService.parse(code), [code]);
+
+    const groups = useMemo(() => {
+        const byGroup = new Map();
+        params.forEach(p => {
+            if (!byGroup.has(p.group)) byGroup.set(p.group, []);
+            byGroup.get(p.group).push(p);
+        });
+        return [...byGroup.entries()];
+    }, [params]);
+
+    // Fall back to the descriptions returned by the AI output schema
+    const aiDescriptions = useMemo(
+        () => Object.fromEntries((aiParameters || []).map(p => [p.name, p.desc])),
+        [aiParameters]
+    );
+
+    if (params.length === 0) {
+        return (
+            <div className="sidebar-params">
+                <div className="params-info">
+                    <p>No top-level parameters found.</p>
+                    <p>Declare variables before the first module, e.g. <code>width = 40; // [10:100]</code></p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="sidebar-params">
+            {groups.map(([group, groupParams], gi) => (
+                <React.Fragment key={group}>
+                    {gi > 0 && <div className="params-divider" />}
+                    <div className="params-section-title">
+                        <SlidersHorizontal size={14} style={{ marginRight: 8 }} />{group}
+                    </div>
+                    {groupParams.map(param => (
+                        <div className="params-group" key={param.name}>
+                            <label className="params-label" title={param.name}>{param.name}</label>
+                            {(param.description || aiDescriptions[param.name]) && (
+                                <span className="param-description">{param.description || aiDescriptions[param.name]}</span>
+                            )}
+                            <ParameterControl
+                                param={param}
+                                onChange={(value) => onChange(parameterService.setValue(code, param, value))}
+                            />
+                        </div>
+                    ))}
+                </React.Fragment>
+            ))}
+        </div>
+    );
+};
+
+export default ParameterPanel;
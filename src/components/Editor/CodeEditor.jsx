@@ -1,15 +1,86 @@
-import React from 'react';
+import React, { useEffect, useRef, useState, useImperativeHandle, forwardRef } from 'react';
 import { Editor } from '@monaco-editor/react';
+import { diagnosticsService } from '../../services/DiagnosticsService';
+import { openSCADParser } from '../../services/OpenSCADParser';
+import { geometryValidator } from '../../services/GeometryValidator';
+import { librarySymbolService } from '../../services/LibrarySymbolService';
+import { registerOpenSCADLanguage, getSymbolAtPosition, LANGUAGE_ID } from './openscadLanguage';
+
+const MARKER_OWNER = 'openscad-compiler';
+const PARSER_MARKER_OWNER = 'openscad-parser';
+const PARSE_DELAY = 250;
+
+const CodeEditor = forwardRef(({ code, onChange, diagnostics = [], onOpenDocs }, ref) => {
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const onOpenDocsRef = useRef(onOpenDocs);
+  const [isReady, setIsReady] = useState(false);
+  const [librariesLoaded, setLibrariesLoaded] = useState(false);
+
+  useEffect(() => {
+    onOpenDocsRef.current = onOpenDocs;
+  }, [onOpenDocs]);
+
+  useImperativeHandle(ref, () => ({
+    revealLine(line, column = 1) {
+      const editor = editorRef.current;
+      if (!editor) return;
+      editor.revealLineInCenter(line);
+      editor.setPosition({ lineNumber: line, column });
+      editor.focus();
+    }
+  }));
+
+  // Compiler diagnostics as squiggles
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    const monaco = monacoRef.current;
+    if (!isReady || !model || !monaco) return;
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, diagnosticsService.toMarkers(diagnostics, monaco, model));
+  }, [diagnostics, isReady]);
+
+  // Parser and geometry rule diagnostics while typing; re-run once BOSL2 symbols are known
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    const monaco = monacoRef.current;
+    if (!isReady || !model || !monaco) return;
+    const timer = setTimeout(() => {
+      const { diagnostics: problems } = openSCADParser.analyze(code || '');
+      const geometry = geometryValidator.toDiagnostics(geometryValidator.validate(code || ''));
+      monaco.editor.setModelMarkers(model, PARSER_MARKER_OWNER, diagnosticsService.toMarkers([...problems, ...geometry], monaco, model));
+    }, PARSE_DELAY);
+    return () => clearTimeout(timer);
+  }, [code, isReady, librariesLoaded]);
+
+  const handleMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+
+    editor.addAction({
+      id: 'openscad.openDocs',
+      label: 'Go to Documentation',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyD],
+      contextMenuGroupId: 'navigation',
+      run: (ed) => {
+        const target = getSymbolAtPosition(ed.getModel(), ed.getPosition());
+        if (target) onOpenDocsRef.current?.(target.name);
+      }
+    });
+
+    setIsReady(true);
+    librarySymbolService.loadLibraries().then(() => setLibrariesLoaded(true));
+  };
 
-const CodeEditor = ({ code, onChange }) => {
   return (
     <div className="editor-container" style={{ height: '100%', width: '100%' }}>
       <Editor
         height="100%"
-        defaultLanguage="cpp" // OpenSCAD is close to C++/Java/C# syntax
+        defaultLanguage={LANGUAGE_ID}
         theme="vs-dark"
         value={code}
         onChange={onChange}
+        beforeMount={registerOpenSCADLanguage}
+        onMount={handleMount}
         options={{
           minimap: { enabled: false },
           fontSize: 14,
@@ -25,6 +96,6 @@ const CodeEditor = ({ code, onChange }) => {
       />
     </div>
   );
-};
+});
 
 export default CodeEditor;
@@ -0,0 +1,143 @@
+import React, { useRef, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { registerOpenSCADLanguage, LANGUAGE_ID } from './openscadLanguage';
+import { GitCompare, Check, X, CheckCheck, Eye } from 'lucide-react';
+
+/**
+ * Apply one Monaco line change (modified -> original) to the original text
+ */
+function applyLineChange(original, modified, change) {
+    const originalLines = original.split('\n');
+    const modifiedLines = modified.split('\n');
+
+    // An end line of 0 means "no lines on this side" (pure insertion / deletion)
+    const inserted = change.modifiedEndLineNumber === 0
+        ? []
+        : modifiedLines.slice(change.modifiedStartLineNumber - 1, change.modifiedEndLineNumber);
+
+    if (change.originalEndLineNumber === 0) {
+        originalLines.splice(change.originalStartLineNumber, 0, ...inserted);
+    } else {
+        const deleteCount = change.originalEndLineNumber - change.originalStartLineNumber + 1;
+        originalLines.splice(change.originalStartLineNumber - 1, deleteCount, ...inserted);
+    }
+    return originalLines.join('\n');
+}
+
+function describeChange(change) {
+    if (change.originalEndLineNumber === 0) {
+        const count = change.modifiedEndLineNumber - change.modifiedStartLineNumber + 1;
+        return `+${count} line${count > 1 ? 's' : ''} after line ${change.originalStartLineNumber}`;
+    }
+    if (change.modifiedEndLineNumber === 0) {
+        const count = change.originalEndLineNumber - change.originalStartLineNumber + 1;
+        return `-${count} line${count > 1 ? 's' : ''} at line ${change.originalStartLineNumber}`;
+    }
+    return change.originalStartLineNumber === change.originalEndLineNumber
+        ? `Line ${change.originalStartLineNumber}`
+        : `Lines ${change.originalStartLineNumber}-${change.originalEndLineNumber}`;
+}
+
+/**
+ * Side-by-side review of an AI suggestion against the current editor buffer.
+ * Hunks accepted individually are merged into the left side; onApply receives the result.
+ */
+const DiffReview = ({ original, suggestion, title, onApply, onReject }) => {
+    const diffEditorRef = useRef(null);
+    const [working, setWorking] = useState(original);
+    const [changes, setChanges] = useState([]);
+    const [acceptedCount, setAcceptedCount] = useState(0);
+    // Set between accepting a hunk and Monaco diffing the merged text, while the listed hunks are stale
+    const diffPendingRef = useRef(false);
+
+    const handleMount = (editor) => {
+        diffEditorRef.current = editor;
+        const update = () => {
+            diffPendingRef.current = false;
+            setChanges(editor.getLineChanges() || []);
+        };
+        editor.onDidUpdateDiff(update);
+        update();
+    };
+
+    const acceptHunk = (change) => {
+        // Line numbers of the other hunks shift with this one; wait for the next diff
+        if (diffPendingRef.current) return;
+        diffPendingRef.current = true;
+        setChanges([]);
+        setWorking(current => applyLineChange(current, suggestion, change));
+        setAcceptedCount(count => count + 1);
+    };
+
+    const revealHunk = (change) => {
+        const editor = diffEditorRef.current?.getModifiedEditor();
+        editor?.revealLineInCenter(Math.max(1, change.modifiedStartLineNumber));
+    };
+
+    const isIdentical = working === suggestion;
+
+    return (
+        <div className="diff-review">
+            <div className="diff-toolbar">
+                <GitCompare size={14} />
+                <span className="diff-title">{title || 'Review AI suggestion'}</span>
+                <span className="diff-summary">
+                    {isIdentical ? 'No remaining differences' : `${changes.length} change${changes.length === 1 ? '' : 's'}`}
+                </span>
+                <div className="diff-actions">
+                    <button className="button-outline" onClick={onReject} title="Discard the suggestion and keep the editor as is">
+                        <X size={14} /> Reject
+                    </button>
+                    {acceptedCount > 0 && !isIdentical && (
+                        <button className="button-outline" onClick={() => onApply(working)} title="Apply only the accepted changes">
+                            <Check size={14} /> Apply accepted ({acceptedCount})
+                        </button>
+                    )}
+                    <button className="button-apply" onClick={() => onApply(suggestion)}>
+                        <CheckCheck size={14} /><span>Accept all</span>
+                    </button>
+                </div>
+            </div>
+
+            {changes.length > 0 && (
+                <ul className="diff-hunks">
+                    {changes.map((change, i) => (
+                        <li key={`${change.originalStartLineNumber}-${change.modifiedStartLineNumber}-${i}`} className="diff-hunk">
+                            <span>{describeChange(change)}</span>
+                            <button className="icon-button" onClick={() => revealHunk(change)} title="Show change">
+                                <Eye size={12} />
+                            </button>
+                            <button className="icon-button" onClick={() => acceptHunk(change)} title="Accept this change">
+                                <Check size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="diff-editor">
+                <DiffEditor
+                    height="100%"
+                    language={LANGUAGE_ID}
+                    theme="vs-dark"
+                    original={working}
+                    modified={suggestion}
+                    beforeMount={registerOpenSCADLanguage}
+                    onMount={handleMount}
+                    options={{
+                        renderSideBySide: true,
+                        readOnly: true,
+                        originalEditable: false,
+                        minimap: { enabled: false },
+                        fontSize: 13,
+                        fontFamily: 'var(--font-mono)',
+                        scrollBeyondLastLine: false,
+                        automaticLayout: true
+                    }}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default DiffReview;
@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from 'react';
+import { documentationService } from '../../services/DocumentationService';
+import { BookOpen, X, Loader2 } from 'lucide-react';
+
+// Renders reference markdown as text with fenced code blocks
+const DocsContent = ({ content }) => (
+    <>
+        {content.split(/```[a-z]*\n?/).map((part, i) => (
+            i % 2 === 1
+                ? <pre key={i} className="docs-code"><code>{part.trimEnd()}</code></pre>
+                : <div key={i} className="docs-text">{part.trim()}</div>
+        ))}
+    </>
+);
+
+const DocsPanel = ({ symbol, onClose }) => {
+    const [result, setResult] = useState({ symbol: null, sections: [] });
+
+    useEffect(() => {
+        let cancelled = false;
+        documentationService.lookup(symbol, { limit: 5 }).then(sections => {
+            if (!cancelled) setResult({ symbol, sections });
+        });
+        return () => { cancelled = true; };
+    }, [symbol]);
+
+    const isLoading = result.symbol !== symbol;
+
+    return (
+        <div className="docs-panel">
+            <div className="docs-header">
+                <BookOpen size={14} />
+                <span>Documentation: <code>{symbol}</code></span>
+                <button className="icon-button" onClick={onClose} title="Close documentation">
+                    <X size={14} />
+                </button>
+            </div>
+            <div className="docs-body">
+                {isLoading && <div className="docs-empty"><Loader2 className="animate-spin" size={14} /> Searching...</div>}
+                {!isLoading && result.sections.length === 0 && (
+                    <div className="docs-empty">
+                        No reference found for <code>{symbol}</code>. Sync the BOSL2 knowledge base in Settings to search the wiki.
+                    </div>
+                )}
+                {!isLoading && result.sections.map((section, i) => (
+                    <div key={i} className="docs-section">
+                        <div className="docs-source">{section.source}</div>
+                        <DocsContent content={section.content} />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default DocsPanel;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { diagnosticsService } from '../../services/DiagnosticsService';
+import { AlertCircle, AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
+
+const ProblemsPanel = ({ diagnostics = [], onSelect }) => {
+    const [collapsed, setCollapsed] = useState(false);
+    const problems = diagnosticsService.getProblems(diagnostics);
+    if (problems.length === 0) return null;
+
+    const errorCount = problems.filter(p => p.severity === 'error').length;
+    const warningCount = problems.length - errorCount;
+
+    return (
+        <div className="problems-panel">
+            <button className="problems-header" onClick={() => setCollapsed(c => !c)}>
+                {collapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                <span>Problems</span>
+                {errorCount > 0 && <span className="problems-count error"><AlertCircle size={12} /> {errorCount}</span>}
+                {warningCount > 0 && <span className="problems-count warning"><AlertTriangle size={12} /> {warningCount}</span>}
+            </button>
+            {!collapsed && (
+                <ul className="problems-list">
+                    {problems.map((problem, i) => (
+                        <li
+                            key={i}
+                            className={`problem-item ${problem.severity} ${problem.editorLine ? 'clickable' : ''}`}
+                            onClick={() => problem.editorLine && onSelect(problem)}
+                            title={problem.raw}
+                        >
+                            {problem.severity === 'error' ? <AlertCircle size={12} /> : <AlertTriangle size={12} />}
+                            <span className="problem-message">{problem.message}</span>
+                            <span className="problem-category">{problem.category}</span>
+                            {problem.line && (
+                                <span className="problem-location">
+                                    {problem.inInput ? `Ln ${problem.line}` : `${problem.file}:${problem.line}`}
+                                </span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ProblemsPanel;
@@ -0,0 +1,419 @@
+import { librarySymbolService } from '../../services/LibrarySymbolService';
+import { documentationService } from '../../services/DocumentationService';
+import { geometryValidator } from '../../services/GeometryValidator';
+
+/**
+ * OpenSCAD language support for Monaco: Monarch grammar, bracket/comment
+ * configuration, completions (built-ins, BOSL2, user definitions, special
+ * variables, include paths), signature help, documentation hovers and
+ * geometry quick fixes.
+ */
+
+export const LANGUAGE_ID = 'openscad';
+
+const KEYWORDS = ['module', 'function', 'include', 'use', 'if', 'else', 'for', 'intersection_for', 'let', 'each', 'assert', 'echo'];
+const CONSTANTS = ['true', 'false', 'undef', 'PI'];
+
+const monarchLanguage = {
+    defaultToken: '',
+    keywords: KEYWORDS,
+    constants: CONSTANTS,
+    builtins: librarySymbolService.builtins.map(s => s.name),
+    operators: ['=', '>', '<', '!', '?', ':', '==', '<=', '>=', '!=', '&&', '||', '+', '-', '*', '/', '%', '^'],
+    symbols: /[=><!~?:&|+\-*/^%]+/,
+
+    tokenizer: {
+        root: [
+            // include <BOSL2/std.scad>
+            [/(include|use)(\s*)(<)/, ['keyword', '', { token: 'string.path', next: '@libraryPath' }]],
+
+            // Modifier characters before an instantiation: # debug, % background, ! root, * disable
+            [/^\s*[#%!*](?=\s*[A-Za-z_$])/, 'keyword.modifier'],
+
+            [/\$[A-Za-z_]\w*/, 'variable.predefined'],
+            [/[A-Za-z_]\w*(?=\s*\()/, {
+                cases: {
+                    '@keywords': 'keyword',
+                    '@builtins': 'type.identifier',
+                    '@default': 'entity.name.function'
+                }
+            }],
+            [/[A-Za-z_]\w*/, {
+                cases: {
+                    '@keywords': 'keyword',
+                    '@constants': 'constant',
+                    '@default': 'identifier'
+                }
+            }],
+
+            { include: '@whitespace' },
+
+            [/[{}()[\]]/, '@brackets'],
+            [/@symbols/, { cases: { '@operators': 'operator', '@default': '' } }],
+
+            [/\d*\.\d+([eE][-+]?\d+)?/, 'number.float'],
+            [/\d+([eE][-+]?\d+)?/, 'number'],
+
+            [/[;,.]/, 'delimiter'],
+
+            [/"([^"\\]|\\.)*$/, 'string.invalid'],
+            [/"/, { token: 'string.quote', next: '@string' }]
+        ],
+
+        libraryPath: [
+            [/[^>]+/, 'string.path'],
+            [/>/, { token: 'string.path', next: '@pop' }]
+        ],
+
+        comment: [
+            [/[^/*]+/, 'comment'],
+            [/\*\//, 'comment', '@pop'],
+            [/[/*]/, 'comment']
+        ],
+
+        string: [
+            [/[^\\"]+/, 'string'],
+            [/\\./, 'string.escape'],
+            [/"/, { token: 'string.quote', next: '@pop' }]
+        ],
+
+        whitespace: [
+            [/[ \t\r\n]+/, 'white'],
+            [/\/\*/, 'comment', '@comment'],
+            [/\/\/.*$/, 'comment']
+        ]
+    }
+};
+
+const languageConfiguration = {
+    comments: {
+        lineComment: '//',
+        blockComment: ['/*', '*/']
+    },
+    brackets: [
+        ['{', '}'],
+        ['[', ']'],
+        ['(', ')']
+    ],
+    autoClosingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"', notIn: ['string', 'comment'] },
+        { open: '/*', close: ' */', notIn: ['string'] }
+    ],
+    surroundingPairs: [
+        { open: '{', close: '}' },
+        { open: '[', close: ']' },
+        { open: '(', close: ')' },
+        { open: '"', close: '"' }
+    ],
+    indentationRules: {
+        increaseIndentPattern: /^.*\{[^}"']*$/,
+        decreaseIndentPattern: /^\s*\}/
+    }
+};
+
+const SOURCE_LABELS = { builtin: 'OpenSCAD', BOSL2: 'BOSL2', user: 'This file' };
+
+/**
+ * Finds the call surrounding the cursor: name, active argument index and named argument
+ */
+function findEnclosingCall(textBeforeCursor) {
+    let depth = 0;
+    let argIndex = 0;
+    let argStart = textBeforeCursor.length;
+
+    for (let i = textBeforeCursor.length - 1; i >= 0; i--) {
+        const ch = textBeforeCursor[i];
+        if (ch === ')' || ch === ']' || ch === '}') depth++;
+        else if (ch === '[' || ch === '{') {
+            if (depth === 0) return null; // Inside a vector or block, not an argument list
+            depth--;
+        } else if (ch === '(') {
+            if (depth === 0) {
+                const name = textBeforeCursor.slice(0, i).match(/([A-Za-z_$][\w$]*)\s*$/);
+                if (!name) return null;
+                const currentArg = textBeforeCursor.slice(argStart === textBeforeCursor.length ? i + 1 : argStart);
+                const named = currentArg.match(/^\s*([A-Za-z_$][\w$]*)\s*=(?!=)/);
+                return { name: name[1], argIndex, namedArg: named ? named[1] : null };
+            }
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            if (argIndex === 0) argStart = i + 1;
+            argIndex++;
+        } else if (ch === ';') {
+            return null;
+        }
+    }
+    return null;
+}
+
+function symbolDocumentation(symbol) {
+    const lines = [`**${SOURCE_LABELS[symbol.source] || symbol.source}** ${symbol.kind}`];
+    if (symbol.file) lines.push(`\`${symbol.file}\``);
+    if (symbol.documentation) lines.push(symbol.documentation);
+    return { value: lines.join('\n\n') };
+}
+
+function createCompletionProvider(monaco) {
+    const { CompletionItemKind, CompletionItemInsertTextRule } = monaco.languages;
+
+    return {
+        triggerCharacters: ['$', '<', '/'],
+        provideCompletionItems(model, position) {
+            const lineText = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+
+            // Library paths inside include <...> / use <...>
+            const pathMatch = lineText.match(/(?:include|use)\s*<([^>]*)$/);
+            if (pathMatch) {
+                const typed = pathMatch[1];
+                const range = {
+                    startLineNumber: position.lineNumber,
+                    endLineNumber: position.lineNumber,
+                    startColumn: position.column - typed.length,
+                    endColumn: position.column
+                };
+                return {
+                    suggestions: librarySymbolService.libraryFiles
+                        .filter(file => file.endsWith('.scad'))
+                        .map(file => ({
+                            label: `BOSL2/${file}`,
+                            kind: CompletionItemKind.File,
+                            insertText: `BOSL2/${file}`,
+                            range
+                        }))
+                };
+            }
+
+            const word = model.getWordUntilPosition(position);
+            const range = {
+                startLineNumber: position.lineNumber,
+                endLineNumber: position.lineNumber,
+                startColumn: word.startColumn,
+                endColumn: word.endColumn
+            };
+
+            // Special variables ($fn etc.); the word does not include the "$"
+            if (/\$\w*$/.test(lineText)) {
+                const typed = lineText.match(/\$\w*$/)[0];
+                const dollarRange = { ...range, startColumn: position.column - typed.length };
+                return {
+                    suggestions: Object.entries(librarySymbolService.specialVariables).map(([name, doc]) => ({
+                        label: name,
+                        kind: CompletionItemKind.Variable,
+                        insertText: name,
+                        documentation: doc,
+                        range: dollarRange
+                    }))
+                };
+            }
+
+            const symbols = librarySymbolService.getSymbols(model.getValue());
+            const suggestions = symbols.map(symbol => {
+                const required = symbol.params.filter(p => p.defaultValue === null && !p.name.startsWith('$') && p.name !== '...');
+                const snippetArgs = required.map((p, i) => `\${${i + 1}:${p.name}}`).join(', ');
+                return {
+                    label: symbol.name,
+                    kind: symbol.kind === 'module' ? CompletionItemKind.Module : CompletionItemKind.Function,
+                    detail: symbol.signature,
+                    documentation: symbolDocumentation(symbol),
+                    insertText: `${symbol.name}(${snippetArgs})`,
+                    insertTextRules: CompletionItemInsertTextRule.InsertAsSnippet,
+                    // User definitions first, then built-ins, then the large BOSL2 catalog
+                    sortText: `${{ user: 0, builtin: 1, BOSL2: 2 }[symbol.source] ?? 3}${symbol.name}`,
+                    range
+                };
+            });
+
+            KEYWORDS.forEach(keyword => suggestions.push({
+                label: keyword,
+                kind: CompletionItemKind.Keyword,
+                insertText: keyword,
+                sortText: `1${keyword}`,
+                range
+            }));
+            CONSTANTS.forEach(constant => suggestions.push({
+                label: constant,
+                kind: CompletionItemKind.Constant,
+                insertText: constant,
+                sortText: `1${constant}`,
+                range
+            }));
+
+            return { suggestions };
+        }
+    };
+}
+
+function createSignatureHelpProvider() {
+    return {
+        signatureHelpTriggerCharacters: ['(', ','],
+        signatureHelpRetriggerCharacters: ['='],
+        provideSignatureHelp(model, position) {
+            const textBefore = model.getValueInRange({
+                startLineNumber: Math.max(1, position.lineNumber - 30),
+                startColumn: 1,
+                endLineNumber: position.lineNumber,
+                endColumn: position.column
+            });
+
+            const call = findEnclosingCall(textBefore);
+            if (!call) return null;
+            const symbol = librarySymbolService.findSymbol(call.name, model.getValue());
+            if (!symbol) return null;
+
+            let activeParameter = Math.min(call.argIndex, Math.max(0, symbol.params.length - 1));
+            if (call.namedArg) {
+                const index = symbol.params.findIndex(p => p.name === call.namedArg);
+                if (index !== -1) activeParameter = index;
+            }
+
+            return {
+                value: {
+                    signatures: [{
+                        label: symbol.signature,
+                        documentation: symbolDocumentation(symbol),
+                        parameters: symbol.params.map(p => ({
+                            label: p.defaultValue !== null ? `${p.name}=${p.defaultValue}` : p.name
+                        }))
+                    }],
+                    activeSignature: 0,
+                    activeParameter
+                },
+                dispose() {}
+            };
+        }
+    };
+}
+
+const HOVER_DOC_LENGTH = 900;
+
+/**
+ * Identifier under the cursor, including a leading "$" for special variables
+ */
+export function getSymbolAtPosition(model, position) {
+    const word = model.getWordAtPosition(position);
+    if (!word) return null;
+    const before = model.getValueInRange({
+        startLineNumber: position.lineNumber,
+        startColumn: Math.max(1, word.startColumn - 1),
+        endLineNumber: position.lineNumber,
+        endColumn: word.startColumn
+    });
+    return {
+        name: before === '$' ? `$${word.word}` : word.word,
+        range: {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: before === '$' ? word.startColumn - 1 : word.startColumn,
+            endColumn: word.endColumn
+        }
+    };
+}
+
+function createHoverProvider() {
+    return {
+        async provideHover(model, position) {
+            const target = getSymbolAtPosition(model, position);
+            if (!target || KEYWORDS.includes(target.name) || /^\d/.test(target.name)) return null;
+
+            const contents = [];
+            const symbol = librarySymbolService.findSymbol(target.name, model.getValue());
+            if (symbol) {
+                contents.push({ value: '```openscad\n' + symbol.signature + '\n```' });
+                contents.push(symbolDocumentation(symbol));
+            } else if (librarySymbolService.specialVariables[target.name]) {
+                contents.push({ value: `**${target.name}**: ${librarySymbolService.specialVariables[target.name]}` });
+            }
+
+            if (symbol?.source !== 'user') {
+                const [section] = await documentationService.lookup(target.name, { limit: 1 });
+                // Unknown names need a matching heading, so plain variables don't show unrelated text
+                if (section && (symbol || section.score >= 30)) {
+                    const text = section.content.length > HOVER_DOC_LENGTH
+                        ? section.content.slice(0, HOVER_DOC_LENGTH) + '\n\n...'
+                        : section.content;
+                    contents.push({ value: `*${section.source}*\n\n${text}` });
+                }
+            }
+
+            if (contents.length === 0) return null;
+            contents.push({ value: '_Ctrl+Shift+D: open documentation_' });
+            return { range: target.range, contents };
+        }
+    };
+}
+
+const toRange = (edit) => ({
+    startLineNumber: edit.line,
+    startColumn: edit.column,
+    endLineNumber: edit.endLine,
+    endColumn: edit.endColumn
+});
+
+/**
+ * GeometryValidator quick fixes as code actions (lightbulb / Ctrl+.)
+ */
+function createCodeActionProvider(monaco) {
+    return {
+        provideCodeActions(model, range, context) {
+            const textEdit = (edit) => ({
+                resource: model.uri,
+                versionId: model.getVersionId(),
+                textEdit: { range: toRange(edit), text: edit.text }
+            });
+
+            const fixes = geometryValidator.getQuickFixes(model.getValue());
+            const actions = fixes
+                .filter(fix => fix.issue.line && monaco.Range.areIntersectingOrTouching(range, toRange(fix.issue)))
+                .map(fix => ({
+                    title: fix.title,
+                    kind: 'quickfix',
+                    isPreferred: !!fix.isPreferred,
+                    diagnostics: context.markers.filter(m => m.code === fix.issue.type && m.startLineNumber === fix.issue.line),
+                    edit: { edits: fix.edits.map(textEdit) }
+                }));
+
+            // Same edits as the pipeline's deterministic repair
+            const { fixedCode, fixes: applied } = geometryValidator.suggestFixes(model.getValue());
+            if (applied.length > 1) {
+                actions.push({
+                    title: `Apply ${applied.length} geometry quick fixes`,
+                    kind: 'source.fixAll',
+                    edit: { edits: [textEdit({ ...toFullRange(model), text: fixedCode })] }
+                });
+            }
+
+            return { actions, dispose: () => {} };
+        }
+    };
+}
+
+function toFullRange(model) {
+    const lastLine = model.getLineCount();
+    return { line: 1, column: 1, endLine: lastLine, endColumn: model.getLineMaxColumn(lastLine) };
+}
+
+let registered = false;
+
+/**
+ * Register the OpenSCAD language once per Monaco instance (use as Editor beforeMount)
+ */
+export function registerOpenSCADLanguage(monaco) {
+    if (registered) return;
+    registered = true;
+
+    monaco.languages.register({ id: LANGUAGE_ID, extensions: ['.scad'], aliases: ['OpenSCAD', 'openscad'] });
+    monaco.languages.setMonarchTokensProvider(LANGUAGE_ID, monarchLanguage);
+    monaco.languages.setLanguageConfiguration(LANGUAGE_ID, languageConfiguration);
+    monaco.languages.registerCompletionItemProvider(LANGUAGE_ID, createCompletionProvider(monaco));
+    monaco.languages.registerSignatureHelpProvider(LANGUAGE_ID, createSignatureHelpProvider());
+    monaco.languages.registerHoverProvider(LANGUAGE_ID, createHoverProvider());
+    monaco.languages.registerCodeActionProvider(LANGUAGE_ID, createCodeActionProvider(monaco), {
+        providedCodeActionKinds: ['quickfix', 'source.fixAll']
+    });
+
+    // BOSL2 symbols arrive asynchronously; completions pick them up once parsed
+    librarySymbolService.loadLibraries();
+}
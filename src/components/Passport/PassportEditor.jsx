@@ -0,0 +1,63 @@
+import React, { useState, useMemo } from 'react';
+import { passportService } from '../../services/PassportService';
+import { FileJson, Check, SkipForward, AlertTriangle } from 'lucide-react';
+
+const PassportEditor = ({ passport, extractionError, onConfirm, onSkip }) => {
+    const [draft, setDraft] = useState(() => passportService.toEditableJson(passport || passportService.createTemplate()));
+
+    const validation = useMemo(() => passportService.parseAndValidate(draft), [draft]);
+
+    return (
+        <div className="passport-editor">
+            <div className="passport-header">
+                <FileJson size={14} />
+                <span>Geometric Passport</span>
+                <span className={`passport-status ${validation.valid ? 'valid' : 'invalid'}`}>
+                    {validation.valid ? 'Valid' : `${validation.errors.length} issue(s)`}
+                </span>
+            </div>
+
+            {extractionError && (
+                <div className="passport-note">
+                    <AlertTriangle size={12} /> Could not read the drawing ({extractionError}). Fill in the passport manually or skip it.
+                </div>
+            )}
+
+            {validation.passport?.estimated?.length > 0 && (
+                <div className="passport-note">
+                    Estimated values (*): {validation.passport.estimated.join(', ')}
+                </div>
+            )}
+
+            <textarea
+                className="passport-textarea"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                spellCheck={false}
+            />
+
+            {!validation.valid && (
+                <ul className="passport-errors">
+                    {validation.errors.map((err, i) => (
+                        <li key={i}>{err.path && <code>{err.path}</code>} {err.message}</li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="passport-actions">
+                <button className="button-outline" onClick={onSkip} title="Generate without the passport">
+                    <SkipForward size={14} /> Skip
+                </button>
+                <button
+                    className="button-apply"
+                    onClick={() => onConfirm(validation.passport)}
+                    disabled={!validation.valid}
+                >
+                    <Check size={14} /><span>Generate from Passport</span>
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PassportEditor;
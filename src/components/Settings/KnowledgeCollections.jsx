@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Library, Loader2, RefreshCw, Trash2, Upload } from 'lucide-react';
+import { ragService } from '../../services/RAGService';
+import { knowledgeImportService, SUPPORTED_EXTENSIONS } from '../../services/KnowledgeImportService';
+
+const defaultName = (files) => (files[0]?.name || 'My library').replace(/\.[^.]+$/, '');
+
+/**
+ * User knowledge collections: import .scad libraries and docs (or a .zip of them)
+ * into the RAG user snippets corpus, and re-index or delete them
+ */
+const KnowledgeCollections = () => {
+    const [collections, setCollections] = useState([]);
+    const [name, setName] = useState('');
+    const [busy, setBusy] = useState(null); // { name, action, done, total }
+    const [status, setStatus] = useState(null); // { message, error }
+    const fileInputRef = useRef(null);
+
+    const refresh = useCallback(() => ragService.listCollections().then(setCollections), []);
+    useEffect(() => {
+        refresh().catch(err => console.error('Loading knowledge collections failed:', err));
+    }, [refresh]);
+
+    const run = async (collectionName, action, task) => {
+        setBusy({ name: collectionName, action, done: 0, total: 0 });
+        setStatus(null);
+        try {
+            const message = await task((done, total) => setBusy({ name: collectionName, action, done, total }));
+            setStatus({ message });
+        } catch (err) {
+            console.error(`${action} of collection "${collectionName}" failed:`, err);
+            setStatus({ message: `${action} failed: ${err.message}`, error: true });
+        } finally {
+            setBusy(null);
+            await refresh();
+        }
+    };
+
+    const handleFiles = async (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (picked.length === 0) return;
+        const collectionName = name.trim() || defaultName(picked);
+
+        await run(collectionName, 'Import', async (onProgress) => {
+            const { files, skipped } = await knowledgeImportService.readFiles(picked);
+            if (files.length === 0) throw new Error(`No ${SUPPORTED_EXTENSIONS.join(', ')} files found`);
+            const summary = await ragService.importCollection(collectionName, files, onProgress);
+            setName('');
+            return `Imported ${summary.files} files (${summary.chunks} chunks) into "${collectionName}"`
+                + (skipped.length ? `; skipped ${skipped.length} unsupported files` : '')
+                + (summary.embedded < summary.chunks ? `; ${summary.chunks - summary.embedded} chunks have no embedding and are found by keyword only` : '');
+        });
+    };
+
+    const handleReindex = (collection) => run(collection.name, 'Re-index', async (onProgress) => {
+        const summary = await ragService.reindexCollection(collection.name, onProgress);
+        return `Re-indexed "${collection.name}" (${summary.chunks} chunks)`;
+    });
+
+    const handleDelete = (collection) => {
+        if (!window.confirm(`Delete the knowledge collection "${collection.name}"?`)) return;
+        run(collection.name, 'Delete', async () => {
+            await ragService.deleteCollection(collection.name);
+            return `Deleted "${collection.name}"`;
+        });
+    };
+
+    return (
+        <div className="params-group">
+            <label className="params-label"><Library size={12} style={{ marginRight: 6 }} />Your Collections</label>
+            <input
+                type="text"
+                className="params-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Collection name (defaults to the file name)"
+                disabled={!!busy}
+            />
+            <input
+                type="file"
+                ref={fileInputRef}
+                onChange={handleFiles}
+                accept={[...SUPPORTED_EXTENSIONS, '.zip'].join(',')}
+                multiple
+                style={{ display: 'none' }}
+            />
+            <button className="button-outline w-full" onClick={() => fileInputRef.current?.click()} disabled={!!busy}>
+                <Upload size={16} />
+                <span style={{ marginLeft: 8 }}>Import .scad, Markdown or .zip</span>
+            </button>
+            {busy && (
+                <div className="knowledge-status">
+                    <Loader2 className="animate-spin" size={12} />
+                    {busy.action} "{busy.name}"{busy.total > 0 ? ` · ${busy.done}/${busy.total} chunks` : '...'}
+                </div>
+            )}
+            {status && <div className={`knowledge-status ${status.error ? 'error' : ''}`}>{status.message}</div>}
+            {collections.length > 0 && (
+                <ul className="knowledge-collections">
+                    {collections.map(collection => (
+                        <li key={collection.name} className="knowledge-collection">
+                            <div className="knowledge-collection-info">
+                                <strong>{collection.name}</strong>
+                                <span>
+                                    {collection.files} files · {collection.chunks} chunks
+                                    {collection.embedded < collection.chunks ? ` (${collection.embedded} embedded)` : ''}
+                                </span>
+                            </div>
+                            <button className="knowledge-action" onClick={() => handleReindex(collection)} disabled={!!busy} title={`Re-index with the current embedding model (indexed with ${collection.embeddingModel})`}>
+                                <RefreshCw size={12} />
+                            </button>
+                            <button className="knowledge-action danger" onClick={() => handleDelete(collection)} disabled={!!busy} title="Delete collection">
+                                <Trash2 size={12} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default KnowledgeCollections;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { providerRegistry } from '../../services/ProviderRegistry';
+import { RefreshCw, Server } from 'lucide-react';
+
+/**
+ * Connection settings of every registered LLM provider, generated from its settingsSchema
+ */
+const ProviderSettings = ({ settings = {}, onChange, onRefreshModels, isRefreshing }) => (
+    <>
+        <div className="params-section-title"><Server size={14} style={{ marginRight: 8 }} />Providers</div>
+        {providerRegistry.list().filter(provider => provider.settingsSchema.length > 0).map(provider => (
+            <div key={provider.id} className="params-group">
+                <label className="params-label">{provider.label}</label>
+                {provider.settingsSchema.map(field => {
+                    const value = settings[provider.id]?.[field.key] ?? field.defaultValue;
+                    if (field.type === 'checkbox') {
+                        return (
+                            <label key={field.key} className="checkbox-label">
+                                <input
+                                    type="checkbox"
+                                    checked={!!value}
+                                    onChange={(e) => onChange(provider.id, field.key, e.target.checked)}
+                                />
+                                <span>{field.label}</span>
+                            </label>
+                        );
+                    }
+                    return (
+                        <label key={field.key} className="provider-field">
+                            <span>{field.label}</span>
+                            <input
+                                type={field.type === 'password' ? 'password' : 'text'}
+                                className="params-input"
+                                value={value}
+                                onChange={(e) => onChange(provider.id, field.key, e.target.value)}
+                                placeholder={field.placeholder}
+                            />
+                        </label>
+                    );
+                })}
+            </div>
+        ))}
+        <button className="button-outline w-full" onClick={onRefreshModels} disabled={isRefreshing}>
+            <RefreshCw className={isRefreshing ? 'animate-spin' : ''} size={16} />
+            <span style={{ marginLeft: 8 }}>Refresh Models</span>
+        </button>
+    </>
+);
+
+export default ProviderSettings;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { registerOpenSCADLanguage, LANGUAGE_ID } from '../Editor/openscadLanguage';
+import { GitCompare, RotateCcw, X } from 'lucide-react';
+
+/**
+ * Read-only comparison of two versions of a design
+ * Props: left/right = { version, label }
+ */
+const VersionDiff = ({ left, right, onRestore, onClose }) => (
+    <div className="diff-review">
+        <div className="diff-toolbar">
+            <GitCompare size={14} />
+            <span className="diff-title">{left.label} ↔ {right.label}</span>
+            <div className="diff-actions">
+                <button className="button-outline" onClick={() => onRestore(left.version)} title={`Restore ${left.label} into the editor`}>
+                    <RotateCcw size={14} /> {left.label}
+                </button>
+                <button className="button-outline" onClick={() => onRestore(right.version)} title={`Restore ${right.label} into the editor`}>
+                    <RotateCcw size={14} /> {right.label}
+                </button>
+                <button className="button-outline" onClick={onClose}>
+                    <X size={14} /> Close
+                </button>
+            </div>
+        </div>
+
+        <div className="diff-editor">
+            <DiffEditor
+                height="100%"
+                language={LANGUAGE_ID}
+                theme="vs-dark"
+                original={left.version.code}
+                modified={right.version.code}
+                beforeMount={registerOpenSCADLanguage}
+                options={{
+                    renderSideBySide: true,
+                    readOnly: true,
+                    originalEditable: false,
+                    minimap: { enabled: false },
+                    fontSize: 13,
+                    fontFamily: 'var(--font-mono)',
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true
+                }}
+            />
+        </div>
+    </div>
+);
+
+export default VersionDiff;
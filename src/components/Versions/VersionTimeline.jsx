@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { RotateCcw, GitCompare, Box } from 'lucide-react';
+
+const ORIGIN_LABELS = {
+    compile: 'Render',
+    customizer: 'Params',
+    'ai-apply': 'AI apply',
+    restore: 'Restore'
+};
+
+const formatStats = (stats) => {
+    if (!stats) return null;
+    const parts = [stats.dimension];
+    if (stats.size) parts.push(stats.size.join(' × '));
+    if (stats.triangles) parts.push(`${stats.triangles.toLocaleString()} tris`);
+    return parts.join(' · ');
+};
+
+/**
+ * Snapshots of the active design, newest first. Two versions can be selected for comparison.
+ */
+const VersionTimeline = ({ versions = [], currentCode, onRestore, onCompare }) => {
+    const [selected, setSelected] = useState([]);
+
+    const toggleSelected = (id) => {
+        setSelected(current => current.includes(id)
+            ? current.filter(item => item !== id)
+            // Keep the two most recent picks
+            : [...current, id].slice(-2));
+    };
+
+    const compareSelected = () => {
+        // Older version on the left
+        const [left, right] = versions.filter(v => selected.includes(v.id));
+        onCompare(left, right);
+    };
+
+    if (versions.length === 0) {
+        return (
+            <div className="sidebar-versions">
+                <div className="no-logs">No versions yet. Each successful render or applied AI suggestion is saved here.</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="sidebar-versions">
+            <div className="versions-toolbar">
+                <span>{versions.length} version{versions.length === 1 ? '' : 's'}</span>
+                <button className="button-outline" disabled={selected.length !== 2} onClick={compareSelected} title="Select two versions to compare">
+                    <GitCompare size={14} /> Compare
+                </button>
+            </div>
+            {versions.map((version, index) => ({ version, number: index + 1 })).reverse().map(({ version, number }) => (
+                <div
+                    key={version.id}
+                    className={`version-item ${selected.includes(version.id) ? 'selected' : ''} ${version.code === currentCode ? 'current' : ''}`}
+                >
+                    <label className="version-select" title="Select for comparison">
+                        <input type="checkbox" checked={selected.includes(version.id)} onChange={() => toggleSelected(version.id)} />
+                    </label>
+                    <div className="version-thumbnail">
+                        {version.thumbnail ? <img src={version.thumbnail} alt={`Version ${number}`} /> : <Box size={20} />}
+                    </div>
+                    <div className="version-info">
+                        <div className="version-title">
+                            <strong>v{number}</strong>
+                            <span className="version-origin">{ORIGIN_LABELS[version.origin] || version.origin}</span>
+                        </div>
+                        <div className="version-meta">{new Date(version.created_at).toLocaleString()}</div>
+                        {version.stats && <div className="version-meta">{formatStats(version.stats)}</div>}
+                    </div>
+                    <button
+                        className="icon-button"
+                        onClick={() => onRestore(version)}
+                        disabled={version.code === currentCode}
+                        title={version.code === currentCode ? 'Matches the editor' : 'Restore this version'}
+                    >
+                        <RotateCcw size={14} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default VersionTimeline;
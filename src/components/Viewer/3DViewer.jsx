@@ -4,6 +4,44 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader';
 import { Camera, Axis3D, Move, Target, LayoutGrid } from 'lucide-react';
 
+// Standard views in OpenSCAD coordinates (Z up). direction points from the model to the camera;
+// axes are the model axes along the image's horizontal and vertical edges.
+const STANDARD_VIEWS = {
+    front: { label: 'Front', direction: [0, -1, 0], up: [0, 0, 1], axes: ['x', 'z'] },
+    top: { label: 'Top', direction: [0, 0, 1], up: [0, 1, 0], axes: ['x', 'y'] },
+    right: { label: 'Right', direction: [1, 0, 0], up: [0, 0, 1], axes: ['y', 'z'] },
+    isometric: { label: 'Isometric', direction: [1, -1, 1], up: [0, 0, 1], axes: null },
+    // The viewer centers the mesh, so the cut runs through the middle of the bounding box
+    section: { label: 'Section (front, cut at bbox center)', direction: [0, -1, 0], up: [0, 0, 1], axes: ['x', 'z'], section: true }
+};
+// Share of a view cell the model fills; the rest holds labels and dimension lines
+const VIEW_FILL = 0.7;
+
+const formatLength = (value) => `${Math.round(value * 10) / 10} mm`;
+
+// Dimension line with end ticks and a centered label, horizontal or vertical
+function drawDimension(ctx, from, to, offset, text, vertical) {
+    ctx.beginPath();
+    if (vertical) {
+        ctx.moveTo(offset, from); ctx.lineTo(offset, to);
+        ctx.moveTo(offset - 4, from); ctx.lineTo(offset + 4, from);
+        ctx.moveTo(offset - 4, to); ctx.lineTo(offset + 4, to);
+    } else {
+        ctx.moveTo(from, offset); ctx.lineTo(to, offset);
+        ctx.moveTo(from, offset - 4); ctx.lineTo(from, offset + 4);
+        ctx.moveTo(to, offset - 4); ctx.lineTo(to, offset + 4);
+    }
+    ctx.stroke();
+
+    ctx.save();
+    ctx.translate(vertical ? offset - 6 : (from + to) / 2, vertical ? (from + to) / 2 : offset + 6);
+    if (vertical) ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = vertical ? 'bottom' : 'top';
+    ctx.fillText(text, 0, 0);
+    ctx.restore();
+}
+
 const ThreeDViewer = forwardRef(({ stlData }, ref) => {
     const containerRef = useRef(null);
     const rendererRef = useRef(null);
@@ -11,6 +49,7 @@ const ThreeDViewer = forwardRef(({ stlData }, ref) => {
     const cameraRef = useRef(null);
     const controlsRef = useRef(null);
     const axesRef = useRef(null);
+    const captureRendererRef = useRef(null); // Offscreen renderer for captureViews()
 
     const [showAxes, setShowAxes] = useState(true);
     const [controlMode, setControlMode] = useState('orbit'); // 'orbit' or 'pan'
@@ -41,6 +80,118 @@ const ThreeDViewer = forwardRef(({ stlData }, ref) => {
                 return originalCanvas.toDataURL('image/png');
             }
         },
+        captureThumbnail(width = 160, height = 120) {
+            if (!rendererRef.current || !sceneRef.current || !cameraRef.current) return null;
+            rendererRef.current.render(sceneRef.current, cameraRef.current);
+
+            const originalCanvas = rendererRef.current.domElement;
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = width;
+            tempCanvas.height = height;
+            const ctx = tempCanvas.getContext('2d');
+            ctx.drawImage(originalCanvas, 0, 0, originalCanvas.width, originalCanvas.height, 0, 0, width, height);
+            return tempCanvas.toDataURL('image/jpeg', 0.7);
+        },
+        /**
+         * Render standard views offscreen, independent of the user's camera
+         * @param {Object} options - { views: names from STANDARD_VIEWS, section: add the section view, size: px per view }
+         * @returns {Object|null} - { sheet: JPEG data URL of all views with dimension lines, views: [{ name, label, image }] }
+         */
+        captureViews({ views = ['front', 'top', 'right', 'isometric'], section = false, size = 400 } = {}) {
+            const scene = sceneRef.current;
+            const mesh = scene?.getObjectByName('MAIN_CONTENT')?.children.find(child => child.isMesh && child.name !== 'PLACEHOLDER');
+            if (!mesh) return null;
+
+            if (!captureRendererRef.current) {
+                captureRendererRef.current = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+            }
+            const renderer = captureRendererRef.current;
+            renderer.setPixelRatio(1);
+            renderer.setSize(size, size);
+
+            mesh.geometry.computeBoundingBox();
+            const extent = mesh.geometry.boundingBox.getSize(new THREE.Vector3());
+            const dimensions = { x: extent.x, y: extent.y, z: extent.z };
+            const diagonal = extent.length() || 1;
+
+            // Helpers are laid out for the interactive view only
+            const helpers = ['GRID', 'AXES'].map(name => scene.getObjectByName(name)).filter(Boolean);
+            const helperVisibility = helpers.map(helper => helper.visible);
+            helpers.forEach(helper => { helper.visible = false; });
+            const materialSide = mesh.material.side;
+
+            const names = [...views, ...(section && !views.includes('section') ? ['section'] : [])].filter(name => STANDARD_VIEWS[name]);
+            const captured = names.map(name => {
+                const view = STANDARD_VIEWS[name].section
+                    // Model Y of the cut, from the translation the mesh was centered by
+                    ? { ...STANDARD_VIEWS[name], label: `Section at Y=${formatLength(mesh.userData.center?.y ?? 0)} (bbox center)` }
+                    : STANDARD_VIEWS[name];
+                const half = view.axes
+                    ? Math.max(dimensions[view.axes[0]], dimensions[view.axes[1]], diagonal * 0.05) / 2 / VIEW_FILL
+                    : diagonal / 2 / VIEW_FILL;
+                const camera = new THREE.OrthographicCamera(-half, half, half, -half, 0.01, diagonal * 10);
+                camera.up.set(...view.up);
+                camera.position.set(...view.direction).normalize().multiplyScalar(diagonal * 2);
+                camera.lookAt(0, 0, 0);
+
+                // Section: drop the half facing the camera; inner faces show the cut
+                renderer.clippingPlanes = view.section ? [new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)] : [];
+                mesh.material.side = view.section ? THREE.DoubleSide : materialSide;
+                renderer.render(scene, camera);
+
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(renderer.domElement, 0, 0);
+
+                ctx.strokeStyle = '#fbbf24';
+                ctx.fillStyle = '#fbbf24';
+                ctx.lineWidth = 1;
+                ctx.font = '12px sans-serif';
+                if (view.axes) {
+                    const scale = size / (2 * half);
+                    const width = dimensions[view.axes[0]] * scale;
+                    const height = dimensions[view.axes[1]] * scale;
+                    const center = size / 2;
+                    drawDimension(ctx, center - width / 2, center + width / 2, center + height / 2 + 14, `${view.axes[0].toUpperCase()} ${formatLength(dimensions[view.axes[0]])}`, false);
+                    drawDimension(ctx, center + height / 2, center - height / 2, center - width / 2 - 14, `${view.axes[1].toUpperCase()} ${formatLength(dimensions[view.axes[1]])}`, true);
+                } else {
+                    ctx.textAlign = 'center';
+                    ctx.fillText(`${formatLength(extent.x)} × ${formatLength(extent.y)} × ${formatLength(extent.z)}`, size / 2, size - 12);
+                }
+                ctx.fillStyle = '#e2e8f0';
+                ctx.textAlign = 'left';
+                ctx.font = 'bold 14px sans-serif';
+                ctx.fillText(view.label.toUpperCase(), 10, 20);
+
+                return { name, label: view.label, canvas };
+            });
+
+            renderer.clippingPlanes = [];
+            mesh.material.side = materialSide;
+            helpers.forEach((helper, i) => { helper.visible = helperVisibility[i]; });
+
+            const columns = captured.length > 4 ? 3 : 2;
+            const sheet = document.createElement('canvas');
+            sheet.width = columns * size;
+            sheet.height = Math.ceil(captured.length / columns) * size;
+            const sheetCtx = sheet.getContext('2d');
+            sheetCtx.fillStyle = '#0f1115';
+            sheetCtx.fillRect(0, 0, sheet.width, sheet.height);
+            sheetCtx.strokeStyle = '#334155';
+            captured.forEach(({ canvas }, i) => {
+                const x = (i % columns) * size;
+                const y = Math.floor(i / columns) * size;
+                sheetCtx.drawImage(canvas, x, y);
+                sheetCtx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+            });
+
+            return {
+                sheet: sheet.toDataURL('image/jpeg', 0.85),
+                views: captured.map(({ name, label, canvas }) => ({ name, label, image: canvas.toDataURL('image/png') }))
+            };
+        },
         downloadScreenshot() {
             const dataUrl = this.captureScreenshot(false);
             const link = document.createElement('a');
@@ -154,6 +305,8 @@ const ThreeDViewer = forwardRef(({ stlData }, ref) => {
         };
     }, [showAxes, stlData]);
 
+    useEffect(() => () => captureRendererRef.current?.dispose(), []);
+
     // Update Axes visibility
     useEffect(() => {
         if (axesRef.current) {
@@ -204,6 +357,8 @@ const ThreeDViewer = forwardRef(({ stlData }, ref) => {
                 const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
                 const geometry = loader.parse(buffer);
                 geometry.computeVertexNormals();
+                geometry.computeBoundingBox();
+                const center = geometry.boundingBox.getCenter(new THREE.Vector3());
                 geometry.center();
 
                 const mesh = new THREE.Mesh(
@@ -212,6 +367,7 @@ const ThreeDViewer = forwardRef(({ stlData }, ref) => {
                 );
                 mesh.castShadow = true;
                 mesh.receiveShadow = true;
+                mesh.userData.center = center; // Model coordinates of the origin of the centered mesh
                 mainGroup.add(mesh);
 
                 // FIT CAMERA
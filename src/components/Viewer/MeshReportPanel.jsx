@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronRight, Loader2 } from 'lucide-react';
+
+const formatNumber = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const MeshReportPanel = ({ report, analyzing }) => {
+    const [collapsed, setCollapsed] = useState(false);
+    if (!report && !analyzing) return null;
+
+    const rows = report ? [
+        ['Size', report.bbox ? `${report.bbox.size.map(formatNumber).join(' × ')} mm` : 'n/a'],
+        ['Volume', `${formatNumber(report.volume)} mm³`],
+        ['Surface area', `${formatNumber(report.surfaceArea)} mm²`],
+        ['Triangles', formatNumber(report.triangles)],
+        ['Shells', report.shells],
+        ['Through-holes', report.genus ?? 'n/a'],
+        ['Thinnest wall', Number.isFinite(report.wallThickness) ? `${formatNumber(report.wallThickness)} mm` : 'n/a'],
+        ['Typical wall', Number.isFinite(report.typicalWallThickness) ? `${formatNumber(report.typicalWallThickness)} mm` : 'n/a'],
+        ['Open edges', report.openEdges],
+        ['Non-manifold edges', report.nonManifoldEdges],
+        ['Self-intersections', `${report.selfIntersections}${report.selfIntersectionCheck === 'partial' ? ' (partial check)' : ''}`]
+    ] : [];
+
+    return (
+        <div className="mesh-report">
+            <button className="mesh-report-header" onClick={() => setCollapsed(c => !c)}>
+                {collapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                <span>Mesh Report</span>
+                {analyzing && <Loader2 className="animate-spin" size={12} />}
+                {report && (report.printable
+                    ? <span className="mesh-report-verdict ok"><CheckCircle2 size={12} /> Printable</span>
+                    : <span className="mesh-report-verdict issues"><AlertTriangle size={12} /> {report.issues.length} issues</span>)}
+            </button>
+            {!collapsed && report && (
+                <div className="mesh-report-body">
+                    <dl className="mesh-report-stats">
+                        {rows.map(([label, value]) => (
+                            <React.Fragment key={label}>
+                                <dt>{label}</dt>
+                                <dd>{value}</dd>
+                            </React.Fragment>
+                        ))}
+                    </dl>
+                    {report.issues.length > 0 && (
+                        <ul className="mesh-report-issues">
+                            {report.issues.map((issue, i) => (
+                                <li key={i}><AlertTriangle size={12} /> {issue}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MeshReportPanel;
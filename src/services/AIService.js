@@ -1,9 +1,18 @@
-import { Ollama } from 'ollama/browser';
-import { GoogleGenAI } from '@google/genai';
 import { loggingService } from './LoggingService';
+import { passportService } from './PassportService';
+import { diagnosticsService } from './DiagnosticsService';
+import { providerRegistry } from './ProviderRegistry';
+import { meshAnalyzer } from './MeshAnalyzer';
+
+// Fix requests for code that compiled but still needs changes
+const FIX_PROMPT_LEADS = {
+    REQUIREMENT_MISMATCH: 'The model compiled but misses the requested measurements:',
+    VISUAL_QA: 'The model compiled but visual QA asked for changes:'
+};
 
 /**
- * AIService handles communication with LLMs (Ollama or Gemini).
+ * AIService handles communication with LLMs through the ProviderRegistry
+ * (Ollama, Gemini, OpenAI-compatible servers).
  */
 class AIService {
     constructor() {
@@ -20,13 +29,6 @@ class AIService {
             debugMode: true
         };
 
-        this.ollama = new Ollama({
-            host: import.meta.env.VITE_OLLAMA_HOST || '/ollama'
-        });
-
-        const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-        this.genAI = new GoogleGenAI({ apiKey });
-
         this.knowledgeBase = null;
         this.pipelineLogs = [];
     }
@@ -104,18 +106,7 @@ OpenSCAD Syntax & CRITICAL CGAL-Safe Best Practices:
     }
 
     async getAvailableModels() {
-        const models = [];
-        try {
-            const ollamaList = await this.ollama.list();
-            ollamaList.models.forEach(m => {
-                models.push({ id: m.name, name: m.name, provider: 'ollama' });
-            });
-        } catch (err) {
-            console.warn("Failed to fetch Ollama models:", err);
-        }
-        models.push({ id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', provider: 'gemini' });
-        models.push({ id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', provider: 'gemini' });
-        return models;
+        return providerRegistry.listModels();
     }
 
     _log(step, data) {
@@ -140,20 +131,34 @@ OpenSCAD Syntax & CRITICAL CGAL-Safe Best Practices:
         this.pipelineLogs = [];
     }
 
+    /**
+     * Generate a design from a prompt
+     * @param {string} prompt - The user's request
+     * @param {Object} context - { currentCode, screenshot, passport, onStream, signal }
+     * @returns {Promise<Object>} - { text, suggestedCode, metadata, aborted }
+     */
     async sendMessage(prompt, context = {}) {
         await this.loadKnowledgeBase();
-        const { currentCode, screenshot } = context;
+        const { currentCode, meshReport, screenshot, passport, onStream, signal } = context;
 
         // RAG Retrieval
         let ragContext = "";
         if (this.config.enableRAG) {
             try {
                 const { ragService } = await import('./RAGService');
-                const results = await ragService.search(prompt, 12);
+                const general = await ragService.search(prompt, 12);
+                // Examples of the techniques the request names come first
+                const techniques = ragService.techniquesIn(prompt);
+                const examples = techniques.length > 0 && ragService.enabledCorpora.includes('examples')
+                    ? await ragService.search(prompt, 3, { corpora: ['examples'], filters: { technique: techniques } })
+                    : [];
+                const results = [...examples, ...general.filter(r => !examples.some(e => e.id === r.id))].slice(0, 12);
                 if (results.length > 0) {
                     ragContext = "\n\nRelevant RAG Documentation & Examples:\n" +
                         results.map(r => `[Source: ${r.metadata.source}]\n${r.content}`).join('\n---\n');
-                    this._log('RAG Retrieval', { chunks: results.length });
+                    const corpora = {};
+                    results.forEach(r => { corpora[r.corpus] = (corpora[r.corpus] || 0) + 1; });
+                    this._log('RAG Retrieval', { chunks: results.length, corpora, techniques });
                 }
             } catch (e) {
                 console.warn("RAG Search failed:", e);
@@ -207,43 +212,76 @@ VALIDATION CHECKLIST (verify before returning):
 ✓ All difference() operations use eps correctly
 ✓ Valid OpenSCAD syntax`;
 
-        const userPrompt = `Current code: ${currentCode || 'None'}\nTask: ${prompt}`;
+        let userPrompt = `Current code: ${currentCode || 'None'}\nTask: ${prompt}`;
+        if (meshReport) {
+            // Measured printability of the current code, so the AI can fix what the user sees in the report
+            userPrompt = `${meshAnalyzer.toPromptContext(meshReport)}\n\n${userPrompt}`;
+        }
+        if (passport) {
+            userPrompt = `${passportService.toPromptContext(passport)}\n\n${userPrompt}`;
+        }
 
-        this._log('Generation Started', { model: this.reasoningModel });
+        this._log('Generation Started', { model: this.reasoningModel, hasPassport: !!passport, hasMeshReport: !!meshReport });
 
         try {
-            let aiResponse;
-            if (this.reasoningProvider === 'gemini') {
-                aiResponse = await this._sendGeminiMessage(userPrompt, systemPrompt, screenshot, this.reasoningModel, true);
-            } else {
-                aiResponse = await this._sendOllamaMessage(this.reasoningModel, userPrompt, systemPrompt, screenshot, true);
-            }
-
-            // Syntax Check (Linting)
-            if (aiResponse && aiResponse.suggestedCode) {
-                const lintResult = await this._lintCode(aiResponse.suggestedCode);
-                if (!lintResult.valid) {
-                    this._log('Linting Failed', { error: lintResult.error });
-                    return await this.fixCode("Linting Error", lintResult.error, { currentCode: aiResponse.suggestedCode });
-                }
-            }
-
-            return aiResponse;
+            // Syntax is checked by the pipeline (OpenSCADParser) before compiling
+            return await this._sendMessage(this.reasoningProvider, this.reasoningModel, userPrompt, systemPrompt, screenshot, true, { onStream, signal });
         } catch (err) {
             this._log('Pipeline Error', { error: err.message });
             return { text: "Error in generation", error: err.message };
         }
     }
 
+    /**
+     * Vision step: extract a Geometric Passport from an uploaded drawing
+     * @param {string} imageData - Base64 data URL of the drawing
+     * @param {string} userIntent - The user's instruction accompanying the drawing
+     * @param {Object} options - { onStream, signal }
+     * @returns {Object} - { passport, validation, error, aborted }
+     */
+    async extractPassport(imageData, userIntent, options = {}) {
+        const systemPrompt = passportService.getExtractionPrompt();
+        const userPrompt = `Extract the Geometric Passport from this drawing.\nUser instruction (for context only, do not apply it to the passport): ${userIntent}`;
+
+        this._log('Passport Extraction Started', { visionModel: this.visionModel });
+
+        const response = await this._sendMessage(this.visionProvider, this.visionModel, userPrompt, systemPrompt, imageData, true, options);
+
+        if (response.aborted) {
+            return { passport: null, validation: null, error: 'Stopped before the drawing was read', aborted: true };
+        }
+
+        if (!response.json) {
+            this._log('Passport Extraction Failed', { response: response.text });
+            return { passport: null, validation: null, error: response.text || 'Vision model did not return JSON' };
+        }
+
+        const validation = passportService.validate(response.json);
+        this._log('Passport Extracted', { valid: validation.valid, errors: validation.errors });
+
+        return { passport: validation.passport, validation, error: null };
+    }
+
+    /**
+     * Ask the reasoning model to repair code that failed to compile
+     * @param {string} errorCode - Error type or message
+     * @param {string} logs - Raw compiler output (used when no diagnostics are available)
+     * @param {Object} context - { currentCode, errorType, diagnostics, validationWarnings, onStream, signal }
+     */
     async fixCode(errorCode, logs, context = {}) {
         await this.loadKnowledgeBase();
-        const { currentCode, errorType, validationWarnings } = context;
+        const { currentCode, errorType, validationWarnings, diagnostics, onStream, signal } = context;
+
+        // Structured diagnostics point at exact lines; raw logs are the fallback
+        const errorReport = diagnostics?.length > 0
+            ? diagnosticsService.format(diagnostics)
+            : (logs || '');
 
         // Build context about validation warnings
         let validationContext = '';
         if (validationWarnings && validationWarnings.length > 0) {
             validationContext = '\n\nPre-compilation Validation Warnings:\n' +
-                validationWarnings.map(w => `- ${w.message}\n  Fix: ${w.fix}`).join('\n');
+                validationWarnings.map(w => `- ${w.line ? `(line ${w.line}) ` : ''}${w.message}\n  Fix: ${w.fix}`).join('\n');
         }
 
         // Add specific guidance based on error type
@@ -260,14 +298,37 @@ VALIDATION CHECKLIST (verify before returning):
                 '2. Check if subtracted object is larger than parent\n' +
                 '3. Verify object positions and dimensions\n' +
                 '4. Consider using union() first to test geometry';
+        } else if (errorType === 'SYNTAX_ERROR') {
+            errorGuidance = '\n\nThe code does not PARSE (reported before compiling). Focus on:\n' +
+                '1. The exact line and column of each diagnostic\n' +
+                '2. Missing semicolons after assignments and module calls\n' +
+                '3. Unbalanced (), [] and {}\n' +
+                '4. Change only what is needed to make the code parse';
+        } else if (errorType === 'REQUIREMENT_MISMATCH') {
+            errorGuidance = '\n\nThe code COMPILES, but the measured mesh does not match the numbers in the user\'s request. Focus on:\n' +
+                '1. Change only the dimensions, hole counts and wall thicknesses listed\n' +
+                '2. Width is X, depth is Y, height is Z; the bounding box includes every part of the model\n' +
+                '3. Holes are counted only when they pass completely through the part\n' +
+                '4. Keep the eps overlaps of difference() intact';
+        } else if (errorType === 'VISUAL_QA') {
+            errorGuidance = '\n\nThe code COMPILES, but visual QA of the rendered views asked for changes. Focus on:\n' +
+                '1. Apply each listed change to the current code\n' +
+                '2. Keep everything the changes do not mention (dimensions, eps overlaps) as it is\n' +
+                '3. Do not restructure the design beyond what the changes require';
+        } else if (errorType === 'TIMEOUT') {
+            errorGuidance = '\n\nCompilation TIMED OUT (render took too long). Focus on:\n' +
+                '1. Lower $fn / $fa / $fs resolution (e.g. $fn=32 instead of 128)\n' +
+                '2. Avoid minkowski() and hull() over high-resolution children\n' +
+                '3. Reduce the number of boolean operations inside for() loops\n' +
+                '4. Replace repeated difference() calls with a single difference() over a union of cutters';
         }
 
         const systemPrompt = `You are a code debugger for OpenSCAD specializing in CGAL error resolution.
 Return ONLY a JSON object. Do not include markdown formatting outside the JSON.
 
 Error Type: ${errorType || 'UNKNOWN'}
-Error Logs:
-${logs}
+${diagnostics?.length > 0 ? 'Compiler Diagnostics (line numbers refer to the current code)' : 'Error Logs'}:
+${errorReport}
 ${validationContext}
 ${errorGuidance}
 
@@ -312,28 +373,12 @@ FIXING STRATEGY:
 
 Task: Identify the specific error type and provide the FIXED code with explanation.`;
 
-        const userPrompt = `Compilation failed. Error: ${logs}\nCurrent Code:\n${currentCode}`;
+        const userPrompt = `${FIX_PROMPT_LEADS[errorType] || 'Compilation failed. Error:'}\n${errorReport}\nCurrent Code:\n${currentCode}`;
 
-        this._log('Fix Attempt Started', { errorCode, logsSnippet: logs.substring(0, 100) });
+        this._log('Fix Attempt Started', { errorCode, diagnostics: diagnostics?.length || 0, logsSnippet: errorReport.substring(0, 100) });
 
         try {
-            let aiResponse;
-            if (this.reasoningProvider === 'gemini') {
-                aiResponse = await this._sendGeminiMessage(userPrompt, systemPrompt, null, this.reasoningModel, true);
-            } else {
-                aiResponse = await this._sendOllamaMessage(this.reasoningModel, userPrompt, systemPrompt, null, true);
-            }
-
-            // Lint the fix too
-            if (aiResponse && aiResponse.suggestedCode) {
-                const lintResult = await this._lintCode(aiResponse.suggestedCode);
-                if (!lintResult.valid) {
-                    this._log('Fix Linting Failed', { error: lintResult.error });
-                    // No recursive loop here to avoid infinite cycles, just return the raw result
-                }
-            }
-
-            return aiResponse;
+            return await this._sendMessage(this.reasoningProvider, this.reasoningModel, userPrompt, systemPrompt, null, true, { onStream, signal });
         } catch (err) {
             this._log('Fix Pipeline Error', { error: err.message });
             return { text: "Error in fix attempt", error: err.message };
@@ -341,38 +386,23 @@ Task: Identify the specific error type and provide the FIXED code with explanati
     }
 
     /**
-     * Rapid syntax check using a small model
+     * Vision check of the rendered model
+     * @param {string} screenshot - Data URL: a viewer screenshot, or the contact sheet of ThreeDViewer.captureViews()
+     * @param {Object} options - { views: labels of the views on the contact sheet, onStream, signal }
      */
-    async _lintCode(code) {
-        const linterPrompt = `Check this OpenSCAD code for syntax errors (semicolons, unclosed braces, undefined variables).
-If it's perfect, return {"valid": true}. 
-If there are errors, return {"valid": false, "error": "description of first error found"}.
-Return ONLY JSON.
-
-Code:
-${code}`;
-
-        try {
-            const response = await this.ollama.chat({
-                model: 'gemma3:4b',
-                messages: [{ role: 'user', content: linterPrompt }],
-                format: 'json',
-                options: { temperature: 0 }
-            });
-            const content = response.message.content;
-            return JSON.parse(content);
-        } catch (e) {
-            this._log('Linter Crashed', { error: e.message });
-            return { valid: true }; // Fallback
-        }
-    }
-
-    async analyzeVisuals(screenshot, userIntent, currentCode) {
+    async analyzeVisuals(screenshot, userIntent, currentCode, options = {}) {
         if (!this.config.enableVisualQA) return { text: "Visual QA disabled", suggestedCode: null };
 
         await this.loadKnowledgeBase();
+        const { views, ...streamOptions } = options;
+        const imageDescription = views?.length > 0
+            ? `You are looking at a contact sheet of standard orthographic views of an OpenSCAD model: ${views.join(', ')}.
+Z is up. Front looks along +Y (X right, Z up), Top looks down (X right, Y up), Right looks along -X (Y right, Z up).
+A section view is the front view with the near half cut away at the middle of the model's bounding box along Y (its label gives the model Y coordinate of the cut), showing walls and internal cavities.
+Yellow dimension lines give the measured extents in millimeters.`
+            : 'You are looking at a screenshot of an OpenSCAD model.';
         const systemPrompt = `You are a visual quality assurance expert for 3D modeling.
-You are looking at a screenshot of an OpenSCAD model.
+${imageDescription}
 
 User's original intent: ${userIntent}
 Current Code:
@@ -381,130 +411,184 @@ ${currentCode}
 \`\`\`
 
 Task:
-1. Does the image match the user's intent?
+1. Does the model match the user's intent (shape, proportions, dimensions)?
 2. Are there any visible artifacts or mistakes?
 3. If it looks correct, say "LOOKS GOOD".
 4. If not, describe what is wrong and how to fix it in OpenSCAD code.`;
 
         const userPrompt = "Analyze this rendered model based on my intent.";
 
-        this._log('Visual Analysis Request', { userIntent, visionModel: this.visionModel });
+        this._log('Visual Analysis Request', { userIntent, visionModel: this.visionModel, views: views || null });
+
+        return this._sendMessage(this.visionProvider, this.visionModel, userPrompt, systemPrompt, screenshot, false, streamOptions);
+    }
 
-        if (this.visionProvider === 'gemini') {
-            return this._sendGeminiMessage(userPrompt, systemPrompt, screenshot, this.visionModel);
-        } else {
-            return this._sendOllamaMessage(this.visionModel, userPrompt, systemPrompt, screenshot);
+    /**
+     * Turn a free-text visual QA critique into a change request the fix step can apply
+     * @param {string} critique - analyzeVisuals() text
+     * @param {string} userIntent - The user's original request
+     * @param {Object} options - { onStream, signal }
+     * @returns {Object} - { changeRequest: { verdict: 'pass' | 'revise', summary, changes: [{ issue, change }] } | null, aborted, error }
+     */
+    async toChangeRequest(critique, userIntent, options = {}) {
+        const systemPrompt = `You turn a visual QA critique of a rendered OpenSCAD model into a structured change request.
+Return ONLY a JSON object:
+{
+  "verdict": "pass" | "revise",
+  "summary": "One sentence",
+  "changes": [ { "issue": "What is wrong in the render", "change": "Concrete code change: which part, which values" } ]
+}
+Use "pass" when the critique finds nothing that contradicts the user's intent.
+Only list changes the critique supports. Ignore colors, lighting, camera angle and render quality.`;
+        const userPrompt = `User's intent: ${userIntent}\n\nVisual QA critique:\n${critique}`;
+
+        this._log('Change Request Started', { model: this.reasoningModel });
+        const response = await this._sendMessage(this.reasoningProvider, this.reasoningModel, userPrompt, systemPrompt, null, true, options);
+        if (response.aborted) return { changeRequest: null, aborted: true, error: null };
+        if (!response.json) {
+            this._log('Change Request Failed', { response: response.text });
+            return { changeRequest: null, aborted: false, error: response.text || 'Model did not return JSON' };
         }
+
+        const parsed = response.json;
+        const changes = (Array.isArray(parsed.changes) ? parsed.changes : [])
+            .filter(item => item && typeof item.change === 'string' && item.change.trim())
+            .map(item => ({ issue: String(item.issue || ''), change: item.change.trim() }));
+        const changeRequest = {
+            verdict: parsed.verdict === 'revise' && changes.length > 0 ? 'revise' : 'pass',
+            summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+            changes
+        };
+        this._log('Change Request', changeRequest);
+        return { changeRequest, aborted: false };
     }
 
-    async _sendGeminiMessage(prompt, systemPrompt, screenshot = null, overrideModel = null, isJson = false) {
-        const modelId = overrideModel || this.reasoningModel;
-        try {
-            const model = this.genAI.getGenerativeModel({
-                model: modelId,
-                generationConfig: isJson ? { responseMimeType: "application/json" } : undefined
-            });
+    /**
+     * Change request as the error report of a VISUAL_QA fix
+     */
+    formatChangeRequest(changeRequest) {
+        return changeRequest.changes
+            .map(({ issue, change }) => `- ${issue ? `${issue} -> ` : ''}${change}`)
+            .join('\n');
+    }
 
-            const contents = [{
-                role: 'user',
-                parts: [{ text: prompt }]
-            }];
-
-            if (screenshot) {
-                const imageData = screenshot.split(',')[1] || screenshot;
-                contents[0].parts.push({
-                    inline_data: {
-                        data: imageData,
-                        mime_type: "image/png"
-                    }
-                });
-            }
+    /**
+     * Keep one visual QA round in the pipeline log. The image stays on the
+     * in-memory entry only; persisted logs would run into the storage quota.
+     */
+    logVisualQARound({ image, ...round }) {
+        const entry = this._log('Visual QA Round', round);
+        entry.image = image;
+        return entry;
+    }
 
-            const response = await model.generateContent({
-                systemInstruction: systemPrompt,
-                contents: contents
-            });
+    /**
+     * Stream a completion from a registered provider
+     * @param {string} providerId - Registry id ('ollama', 'gemini', 'openai')
+     * @param {Object} options - { onStream(partial), signal } (partial: { content, text, suggestedCode })
+     */
+    async _sendMessage(providerId, modelId, prompt, systemPrompt, screenshot = null, isJson = false, options = {}) {
+        const { onStream, signal } = options;
+        const provider = providerRegistry.get(providerId);
+        const label = provider?.label || providerId;
+        let content = '';
+        try {
+            if (!provider) throw new Error(`Unknown provider "${providerId}"`);
+            if (signal?.aborted) return this._finishResponse(label, modelId, content, isJson, true);
 
-            const content = response.response.text();
-
-            this._log('AI: Raw Response (Gemini)', { model: modelId, rawText: content });
-
-            if (isJson) {
-                try {
-                    const parsed = JSON.parse(content);
-                    return {
-                        text: parsed.description || "Generated successfully",
-                        suggestedCode: parsed.openscad_code,
-                        metadata: { name: parsed.name, parameters: parsed.parameters }
-                    };
-                } catch {
-                    this._log('Gemini JSON Parse Error', { content });
-                    return this._parseResponse(content);
+            content = await provider.chat({
+                model: modelId,
+                system: systemPrompt,
+                prompt,
+                image: screenshot,
+                json: isJson,
+                temperature: 0.2,
+                keepAlive: this.config.keepAlive,
+                signal,
+                onContent: (text) => {
+                    content = text;
+                    onStream?.(this._previewResponse(content, isJson));
                 }
-            }
+            });
 
-            const result = this._parseResponse(content);
-            this._log('Gemini Response', { model: modelId, response: result.text });
-            return result;
+            return this._finishResponse(label, modelId, content, isJson);
         } catch (err) {
-            this._log('Gemini Error', { error: err.message });
-            console.error("Gemini Error:", err);
-            return { text: `Gemini Error: ${err.message}`, suggestedCode: null };
+            if (signal?.aborted) return this._finishResponse(label, modelId, content, isJson, true);
+            this._log(`${label} Error`, { error: err.message });
+            console.error(`${label} Error:`, err);
+            return { text: `${label} Error: ${err.message}`, suggestedCode: null };
         }
     }
 
-    async _sendOllamaMessage(modelName, prompt, systemPrompt, screenshot = null, isJson = false) {
-        let imageData = null;
-        if (screenshot) {
-            imageData = screenshot.replace(/^data:image\/(png|jpg|jpeg);base64,/, '');
+    /**
+     * Turn a complete (or stopped) completion into { text, suggestedCode, metadata, json, aborted }
+     */
+    _finishResponse(provider, modelId, content, isJson, aborted = false) {
+        this._log(`AI: Raw Response (${provider})`, { model: modelId, rawText: content, aborted });
+
+        if (aborted) {
+            this._log(`${provider} Stopped`, { model: modelId, receivedChars: content.length });
+            const partial = this._previewResponse(content, isJson);
+            return {
+                text: partial.text,
+                suggestedCode: partial.suggestedCode,
+                metadata: isJson ? { name: this._readJsonString(content, 'name') } : null,
+                aborted: true
+            };
         }
 
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            {
-                role: 'user',
-                content: prompt,
-                ...(imageData && { images: [imageData] })
+        if (isJson) {
+            try {
+                const parsed = JSON.parse(content);
+                return {
+                    text: parsed.description || "Generated successfully",
+                    suggestedCode: parsed.openscad_code,
+                    metadata: { name: parsed.name, parameters: parsed.parameters },
+                    json: parsed
+                };
+            } catch {
+                this._log(`${provider} JSON Parse Error`, { content });
+                return this._parseResponse(content);
             }
-        ];
+        }
 
-        try {
-            const response = await this.ollama.chat({
-                model: modelName,
-                messages: messages,
-                stream: false,
-                format: isJson ? 'json' : undefined,
-                options: {
-                    keep_alive: this.config.keepAlive,
-                    temperature: 0.2
-                }
-            });
+        const result = this._parseResponse(content);
+        this._log(`${provider} Response`, { model: modelId, response: result.text });
+        return result;
+    }
 
-            const content = response.message.content;
-
-            this._log('AI: Raw Response (Ollama)', { model: modelName, rawText: content });
-
-            if (isJson) {
-                try {
-                    const parsed = JSON.parse(content);
-                    return {
-                        text: parsed.description || "Generated successfully",
-                        suggestedCode: parsed.openscad_code,
-                        metadata: { name: parsed.name, parameters: parsed.parameters }
-                    };
-                } catch {
-                    this._log('Ollama JSON Parse Error', { content });
-                    return this._parseResponse(content);
-                }
-            }
+    /**
+     * Best-effort view of an incomplete completion for progressive rendering
+     */
+    _previewResponse(content, isJson) {
+        if (isJson) {
+            return {
+                content,
+                text: this._readJsonString(content, 'description') || '',
+                suggestedCode: this._readJsonString(content, 'openscad_code')
+            };
+        }
+        // An unterminated code fence is still code
+        const codeMatch = content.match(/```(?:openscad|scad)?([\s\S]*?)(?:```|$)/i);
+        return {
+            content,
+            text: content.replace(/```[\s\S]*?(?:```|$)/g, '').trim(),
+            suggestedCode: codeMatch ? codeMatch[1].trim() || null : null
+        };
+    }
 
-            const result = this._parseResponse(content);
-            this._log('Ollama Response', { model: modelName, response: result.text });
-            return result;
-        } catch (err) {
-            this._log('Ollama Error', { error: err.message });
-            console.error("Ollama Error:", err);
-            return { text: `Ollama Error: ${err.message}`, suggestedCode: null };
+    /**
+     * Read a string field from possibly truncated JSON
+     */
+    _readJsonString(content, key) {
+        const match = content.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (!match) return null;
+        // Drop an escape sequence cut off by the end of the stream
+        const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+        try {
+            return JSON.parse(`"${raw}"`);
+        } catch {
+            return raw;
         }
     }
 
@@ -0,0 +1,249 @@
+/**
+ * Chunker - Splits knowledge sources into retrieval chunks without cutting
+ * through code. Shared by RAGService and the index scripts in /scripts, so it
+ * uses no browser APIs.
+ *
+ * Markdown is split at headings, never inside a fenced code block. A BOSL2
+ * wiki entry ("### Module: cuboid()") keeps its synopsis, usage, arguments
+ * table and examples in one chunk up to a larger limit; longer sections break
+ * between blocks, with captions kept next to the code they describe.
+ * OpenSCAD files are split at top-level module and function definitions,
+ * each with the doc comment above it.
+ *
+ * Chunk: { text, source, headings: [outermost → innermost heading], symbols: [module/function names] }
+ */
+
+const MAX_CHUNK_CHARS = 2000;
+// A documented BOSL2 symbol may run longer before its examples are split off
+const MAX_SYMBOL_CHARS = 6000;
+// Consecutive definitions shorter than this together (one-line functions) share a chunk
+const SCAD_MERGE_CHARS = 480;
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+// "Module: cuboid()", "Function&Module: path_sweep()", "Functions/Modules: xcopies(), ycopies()"
+const SYMBOL_HEADING = /^(?:Module|Function|Function&Module|Functions?\/Modules?|Constant|Attachable)s?:\s*(.+)$/;
+const DEFINITION = /^\s*(module|function)\s+([A-Za-z_$][\w$]*)/;
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*)/;
+const RULE_OR_BLANK = /^\s*((-{3,}|\*{3,}|_{3,})\s*)?$/;
+
+function symbolsOfHeading(title) {
+    const match = title.match(SYMBOL_HEADING);
+    if (!match) return [];
+    return match[1].split(',').map(name => name.trim().replace(/\(.*$/, '')).filter(Boolean);
+}
+
+/**
+ * Paragraphs, tables and fenced code blocks of a section body. A caption
+ * ("**Example 1:** ...", "**Arguments:**", a line ending in ':') or an image
+ * is joined with the block after it.
+ */
+function splitBlocks(lines) {
+    const blocks = [];
+    let current = [];
+    let fence = null;
+    const flush = () => {
+        if (current.some(line => line.trim())) blocks.push(current.join('\n'));
+        current = [];
+    };
+
+    for (const line of lines) {
+        const marker = line.match(FENCE)?.[1];
+        if (fence) {
+            current.push(line);
+            if (marker && marker[0] === fence[0] && marker.length >= fence.length) {
+                fence = null;
+                flush();
+            }
+        } else if (marker) {
+            fence = marker;
+            current.push(line);
+        } else if (RULE_OR_BLANK.test(line)) {
+            flush();
+        } else {
+            current.push(line);
+        }
+    }
+    flush();
+
+    const joined = [];
+    for (const block of blocks) {
+        const previous = joined[joined.length - 1];
+        const lastLine = previous?.trim().split('\n').pop() || '';
+        if (previous !== undefined && (/:\s*(\*\*)?\s*$/.test(lastLine) || /^\*\*[^*]+:?\*\*/.test(lastLine) || /^<img\b/i.test(lastLine))) {
+            joined[joined.length - 1] = `${previous}\n\n${block}`;
+        } else {
+            joined.push(block);
+        }
+    }
+    return joined;
+}
+
+/**
+ * Pack blocks into pieces of at most `limit` characters. A code block longer
+ * than the limit stays whole; long prose is split at line boundaries.
+ */
+function packBlocks(blocks, limit) {
+    const pieces = [];
+    let current = '';
+    for (const block of blocks) {
+        const hasCode = block.split('\n').some(line => FENCE.test(line));
+        const parts = block.length > limit && !hasCode ? splitLines(block, limit) : [block];
+        for (const part of parts) {
+            if (current && current.length + part.length + 2 > limit) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${part}` : part;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+function splitLines(text, limit) {
+    const parts = [];
+    let current = '';
+    const push = (line) => {
+        if (current && current.length + line.length + 1 > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+    };
+    for (const line of text.split('\n')) {
+        // A single line longer than the limit is cut
+        if (line.length > limit) line.match(new RegExp(`[\\s\\S]{1,${limit}}`, 'g')).forEach(push);
+        else push(line);
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * @param {string} text - Markdown
+ * @param {string} source - File path or label
+ * @returns {Array} - Chunks
+ */
+export function splitMarkdown(text, source) {
+    const sections = [];
+    const stack = []; // { level, title }
+    let section = { headings: [], headingLine: null, lines: [] };
+    let fence = null;
+
+    for (const line of (text || '').split('\n')) {
+        const marker = line.match(FENCE)?.[1];
+        if (fence) {
+            if (marker && marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+            section.lines.push(line);
+            continue;
+        }
+        if (marker) {
+            fence = marker;
+            section.lines.push(line);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (!heading) {
+            section.lines.push(line);
+            continue;
+        }
+        sections.push(section);
+        const level = heading[1].length;
+        while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+        stack.push({ level, title: heading[2] });
+        section = { headings: stack.map(h => h.title), headingLine: line.trim(), lines: [] };
+    }
+    sections.push(section);
+
+    const chunks = [];
+    for (const { headings, headingLine, lines } of sections) {
+        // Headings directly followed by a subheading live on in the subsections' heading paths
+        if (lines.every(line => RULE_OR_BLANK.test(line))) continue;
+
+        const symbols = symbolsOfHeading(headings[headings.length - 1] || '');
+        const limit = symbols.length ? MAX_SYMBOL_CHARS : MAX_CHUNK_CHARS;
+        const pieces = packBlocks(splitBlocks(lines), limit - (headingLine?.length || 0));
+
+        pieces.forEach((piece, i) => {
+            // Continuations repeat the heading so every chunk says what it documents
+            const title = headingLine ? (i === 0 ? headingLine : `${headingLine} (continued)`) : null;
+            chunks.push({ text: title ? `${title}\n\n${piece}` : piece, source, headings, symbols });
+        });
+    }
+    return chunks;
+}
+
+/**
+ * Top-level module/function definitions: braces are counted outside comments and strings
+ * @returns {Array} - [{ line, name }]
+ */
+function findDefinitions(lines) {
+    const definitions = [];
+    let depth = 0;
+    let inComment = false;
+
+    lines.forEach((line, index) => {
+        if (depth === 0 && !inComment) {
+            const match = line.match(DEFINITION);
+            if (match) definitions.push({ line: index, name: match[2] });
+        }
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (inComment) {
+                if (ch === '*' && line[i + 1] === '/') {
+                    inComment = false;
+                    i++;
+                }
+            } else if (ch === '/' && line[i + 1] === '/') {
+                break;
+            } else if (ch === '/' && line[i + 1] === '*') {
+                inComment = true;
+                i++;
+            } else if (ch === '"') {
+                for (i++; i < line.length && line[i] !== '"'; i++) {
+                    if (line[i] === '\\') i++;
+                }
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}') {
+                depth = Math.max(0, depth - 1);
+            }
+        }
+    });
+    return definitions;
+}
+
+/**
+ * @param {string} text - OpenSCAD source
+ * @param {string} source - File path or label
+ * @returns {Array} - Chunks; code before the first definition (includes, parameters) is one of its own
+ */
+export function splitScad(text, source) {
+    const lines = (text || '').split('\n');
+    const pieces = [{ start: 0, symbols: [] }];
+
+    for (const { line, name } of findDefinitions(lines)) {
+        const previous = pieces[pieces.length - 1];
+        // The doc comment above a definition belongs to it
+        let start = line;
+        while (start > previous.start && COMMENT_LINE.test(lines[start - 1])) start--;
+        if (start > previous.start) pieces.push({ start, symbols: [name] });
+        else previous.symbols.push(name);
+    }
+
+    const chunks = [];
+    pieces.forEach((piece, i) => {
+        const chunkText = lines.slice(piece.start, pieces[i + 1]?.start ?? lines.length).join('\n').trim();
+        if (!chunkText) return;
+        const previous = chunks[chunks.length - 1];
+        if (previous && previous.text.length + chunkText.length + 2 <= SCAD_MERGE_CHARS) {
+            previous.text += `\n\n${chunkText}`;
+            previous.symbols.push(...piece.symbols);
+        } else {
+            chunks.push({ text: chunkText, source, headings: [], symbols: [...piece.symbols] });
+        }
+    });
+    return chunks;
+}
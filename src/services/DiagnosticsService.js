@@ -0,0 +1,193 @@
+/**
+ * DiagnosticsService - Turns OpenSCAD stderr into structured diagnostics
+ * ({ severity, message, file, line, column, category }) for editor markers,
+ * the problems list and the fix prompt.
+ *
+ * Recognized lines:
+ *   ERROR: Parser error: syntax error in file /input.scad, line 1
+ *   WARNING: Ignoring unknown module 'foo' in file /input.scad, line 1
+ *   TRACE: called by 'assert' in file /input.scad, line 4
+ *   CGAL error / "Current top level object is empty." (no location)
+ */
+
+const INPUT_FILE = '/input.scad';
+
+const SEVERITY_LINE = /^(ERROR|WARNING|TRACE|DEPRECATED):\s*(.*)$/;
+const LOCATION = /,?\s*in file ([^,]+), line (\d+)(?:, column (\d+))?\.?\s*$/;
+
+// Lines without a severity prefix that still describe a failure
+const UNPREFIXED = [
+    { pattern: /CGAL error|assertion violation/i, severity: 'error' },
+    { pattern: /^Current top level object is empty/, severity: 'error' },
+    { pattern: /^Current top level object is not a [23]D object/, severity: 'error' }
+];
+
+const CATEGORIES = [
+    { category: 'SYNTAX_ERROR', pattern: /syntax error|Parser error|Parse error/i },
+    { category: 'UNDEFINED_VARIABLE', pattern: /unknown variable|undefined variable/i },
+    { category: 'UNKNOWN_MODULE', pattern: /unknown module/i },
+    { category: 'UNKNOWN_FUNCTION', pattern: /unknown function/i },
+    { category: 'ASSERTION_FAILED', pattern: /^Assertion .* failed/ },
+    { category: 'FILE_NOT_FOUND', pattern: /Can't open (include|library|input) file|No such file/i },
+    { category: 'ARGUMENT_MISMATCH', pattern: /unnamed arguments|not specified as parameter|wrong number of arguments|undefined operation|Unable to convert/i },
+    { category: 'DIMENSIONALITY_MIXING', pattern: /Mixing 2D and 3D|Scaling a 2D object with 0|Empty extrusion|not a [23]D object/i },
+    { category: 'EMPTY_GEOMETRY', pattern: /top level object is empty/i },
+    { category: 'CGAL_ASSERTION_VIOLATION', pattern: /CGAL error|assertion violation|e_below != SHalfedge_handle/i },
+    { category: 'NON_MANIFOLD', pattern: /non-manifold/i },
+    { category: 'RECURSION', pattern: /Recursion detected|stack overflow/i },
+    { category: 'DEPRECATED', pattern: /deprecated/i }
+];
+
+// Marker source label by diagnostic origin (compiler diagnostics have none)
+const MARKER_SOURCES = {
+    parser: 'OpenSCAD parser',
+    validator: 'Geometry validator'
+};
+
+class DiagnosticsService {
+    /**
+     * Parse compiler output into diagnostics
+     * @param {string} logs - OpenSCAD stderr, newline separated
+     * @returns {Array} - [{ severity, message, file, line, column, category, inInput, editorLine, raw }]
+     *   editorLine is the line in the user's code to mark: the diagnostic's own line, or for
+     *   problems inside libraries the first TRACE frame that points back into the user's code.
+     */
+    parse(logs) {
+        if (!logs) return [];
+        const diagnostics = [];
+        const seen = new Set();
+        let lastProblem = null;
+        let skipTrace = false;
+
+        for (const raw of logs.split('\n')) {
+            const text = raw.trim();
+            if (!text) continue;
+
+            const diagnostic = this._parseLine(text);
+            if (!diagnostic) continue;
+
+            // Rendering several outputs re-evaluates the file and repeats its messages
+            if (diagnostic.severity !== 'trace') {
+                skipTrace = seen.has(text);
+                seen.add(text);
+            }
+            if (skipTrace) continue;
+
+            if (diagnostic.severity === 'trace') {
+                // Library problems are shown where the user's code called into the library
+                if (lastProblem && !lastProblem.editorLine && diagnostic.inInput) {
+                    lastProblem.editorLine = diagnostic.line;
+                }
+            } else {
+                lastProblem = diagnostic;
+            }
+            diagnostics.push(diagnostic);
+        }
+
+        return diagnostics;
+    }
+
+    _parseLine(text) {
+        let severity;
+        let body;
+
+        const prefixed = text.match(SEVERITY_LINE);
+        if (prefixed) {
+            severity = prefixed[1] === 'DEPRECATED' ? 'warning' : prefixed[1].toLowerCase();
+            body = prefixed[2];
+        } else {
+            const match = UNPREFIXED.find(rule => rule.pattern.test(text));
+            if (!match) return null;
+            severity = match.severity;
+            body = text;
+        }
+
+        let file = null;
+        let line = null;
+        let column = null;
+        const location = body.match(LOCATION);
+        if (location) {
+            file = location[1].trim().replace(/^"|"$/g, '');
+            line = parseInt(location[2], 10);
+            column = location[3] ? parseInt(location[3], 10) : null;
+            body = body.slice(0, location.index);
+        }
+
+        const inInput = file === INPUT_FILE;
+        return {
+            severity,
+            message: body.trim(),
+            file,
+            line,
+            column,
+            category: this.categorize(body),
+            inInput,
+            editorLine: inInput ? line : null,
+            raw: text
+        };
+    }
+
+    /**
+     * Category label for a single message
+     */
+    categorize(text) {
+        const match = CATEGORIES.find(rule => rule.pattern.test(text));
+        return match ? match.category : 'GENERAL_ERROR';
+    }
+
+    /**
+     * Errors and warnings only (TRACE frames are context)
+     */
+    getProblems(diagnostics) {
+        return (diagnostics || []).filter(d => d.severity !== 'trace');
+    }
+
+    /**
+     * Human/LLM readable list used in the fix prompt
+     */
+    format(diagnostics) {
+        return (diagnostics || []).map(d => {
+            const where = d.line
+                ? (d.inInput ? ` (line ${d.line})` : ` (${d.file}, line ${d.line})`)
+                : '';
+            const prefix = d.severity === 'trace' ? '    TRACE' : `- ${d.severity.toUpperCase()} [${d.category}]`;
+            return `${prefix}${where}: ${d.message}`;
+        }).join('\n');
+    }
+
+    /**
+     * Monaco model markers for diagnostics that map to a line of the user's code
+     * @param {Array} diagnostics - Result of parse()
+     * @param {Object} monaco - Monaco namespace (for MarkerSeverity)
+     * @param {Object} model - Editor text model
+     */
+    toMarkers(diagnostics, monaco, model) {
+        const severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            trace: monaco.MarkerSeverity.Info
+        };
+        const lineCount = model.getLineCount();
+
+        return this.getProblems(diagnostics)
+            .filter(d => d.editorLine)
+            .map(d => {
+                const line = Math.min(d.editorLine, lineCount);
+                const startColumn = d.column || model.getLineFirstNonWhitespaceColumn(line) || 1;
+                // Parser diagnostics carry an exact range; compiler ones underline the rest of the line
+                const endLine = d.endLine ? Math.min(d.endLine, lineCount) : line;
+                return {
+                    severity: severities[d.severity] ?? monaco.MarkerSeverity.Info,
+                    message: d.inInput ? d.message : `${d.message} (in ${d.file}, line ${d.line})`,
+                    code: d.category,
+                    source: MARKER_SOURCES[d.source] || 'OpenSCAD',
+                    startLineNumber: line,
+                    startColumn,
+                    endLineNumber: endLine,
+                    endColumn: d.endColumn || model.getLineMaxColumn(endLine)
+                };
+            });
+    }
+}
+
+export const diagnosticsService = new DiagnosticsService();
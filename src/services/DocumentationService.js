@@ -0,0 +1,119 @@
+import { localDBService } from './LocalDBService';
+import openscadReference from '../../rag_data/openscad_reference.md?raw';
+
+/**
+ * DocumentationService - Offline symbol lookup for editor hovers and the docs
+ * panel. Searches the BOSL2 wiki chunks in the `knowledge` store and the
+ * bundled OpenSCAD quick reference by name (no embeddings needed).
+ *
+ * Section: { title, content, source, score }
+ */
+
+const REFERENCE_SOURCE = 'openscad_reference.md';
+const MAX_SECTION_LENGTH = 2000;
+
+class DocumentationService {
+    constructor() {
+        this.sections = null; // Lazily built list of { title, content, source }
+        this.loading = null;
+        this.cache = new Map();
+        this.referenceSections = this._splitMarkdown(openscadReference, REFERENCE_SOURCE);
+    }
+
+    /**
+     * Drop the indexed sections (call after the knowledge store changes)
+     */
+    invalidate() {
+        this.sections = null;
+        this.loading = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Find the reference sections documenting a symbol
+     * @param {string} symbol - Module, function or special variable name (e.g. 'cuboid', '$fn')
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array>} - Sections sorted by relevance
+     */
+    async lookup(symbol, { limit = 3 } = {}) {
+        if (!symbol) return [];
+        const key = `${symbol}:${limit}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const sections = await this._loadSections();
+        const results = sections
+            .map(section => ({ ...section, score: this._score(section, symbol) }))
+            .filter(section => section.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        this.cache.set(key, results);
+        return results;
+    }
+
+    async _loadSections() {
+        if (this.sections) return this.sections;
+        if (!this.loading) {
+            this.loading = (async () => {
+                let knowledge = [];
+                try {
+                    const { data } = await localDBService.getAllKnowledge();
+                    // Only the BOSL2 wiki; chunks without a corpus predate the other corpora
+                    knowledge = (data || []).filter(chunk => (chunk.metadata?.corpus || 'bosl2') === 'bosl2').map(chunk => ({
+                        title: this._firstLine(chunk.content),
+                        content: chunk.content,
+                        source: chunk.source || chunk.metadata?.source || 'knowledge'
+                    }));
+                } catch (err) {
+                    console.warn('Documentation lookup: knowledge store unavailable', err);
+                }
+                this.sections = [...this.referenceSections, ...knowledge];
+                return this.sections;
+            })().finally(() => { this.loading = null; });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Relevance of a section for a symbol: a defining heading beats usage in examples
+     */
+    _score(section, symbol) {
+        const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const boundary = `(?<![\\w$])${escaped}(?![\\w$])`;
+        let score = 0;
+
+        // BOSL2 wiki headings: "Module: cuboid()", "Function: rot()", "Function&Module: ..."
+        if (new RegExp(`^(?:Module|Function|Function&Module|Constant|Attachable): ${escaped}(?:\\(\\))?\\s*$`).test(section.title)) {
+            score += 100;
+        } else if (new RegExp(boundary).test(section.title)) {
+            score += 30;
+        }
+
+        const calls = section.content.match(new RegExp(`${boundary}\\s*\\(`, 'g'));
+        if (calls) score += Math.min(calls.length, 10) * 3;
+
+        const mentions = section.content.match(new RegExp(boundary, 'g'));
+        if (mentions) score += Math.min(mentions.length, 10);
+
+        return score;
+    }
+
+    /**
+     * Split markdown into heading sections (## and ###)
+     */
+    _splitMarkdown(text, source) {
+        return text.split(/^#{2,3}\s+/m)
+            .filter(part => part.trim())
+            .map(part => ({
+                title: this._firstLine(part),
+                content: part.length > MAX_SECTION_LENGTH ? part.slice(0, MAX_SECTION_LENGTH) + '\n...' : part.trim(),
+                source
+            }));
+    }
+
+    _firstLine(text) {
+        return (text || '').trim().split('\n')[0].replace(/^#+\s*/, '').trim();
+    }
+}
+
+export const documentationService = new DocumentationService();
@@ -0,0 +1,269 @@
+/**
+ * ExportService - Export formats supported by the OpenSCAD WASM build and
+ * helpers to package and download the results.
+ *
+ * 3MF is requested from OpenSCAD with the model name and parameters as
+ * metadata. When the WASM exporter fails, the package is assembled here from
+ * the OFF mesh of the same render.
+ */
+
+const APPLICATION = 'AiXopenscad';
+
+const FORMATS = {
+    stl: { label: 'STL', extension: 'stl', mimeType: 'model/stl', dimension: '3D', description: 'Mesh for slicers' },
+    '3mf': { label: '3MF', extension: '3mf', mimeType: 'model/3mf', dimension: '3D', description: 'Mesh with metadata' },
+    off: { label: 'OFF', extension: 'off', mimeType: 'text/plain', dimension: '3D', description: 'Object File Format' },
+    amf: { label: 'AMF', extension: 'amf', mimeType: 'application/x-amf', dimension: '3D', description: 'Additive Manufacturing Format' },
+    dxf: { label: 'DXF', extension: 'dxf', mimeType: 'image/vnd.dxf', dimension: '2D', description: 'Drawing for CAD / laser cutting' },
+    svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml', dimension: '2D', description: 'Vector drawing' }
+};
+
+let crcTable = null;
+
+class ExportService {
+    constructor() {
+        this.FORMATS = FORMATS;
+    }
+
+    /**
+     * Formats applicable to a design of the given dimension ('2D' | '3D')
+     */
+    getFormats(dimension) {
+        return Object.entries(FORMATS)
+            .filter(([, spec]) => !dimension || spec.dimension === dimension)
+            .map(([id, spec]) => ({ id, ...spec }));
+    }
+
+    /**
+     * Extra OpenSCAD CLI arguments for an export (3MF metadata)
+     * @param {string} format - Export format id
+     * @param {Object} metadata - { name, parameters }
+     */
+    getExportArgs(format, metadata = {}) {
+        if (format !== '3mf') return [];
+        const args = [
+            '-O', `export-3mf/meta-data-title=${metadata.name || 'Untitled Model'}`,
+            '-O', `export-3mf/meta-data-designer=${APPLICATION}`
+        ];
+        const description = this.describeParameters(metadata.parameters);
+        if (description) {
+            args.push('-O', `export-3mf/meta-data-description=${description}`);
+        }
+        return args;
+    }
+
+    /**
+     * "width = 40, holes = true" summary of the Customizer values
+     */
+    describeParameters(parameters) {
+        const entries = Object.entries(parameters || {});
+        if (entries.length === 0) return '';
+        return entries.map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ');
+    }
+
+    /**
+     * Convert an OFF mesh to a 3MF package
+     * @param {Uint8Array} offData - OFF file produced by OpenSCAD
+     * @param {Object} metadata - { name, parameters }
+     * @returns {Uint8Array} - Zipped 3MF package
+     */
+    offTo3MF(offData, metadata = {}) {
+        const mesh = this.parseOFF(new TextDecoder().decode(offData));
+        const encoder = new TextEncoder();
+        return this._zip([
+            { name: '[Content_Types].xml', data: encoder.encode(this._contentTypesXml()) },
+            { name: '_rels/.rels', data: encoder.encode(this._relsXml()) },
+            { name: '3D/3dmodel.model', data: encoder.encode(this._modelXml(mesh, metadata)) }
+        ]);
+    }
+
+    /**
+     * Parse an OFF file into vertices and triangles (polygons are fan-triangulated)
+     */
+    parseOFF(text) {
+        const lines = text.split('\n')
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(Boolean);
+
+        let index = 0;
+        let header = lines[index++] || '';
+        if (!header.startsWith('OFF')) throw new Error('Invalid OFF file');
+        // Counts may follow the keyword on the same line
+        header = header.slice(3).trim() || lines[index++];
+        const [vertexCount, faceCount] = header.split(/\s+/).map(Number);
+
+        const vertices = [];
+        for (let i = 0; i < vertexCount; i++) {
+            vertices.push(lines[index++].split(/\s+/).slice(0, 3).map(Number));
+        }
+
+        const triangles = [];
+        for (let i = 0; i < faceCount; i++) {
+            const values = lines[index++].split(/\s+/).map(Number);
+            const polygon = values.slice(1, 1 + values[0]);
+            for (let k = 1; k < polygon.length - 1; k++) {
+                triangles.push([polygon[0], polygon[k], polygon[k + 1]]);
+            }
+        }
+        return { vertices, triangles };
+    }
+
+    /**
+     * File name for a download, derived from the model name
+     */
+    getFileName(name, extension) {
+        const base = name ? name.trim().replace(/\s+/g, '_').replace(/[^\w.-]/g, '') : '';
+        return `${base || `model_${Date.now()}`}.${extension}`;
+    }
+
+    /**
+     * Trigger a browser download of binary data
+     */
+    download(data, fileName, mimeType = 'application/octet-stream') {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    _modelXml({ vertices, triangles }, metadata) {
+        const entries = [
+            ['Title', metadata.name || 'Untitled Model'],
+            ['Designer', APPLICATION],
+            ['Application', APPLICATION],
+            ['CreationDate', new Date().toISOString().slice(0, 10)]
+        ];
+        const description = this.describeParameters(metadata.parameters);
+        if (description) entries.push(['Description', description]);
+
+        const metaXml = entries
+            .map(([name, value]) => `  <metadata name="${name}">${this._escapeXml(value)}</metadata>`);
+        if (metadata.parameters && Object.keys(metadata.parameters).length > 0) {
+            // Machine readable copy of the Customizer values
+            metaXml.push(`  <metadata name="aix:parameters" preserve="1">${this._escapeXml(JSON.stringify(metadata.parameters))}</metadata>`);
+        }
+
+        const vertexXml = vertices.map(([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`).join('\n          ');
+        const triangleXml = triangles.map(([a, b, c]) => `<triangle v1="${a}" v2="${b}" v3="${c}"/>`).join('\n          ');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:aix="urn:aixopenscad:metadata">
+${metaXml.join('\n')}
+  <resources>
+    <object id="1" type="model" name="${this._escapeXml(metadata.name || 'Model')}">
+      <mesh>
+        <vertices>
+          ${vertexXml}
+        </vertices>
+        <triangles>
+          ${triangleXml}
+        </triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build>
+    <item objectid="1"/>
+  </build>
+</model>
+`;
+    }
+
+    _contentTypesXml() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+    }
+
+    _relsXml() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+    }
+
+    _escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Minimal ZIP writer (stored, no compression) - enough for OPC packages
+     */
+    _zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this._crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);       // version needed
+            local.setUint16(8, 0, true);        // method: stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);       // version made by
+            entry.setUint16(6, 20, true);       // version needed
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, file.data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            result.set(part, position);
+            position += part.length;
+        }
+        return result;
+    }
+
+    _crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+export const exportService = new ExportService();
@@ -1,285 +1,191 @@
+import { openSCADParser } from './OpenSCADParser.js';
+import { DEFAULT_RULES } from './geometryRules/index.js';
+import { collectModules } from './geometryRules/scadAst.js';
+import { applyEdits, editsOverlap } from './geometryRules/edits.js';
+
+// Variables that conventionally hold an epsilon overlap
+const EPSILON_NAME = /^(eps|epsilon|fudge|overlap|tol|tolerance|clearance)$/i;
+const EPSILON_MAX = 0.1;
+
 /**
  * GeometryValidator - Pre-compilation validation for OpenSCAD code
- * Detects common CGAL issues before compilation to prevent errors
+ * Detects common CGAL issues before compilation to prevent errors.
+ *
+ * Runs rule plugins over the OpenSCADParser AST; see geometryRules/ for the
+ * built-in rules and registerRule() to add more. Issues carry the exact
+ * range of the statement they refer to; rules with quickFixes() also offer
+ * deterministic text edits (editor code actions and the pipeline's first
+ * repair attempt).
  */
 class GeometryValidator {
     constructor() {
-        this.validationRules = {
-            epsilon: {
-                pattern: /difference\s*\(\s*\)/,
-                check: (code) => this.checkEpsilonUsage(code)
-            },
-            dimensions: {
-                check: (code) => this.checkDimensions(code)
-            },
-            nesting: {
-                check: (code) => this.checkBooleanNesting(code)
-            },
-            dimensionality: {
-                check: (code) => this.checkDimensionality(code)
-            }
-        };
+        this.rules = new Map();
+        DEFAULT_RULES.forEach(rule => this.registerRule(rule));
+    }
+
+    /**
+     * @param {Object} rule - { id, description, check(context) => issues, quickFixes?(issue, context) => fixes, repairs? }
+     *   repairs: compile error categories the rule's preferred fixes can resolve (see suggestFixes)
+     *   context: { ast, code, modules (name -> ModuleDefinition), epsilonNames }
+     *   issue: { type, severity: 'error' | 'warning' | 'info', message, fix, loc, node? }
+     *   fix: { title, edits: [{ line, column, endLine, endColumn, text }], isPreferred? }
+     */
+    registerRule(rule) {
+        this.rules.set(rule.id, rule);
+    }
+
+    unregisterRule(id) {
+        this.rules.delete(id);
     }
 
     /**
      * Validate OpenSCAD code for CGAL-safe patterns
      * @param {string} code - OpenSCAD code to validate
      * @returns {Object} - { valid: boolean, warnings: [], errors: [] }
+     *   issues: { rule, type, severity, message, fix, line, column, endLine, endColumn }
      */
     validate(code) {
+        return this._run(code).result;
+    }
+
+    _run(code) {
         const result = {
             valid: true,
             warnings: [],
             errors: []
         };
+        const issues = [];
 
-        // Check 1: Epsilon definition and usage
-        const epsCheck = this.checkEpsilonUsage(code);
-        if (!epsCheck.valid) {
-            result.errors.push(...epsCheck.errors);
-            result.valid = false;
-        }
-        result.warnings.push(...epsCheck.warnings);
-
-        // Check 2: Dimension validation
-        const dimCheck = this.checkDimensions(code);
-        result.warnings.push(...dimCheck.warnings);
-
-        // Check 3: Boolean nesting depth
-        const nestCheck = this.checkBooleanNesting(code);
-        result.warnings.push(...nestCheck.warnings);
-
-        // Check 4: $fn specification
-        const fnCheck = this.checkFnSpecification(code);
-        result.warnings.push(...fnCheck.warnings);
-
-        // Check 5: 2D/3D Dimensionality mixing
-        const dimMixCheck = this.checkDimensionality(code);
-        result.warnings.push(...dimMixCheck.warnings);
+        // Code that doesn't parse is reported by OpenSCADParser
+        const { ast } = openSCADParser.analyze(code || '');
+        if (!ast) return { result, issues, context: null };
 
-        return result;
-    }
-
-    /**
-     * Check epsilon usage in difference operations
-     */
-    checkEpsilonUsage(code) {
-        const result = { valid: true, errors: [], warnings: [] };
-
-        // Check if eps is defined
-        const epsDefinition = /eps\s*=\s*[\d.]+\s*;/;
-        const hasEpsDefinition = epsDefinition.test(code);
-
-        // Find all difference() operations
-        const differencePattern = /difference\s*\(\s*\)\s*\{/g;
-        const differences = code.match(differencePattern);
+        const context = {
+            ast,
+            code: code || '',
+            modules: collectModules(ast),
+            epsilonNames: this._findEpsilonNames(ast)
+        };
 
-        if (differences && differences.length > 0) {
-            if (!hasEpsDefinition) {
-                result.errors.push({
-                    type: 'MISSING_EPSILON_DEFINITION',
-                    message: 'Epsilon (eps) not defined. Add "eps = 0.01;" at the top of your code.',
-                    severity: 'error',
-                    fix: 'Add this line at the beginning: eps = 0.01;'
-                });
-                result.valid = false;
-            } else {
-                // Check if eps is actually used in difference operations
-                const epsUsagePattern = /translate\s*\(\s*\[[^\]]*-eps[^\]]*\]\s*\)/;
-                const hasEpsUsage = epsUsagePattern.test(code);
+        for (const rule of this.rules.values()) {
+            let ruleIssues;
+            try {
+                ruleIssues = rule.check(context) || [];
+            } catch (err) {
+                console.warn(`Geometry rule '${rule.id}' failed:`, err);
+                continue;
+            }
 
-                if (!hasEpsUsage) {
-                    result.warnings.push({
-                        type: 'EPSILON_NOT_USED',
-                        message: 'Epsilon defined but not used in difference() operations.',
-                        severity: 'warning',
-                        fix: 'Use eps in translate() for subtracted objects: translate([x,y,-eps])'
-                    });
+            for (const issue of ruleIssues) {
+                // The AST node stays with the rule (quick fixes); entries are plain data
+                const { loc, node: _node, ...fields } = issue;
+                const entry = {
+                    rule: rule.id,
+                    severity: 'warning',
+                    ...fields,
+                    line: loc?.line,
+                    column: loc?.column,
+                    endLine: loc?.endLine,
+                    endColumn: loc?.endColumn
+                };
+                if (entry.severity === 'error') {
+                    result.errors.push(entry);
+                    result.valid = false;
+                } else {
+                    result.warnings.push(entry);
                 }
+                issues.push({ rule, issue, entry });
             }
         }
 
-        return result;
+        return { result, issues, context };
     }
 
     /**
-     * Check for problematic dimensions
+     * Quick fixes for every issue that has one
+     * @returns {Array} - [{ title, edits, isPreferred, issue }] (issue: validation entry)
      */
-    checkDimensions(code) {
-        const result = { warnings: [] };
-
-        // Find numeric values in the code
-        const numberPattern = /\b(\d+\.?\d*)\b/g;
-        const numbers = [];
-        let match;
-
-        while ((match = numberPattern.exec(code)) !== null) {
-            const num = parseFloat(match[1]);
-            if (!isNaN(num)) {
-                numbers.push(num);
+    getQuickFixes(code) {
+        const { issues, context } = this._run(code);
+        const fixes = [];
+        for (const { rule, issue, entry } of issues) {
+            if (!rule.quickFixes) continue;
+            try {
+                (rule.quickFixes(issue, context) || []).forEach(fix => fixes.push({ ...fix, issue: entry }));
+            } catch (err) {
+                console.warn(`Quick fix of geometry rule '${rule.id}' failed:`, err);
             }
         }
-
-        // Check for very small dimensions
-        const tooSmall = numbers.filter(n => n > 0 && n < 0.01);
-        if (tooSmall.length > 0) {
-            result.warnings.push({
-                type: 'DIMENSION_TOO_SMALL',
-                message: `Found ${tooSmall.length} dimension(s) < 0.01. This may cause CGAL precision errors.`,
-                severity: 'warning',
-                fix: 'Use dimensions >= 0.1 for reliable geometry'
-            });
-        }
-
-        // Check for very large dimensions
-        const tooLarge = numbers.filter(n => n > 10000);
-        if (tooLarge.length > 0) {
-            result.warnings.push({
-                type: 'DIMENSION_TOO_LARGE',
-                message: `Found ${tooLarge.length} dimension(s) > 10000. This may cause numerical issues.`,
-                severity: 'warning',
-                fix: 'Keep dimensions <= 1000 for best results'
-            });
-        }
-
-        return result;
+        return fixes;
     }
 
     /**
-     * Check boolean operation nesting depth
+     * Errors and warnings in the DiagnosticsService shape for editor markers
      */
-    checkBooleanNesting(code) {
-        const result = { warnings: [] };
-
-        // Count nesting depth of boolean operations
-        const booleanOps = ['difference', 'union', 'intersection'];
-        let maxDepth = 0;
-        let currentDepth = 0;
-
-        // Simple depth tracking (not perfect but catches most cases)
-        const lines = code.split('\n');
-        for (const line of lines) {
-            for (const op of booleanOps) {
-                if (line.includes(`${op}(`)) {
-                    currentDepth++;
-                    maxDepth = Math.max(maxDepth, currentDepth);
-                }
-            }
-            // Count closing braces
-            const closingBraces = (line.match(/\}/g) || []).length;
-            currentDepth = Math.max(0, currentDepth - closingBraces);
-        }
-
-        if (maxDepth > 3) {
-            result.warnings.push({
-                type: 'DEEP_BOOLEAN_NESTING',
-                message: `Boolean operation nesting depth is ${maxDepth} (recommended: <= 3).`,
-                severity: 'warning',
-                fix: 'Simplify by breaking into separate modules or using intermediate variables'
-            });
-        }
-
-        return result;
+    toDiagnostics(validationResult) {
+        return [...validationResult.errors, ...validationResult.warnings]
+            .filter(issue => issue.line && issue.severity !== 'info')
+            .map(issue => ({
+                severity: issue.severity,
+                message: `${issue.message} ${issue.fix ? `Fix: ${issue.fix}` : ''}`.trim(),
+                file: '/input.scad',
+                line: issue.line,
+                column: issue.column,
+                endLine: issue.endLine,
+                endColumn: issue.endColumn,
+                category: issue.type,
+                inInput: true,
+                editorLine: issue.line,
+                source: 'validator',
+                raw: issue.message
+            }));
     }
 
     /**
-     * Check for 2D/3D dimensionality mixing and empty extrusions
+     * Top-level variables named like an epsilon or holding a tiny positive number
      */
-    checkDimensionality(code) {
-        const result = { warnings: [] };
-
-        // 1. Detect 2D objects that might be mixed into 3D scenes
-        // circle, square, polygon, text
-        const twoDPrimitives = ['circle', 'square', 'polygon', 'text'];
-
-        // This is a naive check: if we see 2D primitives and 3D primitives (cube, cylinder, sphere, cyl, cuboid)
-        // in the same file, warn about potential mixing if no extrusions are present.
-        const threeDPrimitives = ['cube', 'cylinder', 'sphere', 'cyl', 'cuboid', 'torus', 'rect_tube', 'tube'];
-
-        const has2D = twoDPrimitives.some(p => new RegExp(`\\b${p}\\s*\\(`).test(code));
-        const has3D = threeDPrimitives.some(p => new RegExp(`\\b${p}\\s*\\(`).test(code));
-        const hasExtrusion = /\b(linear_extrude|rotate_extrude)\b/.test(code);
-
-        if (has2D && has3D && !hasExtrusion) {
-            result.warnings.push({
-                type: 'DIMENSIONALITY_MIXING',
-                message: 'Detected both 2D and 3D primitives without extrusions. This often causes "Scaling a 2D object with 0" errors.',
-                severity: 'warning',
-                fix: 'Wrap 2D objects (circle, square, etc.) in linear_extrude() or rotate_extrude()'
-            });
-        }
-
-        // 2. Detect empty extrusions: linear_extrude(h=...) {};
-        const emptyExtrusionPattern = /linear_extrude\s*\([^)]*\)\s*\{\s*;\s*\}/g;
-        if (emptyExtrusionPattern.test(code)) {
-            result.warnings.push({
-                type: 'EMPTY_EXTRUSION',
-                message: 'Detected linear_extrude() with no children.',
-                severity: 'warning',
-                fix: 'Add a 2D object (like circle or square) inside the extrusion braces'
-            });
+    _findEpsilonNames(ast) {
+        const names = new Set(['EPSILON']); // BOSL2 constant
+        for (const statement of ast.body) {
+            if (statement?.type !== 'Assignment') continue;
+            const { name, value } = statement;
+            const tiny = value.type === 'Number' && value.value > 0 && value.value <= EPSILON_MAX;
+            if (EPSILON_NAME.test(name) || tiny) names.add(name);
         }
-
-        return result;
+        return names;
     }
 
     /**
-     * Check $fn specification for curves
+     * Apply the preferred quick fix of every error and warning at once
+     * (informational findings like $fn are left to the user)
+     * @param {string} code
+     * @param {string[]} [errorCategories] - Compile error categories to repair; only rules
+     *   whose `repairs` list one of them contribute fixes. All rules when omitted.
+     * @returns {Object} - { fixedCode, fixes: [titles] }
      */
-    checkFnSpecification(code) {
-        const result = { warnings: [] };
-
-        // Check for cylinder, sphere without $fn
-        const curveOps = ['cylinder', 'sphere'];
-        const fnPattern = /\$fn\s*=/;
-
-        for (const op of curveOps) {
-            const opPattern = new RegExp(`${op}\\s*\\([^)]*\\)`, 'g');
-            const matches = code.match(opPattern);
-
-            if (matches) {
-                for (const match of matches) {
-                    if (!fnPattern.test(match)) {
-                        result.warnings.push({
-                            type: 'MISSING_FN',
-                            message: `${op}() found without $fn specification. May result in faceted appearance.`,
-                            severity: 'info',
-                            fix: `Add $fn parameter: ${op}(..., $fn=50)`
-                        });
-                        break; // Only warn once per operation type
-                    }
-                }
-            }
+    suggestFixes(code, errorCategories = null) {
+        const accepted = [];
+        const titles = [];
+
+        for (const fix of this.getQuickFixes(code)) {
+            if (!fix.isPreferred || fix.issue.severity === 'info') continue;
+            if (errorCategories && !(this.rules.get(fix.issue.rule)?.repairs || []).some(category => errorCategories.includes(category))) continue;
+            // Shared edits (the eps definition) are applied once; fixes touching the same text are skipped
+            const edits = fix.edits.filter(edit => !accepted.some(other => sameEdit(edit, other)));
+            if (edits.some(edit => accepted.some(other => editsOverlap(edit, other)))) continue;
+            accepted.push(...edits);
+            titles.push(fix.title);
         }
 
-        return result;
+        return {
+            fixedCode: accepted.length > 0 ? applyEdits(code, accepted) : code,
+            fixes: titles
+        };
     }
+}
 
-    /**
-     * Suggest automatic fixes for common issues
-     */
-    suggestFixes(code, validationResult) {
-        let fixedCode = code;
-        const fixes = [];
-
-        // Fix 1: Add epsilon definition if missing
-        if (validationResult.errors.some(e => e.type === 'MISSING_EPSILON_DEFINITION')) {
-            if (!code.includes('eps =')) {
-                fixedCode = 'eps = 0.01;\n\n' + fixedCode;
-                fixes.push('Added epsilon definition');
-            }
-        }
-
-        // Fix 2: Add $fn to global scope if missing
-        if (validationResult.warnings.some(w => w.type === 'MISSING_FN')) {
-            if (!code.includes('$fn =')) {
-                fixedCode = '$fn = 50;\n' + fixedCode;
-                fixes.push('Added global $fn specification');
-            }
-        }
-
-        return { fixedCode, fixes };
-    }
+function sameEdit(a, b) {
+    return a.line === b.line && a.column === b.column && a.endLine === b.endLine && a.endColumn === b.endColumn && a.text === b.text;
 }
 
 export const geometryValidator = new GeometryValidator();
@@ -0,0 +1,94 @@
+/**
+ * KeywordIndex - BM25 over knowledge chunks, for the lexical half of RAG
+ * retrieval and for searching when no embedding endpoint is reachable.
+ *
+ * Tokens are OpenSCAD-aware: an identifier is kept whole ("rect_tube",
+ * "$fn", "xcopies") so exact names score highest, and its parts ("rect",
+ * "tube") are added so prose about tubes still matches.
+ */
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+    'make', 'me', 'of', 'on', 'or', 'should', 'that', 'the', 'this', 'to', 'with', 'want', 'create', 'design'
+]);
+
+/**
+ * Split text or code into lowercase search tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const identifier of (text || '').match(/\$?[A-Za-z_][A-Za-z0-9_]*|\d+(?:\.\d+)?/g) || []) {
+        const whole = identifier.toLowerCase();
+        if (STOPWORDS.has(whole)) continue;
+        tokens.push(whole);
+
+        // snake_case and camelCase parts; "$fn" stays whole
+        const parts = identifier.replace(/^\$/, '').split(/_+|(?<=[a-z])(?=[A-Z])|(?<=[A-Za-z])(?=\d)/).filter(Boolean);
+        if (parts.length > 1) {
+            for (const part of parts) {
+                const lower = part.toLowerCase();
+                if (lower.length > 1 && !STOPWORDS.has(lower)) tokens.push(lower);
+            }
+        }
+    }
+    return tokens;
+}
+
+export class KeywordIndex {
+    /**
+     * @param {Array} documents - [{ id, text }]
+     */
+    constructor(documents = []) {
+        this.postings = new Map(); // term -> Map(id -> term frequency)
+        this.lengths = new Map();
+        let totalLength = 0;
+
+        for (const { id, text } of documents) {
+            const tokens = tokenize(text);
+            this.lengths.set(id, tokens.length);
+            totalLength += tokens.length;
+            for (const token of tokens) {
+                if (!this.postings.has(token)) this.postings.set(token, new Map());
+                const counts = this.postings.get(token);
+                counts.set(id, (counts.get(id) || 0) + 1);
+            }
+        }
+        this.averageLength = documents.length ? totalLength / documents.length : 0;
+    }
+
+    get size() {
+        return this.lengths.size;
+    }
+
+    /**
+     * @param {string} query
+     * @param {Object} options - { limit, accept: (id) => boolean }
+     * @returns {Array} - [{ id, score }] best first, only documents sharing a term with the query
+     */
+    search(query, { limit = 50, accept = () => true } = {}) {
+        const scores = new Map();
+        const terms = [...new Set(tokenize(query))];
+
+        for (const term of terms) {
+            const counts = this.postings.get(term);
+            if (!counts) continue;
+            const idf = Math.log(1 + (this.size - counts.size + 0.5) / (counts.size + 0.5));
+            for (const [id, tf] of counts) {
+                if (!accept(id)) continue;
+                const norm = 1 - B + B * (this.lengths.get(id) / (this.averageLength || 1));
+                scores.set(id, (scores.get(id) || 0) + idf * (tf * (K1 + 1)) / (tf + K1 * norm));
+            }
+        }
+
+        return [...scores]
+            .map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * KnowledgeImportService - Reads files picked for a knowledge collection:
+ * OpenSCAD sources and docs directly, .zip archives by unpacking their
+ * supported entries (stored or deflated; ZIP64 is not supported).
+ *
+ * File: { path, content }
+ */
+
+export const SUPPORTED_EXTENSIONS = ['.scad', '.md', '.markdown', '.txt'];
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function isSupported(path) {
+    const lower = path.toLowerCase();
+    return SUPPORTED_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+// Archive metadata (macOS resource forks, dotfiles) is not content
+function isHidden(path) {
+    return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+class KnowledgeImportService {
+    /**
+     * @param {FileList|File[]} fileList - Files from an <input type="file">
+     * @returns {Promise<Object>} - { files: [{ path, content }], skipped: [path] }
+     */
+    async readFiles(fileList) {
+        const files = [];
+        const skipped = [];
+        for (const file of Array.from(fileList)) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const entries = await this._readZip(new Uint8Array(await file.arrayBuffer()));
+                for (const entry of entries) {
+                    if (isHidden(entry.path)) continue;
+                    if (!isSupported(entry.path)) {
+                        skipped.push(`${file.name}/${entry.path}`);
+                        continue;
+                    }
+                    files.push({ path: entry.path, content: new TextDecoder().decode(await entry.read()) });
+                }
+            } else if (isSupported(file.name)) {
+                files.push({ path: file.webkitRelativePath || file.name, content: await file.text() });
+            } else {
+                skipped.push(file.name);
+            }
+        }
+        return { files, skipped };
+    }
+
+    /**
+     * Entries of a ZIP archive from its central directory
+     * @returns {Array} - [{ path, read: () => Promise<Uint8Array> }], directories excluded
+     */
+    async _readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end-of-central-directory record is followed by a comment of up to 64 KB
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a ZIP archive');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue;
+            entries.push({
+                path,
+                read: () => {
+                    if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry ${path}`);
+                    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                    const data = bytes.subarray(start, start + compressedSize);
+                    if (method === 0) return Promise.resolve(data);
+                    if (method === 8) return this._inflate(data);
+                    throw new Error(`Unsupported compression method ${method} for ${path}`);
+                }
+            });
+        }
+        return entries;
+    }
+
+    async _inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+export const knowledgeImportService = new KnowledgeImportService();
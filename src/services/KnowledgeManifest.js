@@ -0,0 +1,68 @@
+/**
+ * KnowledgeManifest - Format of the prebuilt index files in /public, shared by
+ * the index scripts that write them and RAGService, which syncs them into the
+ * knowledge store. Uses no browser or Node APIs.
+ *
+ * Manifest: { version, embedding_model, generated_at, chunks: [{ hash, content, embedding, metadata }] }
+ *
+ * hash identifies a chunk by its content, so a sync adds and removes only the
+ * chunks that changed; version is derived from all hashes and metadata, so an
+ * unchanged index keeps its version. Older index files are a bare array of
+ * chunks; readManifest() hashes them on load and derives the same version
+ * buildManifest() would, so an unchanged legacy file is synced only once.
+ */
+
+/**
+ * 53-bit string hash (cyrb53), the same in the browser and in Node
+ * @returns {string} - 14 hex digits
+ */
+export function contentHash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * @param {Array} chunks - [{ content, embedding, metadata }]
+ * @param {string} embeddingModel
+ */
+export function buildManifest(chunks, embeddingModel) {
+    const hashed = chunks.map(chunk => ({ hash: contentHash(chunk.content), ...chunk }));
+    return {
+        version: manifestVersion(hashed),
+        embedding_model: embeddingModel,
+        generated_at: new Date().toISOString(),
+        chunks: hashed
+    };
+}
+
+function manifestVersion(hashedChunks) {
+    return contentHash(hashedChunks.map(chunk => chunk.hash + JSON.stringify(chunk.metadata || {})).join('\n'));
+}
+
+/**
+ * @param {Object|Array} json - A parsed index file
+ * @returns {Object} - Manifest; embedding_model is null for the older array format
+ */
+export function readManifest(json) {
+    if (Array.isArray(json)) {
+        const chunks = json.map(chunk => ({ hash: contentHash(chunk.content), ...chunk }));
+        return {
+            version: manifestVersion(chunks),
+            embedding_model: null,
+            generated_at: null,
+            chunks
+        };
+    }
+    return {
+        ...json,
+        chunks: (json.chunks || []).map(chunk => chunk.hash ? chunk : { hash: contentHash(chunk.content), ...chunk })
+    };
+}
@@ -0,0 +1,60 @@
+import { contentHash } from './KnowledgeManifest.js';
+
+/**
+ * LibraryFiles - Loads the bundled BOSL2 sources for the compiler worker and
+ * LibrarySymbolService through one Cache Storage cache. Uses only APIs that
+ * exist in workers too.
+ *
+ * public/bosl2_files.json is { version, files: [path] } (written by
+ * scripts/generate_bosl2_file_list.js, version hashes the file contents) or,
+ * in older copies, a bare array of paths hashed here. The cache is named after
+ * the version, so updated libraries get a fresh cache and older ones are
+ * deleted instead of being served forever.
+ */
+
+const FILE_LIST_URL = '/bosl2_files.json';
+const LIBRARY_ROOT = '/libraries/BOSL2/';
+const CACHE_PREFIX = 'aixopenscad-libraries-';
+
+/**
+ * @returns {Promise<Object|null>} - { version, files: [path relative to BOSL2/] }, null without a file list
+ */
+export async function loadFileList() {
+    const response = await fetch(FILE_LIST_URL, { cache: 'no-cache' });
+    if (!response.ok) return null;
+    const json = await response.json();
+    if (Array.isArray(json)) return { version: contentHash(JSON.stringify(json)), files: json };
+    return { version: json.version, files: json.files || [] };
+}
+
+/**
+ * The cache of this library version; caches of other versions are removed
+ * @returns {Promise<Cache|null>} - null where Cache Storage is unavailable
+ */
+export async function openLibraryCache(version) {
+    if (typeof caches === 'undefined') return null;
+    try {
+        const name = `${CACHE_PREFIX}${version}`;
+        const names = await caches.keys();
+        await Promise.all(names.filter(other => other.startsWith(CACHE_PREFIX) && other !== name).map(other => caches.delete(other)));
+        return await caches.open(name);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads a library file from the cache, falling back to the network
+ * @param {string} path - Relative to BOSL2/
+ * @returns {Promise<Object>} - { text, fromCache }
+ */
+export async function fetchLibraryFile(cache, path) {
+    const url = `${LIBRARY_ROOT}${path}`;
+    const cached = cache ? await cache.match(url) : null;
+    if (cached) return { text: await cached.text(), fromCache: true };
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch ${url}`);
+    if (cache) await cache.put(url, response.clone());
+    return { text: await response.text(), fromCache: false };
+}
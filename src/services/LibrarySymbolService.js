@@ -0,0 +1,369 @@
+import { loadFileList, openLibraryCache, fetchLibraryFile } from './LibraryFiles.js';
+
+/**
+ * LibrarySymbolService - Catalog of modules and functions available to the
+ * editor: OpenSCAD built-ins, BOSL2 (parsed from the same library files the
+ * compiler worker injects) and definitions in the user's own code.
+ *
+ * Symbol: { name, kind: 'module' | 'function', params: [{ name, defaultValue }],
+ *           signature, documentation, source: 'builtin' | 'BOSL2' | 'user', file }
+ *
+ * Top-level constants of the libraries (UP, CENTER, EPSILON, ...) are kept as names only.
+ */
+
+// [kind, name, parameters, documentation]
+const BUILTINS = [
+    // 3D primitives
+    ['module', 'cube', 'size=1, center=false', 'Creates a cube or box. `size` is a number or [x, y, z].'],
+    ['module', 'sphere', 'r=1, d, $fn, $fa, $fs', 'Creates a sphere of radius r (or diameter d) centered at the origin.'],
+    ['module', 'cylinder', 'h=1, r1, r2, center=false, r, d, d1, d2, $fn, $fa, $fs', 'Creates a cylinder or cone along the Z axis.'],
+    ['module', 'polyhedron', 'points, faces, convexity=1', 'Creates a 3D solid from a list of points and faces (clockwise when seen from outside).'],
+    // 2D primitives
+    ['module', 'square', 'size=1, center=false', 'Creates a square or rectangle in the XY plane.'],
+    ['module', 'circle', 'r=1, d, $fn, $fa, $fs', 'Creates a circle of radius r (or diameter d).'],
+    ['module', 'polygon', 'points, paths, convexity=1', 'Creates a 2D shape from a list of points and optional paths (holes).'],
+    ['module', 'text', 'text, size=10, font, halign="left", valign="baseline", spacing=1, direction="ltr", language="en", script="latin", $fn', 'Creates 2D text geometry.'],
+    ['module', 'import', 'file, convexity, layer, center=false, dpi=96', 'Imports STL, OFF, 3MF, AMF, DXF or SVG geometry.'],
+    ['module', 'surface', 'file, center=false, invert=false, convexity=1', 'Creates a height map from a .dat or image file.'],
+    // Transformations
+    ['module', 'translate', 'v', 'Moves children by vector v.'],
+    ['module', 'rotate', 'a, v', 'Rotates children by a degrees around v, or by [x, y, z] Euler angles.'],
+    ['module', 'scale', 'v', 'Scales children by vector v.'],
+    ['module', 'resize', 'newsize, auto=false, convexity', 'Resizes children to the given absolute size.'],
+    ['module', 'mirror', 'v', 'Mirrors children on the plane through the origin with normal v.'],
+    ['module', 'multmatrix', 'm', 'Applies a 4x4 affine transformation matrix to children.'],
+    ['module', 'color', 'c, alpha=1.0', 'Colors children with a name, hex string or [r, g, b, a].'],
+    ['module', 'offset', 'r, delta, chamfer=false', 'Offsets a 2D outline by r (rounded) or delta (straight).'],
+    ['module', 'hull', '', 'Convex hull of all children.'],
+    ['module', 'minkowski', 'convexity', 'Minkowski sum of children. Slow for complex shapes.'],
+    // Boolean operations
+    ['module', 'union', '', 'Combines all children.'],
+    ['module', 'difference', '', 'Subtracts the second and later children from the first.'],
+    ['module', 'intersection', '', 'Keeps only the volume shared by all children.'],
+    // Extrusion and others
+    ['module', 'linear_extrude', 'height, v, center=false, convexity, twist=0, slices, scale=1.0, $fn', 'Extrudes a 2D shape along Z.'],
+    ['module', 'rotate_extrude', 'angle=360, convexity, $fn, $fa, $fs', 'Spins a 2D shape (in X >= 0) around the Z axis.'],
+    ['module', 'projection', 'cut=false', 'Projects a 3D object onto the XY plane.'],
+    ['module', 'render', 'convexity', 'Forces a full CGAL/Manifold render of children in preview.'],
+    ['module', 'children', 'index', 'Instantiates the children passed to the current module.'],
+    ['module', 'echo', '...', 'Prints values to the console.'],
+    ['module', 'assert', 'condition, message', 'Aborts evaluation with message when condition is false.'],
+    // Math functions
+    ['function', 'abs', 'x', 'Absolute value.'],
+    ['function', 'sign', 'x', '-1, 0 or 1.'],
+    ['function', 'sin', 'degrees', 'Sine of an angle in degrees.'],
+    ['function', 'cos', 'degrees', 'Cosine of an angle in degrees.'],
+    ['function', 'tan', 'degrees', 'Tangent of an angle in degrees.'],
+    ['function', 'asin', 'x', 'Arc sine, in degrees.'],
+    ['function', 'acos', 'x', 'Arc cosine, in degrees.'],
+    ['function', 'atan', 'x', 'Arc tangent, in degrees.'],
+    ['function', 'atan2', 'y, x', 'Two-argument arc tangent, in degrees.'],
+    ['function', 'floor', 'x', 'Largest integer not greater than x.'],
+    ['function', 'ceil', 'x', 'Smallest integer not less than x.'],
+    ['function', 'round', 'x', 'Rounds to the nearest integer.'],
+    ['function', 'ln', 'x', 'Natural logarithm.'],
+    ['function', 'log', 'base, x', 'Logarithm (base 10 with one argument).'],
+    ['function', 'pow', 'base, exponent', 'base raised to exponent.'],
+    ['function', 'sqrt', 'x', 'Square root.'],
+    ['function', 'exp', 'x', 'e raised to x.'],
+    ['function', 'min', 'values', 'Smallest of the arguments or of a vector.'],
+    ['function', 'max', 'values', 'Largest of the arguments or of a vector.'],
+    ['function', 'norm', 'v', 'Euclidean length of a vector.'],
+    ['function', 'cross', 'a, b', 'Cross product of two 3D (or 2D) vectors.'],
+    ['function', 'rands', 'min_value, max_value, value_count, seed_value', 'Vector of random numbers.'],
+    // List and string functions
+    ['function', 'len', 'value', 'Length of a list or string.'],
+    ['function', 'concat', 'lists', 'Concatenates lists.'],
+    ['function', 'lookup', 'key, table', 'Linear interpolation in a [[key, value], ...] table.'],
+    ['function', 'search', 'match_value, string_or_vector, num_returns_per_match=1, index_col_num=0', 'Finds values in a list or string.'],
+    ['function', 'str', 'values', 'Converts and concatenates values to a string.'],
+    ['function', 'chr', 'codes', 'Characters for Unicode code points.'],
+    ['function', 'ord', 'character', 'Unicode code point of a character.'],
+    ['function', 'version', '', 'OpenSCAD version as [year, month, day].'],
+    ['function', 'version_num', '', 'OpenSCAD version as a number.'],
+    ['function', 'parent_module', 'n', 'Name of the n-th parent module.'],
+    ['function', 'is_undef', 'x', 'True if x is undef.'],
+    ['function', 'is_bool', 'x', 'True if x is a boolean.'],
+    ['function', 'is_num', 'x', 'True if x is a number (not NaN).'],
+    ['function', 'is_string', 'x', 'True if x is a string.'],
+    ['function', 'is_list', 'x', 'True if x is a list.'],
+    ['function', 'is_function', 'x', 'True if x is a function literal.']
+];
+
+const SPECIAL_VARIABLES = {
+    $fn: 'Number of fragments for circles/spheres (overrides $fa/$fs when > 0).',
+    $fa: 'Minimum fragment angle in degrees.',
+    $fs: 'Minimum fragment size in mm.',
+    $t: 'Animation time step (0..1).',
+    $children: 'Number of children passed to the current module.',
+    $preview: 'True in preview (F5), false in render (F6).',
+    $vpr: 'Viewport rotation.',
+    $vpt: 'Viewport translation.',
+    $vpd: 'Viewport camera distance.',
+    $vpf: 'Viewport field of view.',
+    $parent_modules: 'Number of modules in the instantiation stack.'
+};
+
+class LibrarySymbolService {
+    constructor() {
+        this.builtins = BUILTINS.map(([kind, name, params, documentation]) =>
+            this._createSymbol(kind, name, params, { documentation, source: 'builtin' }));
+        this.librarySymbols = [];
+        this.libraryConstants = new Set();
+        this.libraryFiles = [];
+        this.loaded = false;
+        this.loading = null;
+    }
+
+    get specialVariables() {
+        return SPECIAL_VARIABLES;
+    }
+
+    /**
+     * Load and parse the BOSL2 files once (public/bosl2_files.json lists them)
+     * @returns {Promise<Array>} - BOSL2 symbols
+     */
+    loadLibraries() {
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            const fileList = await loadFileList();
+            if (!fileList) return [];
+            this.libraryFiles = fileList.files;
+
+            const cache = await openLibraryCache(fileList.version);
+            const symbols = new Map();
+            const constants = new Set();
+
+            await Promise.all(this.libraryFiles.map(async (filePath) => {
+                try {
+                    const { text: content } = await fetchLibraryFile(cache, filePath);
+                    this.extractConstants(content).forEach(name => constants.add(name));
+                    for (const symbol of this.extractSymbols(content, { source: 'BOSL2', file: `BOSL2/${filePath}` })) {
+                        // Private helpers start with an underscore
+                        if (!symbol.name.startsWith('_') && !symbols.has(symbol.name)) {
+                            symbols.set(symbol.name, symbol);
+                        }
+                    }
+                } catch (err) {
+                    console.warn(`Could not index BOSL2 file ${filePath}:`, err);
+                }
+            }));
+
+            this.librarySymbols = [...symbols.values()];
+            this.libraryConstants = constants;
+            this.loaded = true;
+            return this.librarySymbols;
+        })().catch(err => {
+            console.warn('Could not load BOSL2 symbols:', err);
+            this.loading = null;
+            return [];
+        });
+
+        return this.loading;
+    }
+
+    /**
+     * All symbols visible in the given code (user definitions shadow libraries;
+     * BOSL2 shadows built-ins only in code that includes it)
+     */
+    getSymbols(code = '') {
+        const user = this.extractSymbols(code, { source: 'user' });
+        const byName = new Map();
+        const shared = this.includesBOSL2(code) ? [...this.builtins, ...this.librarySymbols] : [...this.librarySymbols, ...this.builtins];
+        for (const symbol of [...shared, ...user]) {
+            byName.set(`${symbol.kind}:${symbol.name}`, symbol);
+        }
+        return [...byName.values()];
+    }
+
+    includesBOSL2(code = '') {
+        return /^\s*(include|use)\s*<\s*BOSL2\//m.test(code);
+    }
+
+    /**
+     * Look up a module or function by name
+     */
+    findSymbol(name, code = '') {
+        const symbols = this.getSymbols(code).filter(s => s.name === name);
+        // Prefer user definitions, then BOSL2 where it is included, then built-ins
+        const rank = this.includesBOSL2(code) ? { user: 0, BOSL2: 1, builtin: 2 } : { user: 0, builtin: 1, BOSL2: 2 };
+        return symbols.sort((a, b) => rank[a.source] - rank[b.source])[0] || null;
+    }
+
+    /**
+     * Extract module/function definitions with their parameters and doc comments
+     * @param {string} code - OpenSCAD source
+     * @param {Object} meta - { source, file }
+     */
+    extractSymbols(code, meta = {}) {
+        const docs = this._extractDocBlocks(code);
+        const symbols = [];
+        const definition = /^[ \t]*(module|function)\s+([A-Za-z_$][\w$]*)\s*\(/gm;
+        let match;
+
+        while ((match = definition.exec(code)) !== null) {
+            const [, kind, name] = match;
+            const open = definition.lastIndex - 1;
+            const close = this._matchParen(code, open);
+            if (close === -1) continue;
+
+            const line = code.slice(0, match.index).split('\n').length;
+            symbols.push(this._createSymbol(kind, name, code.slice(open + 1, close), {
+                ...meta,
+                line,
+                documentation: docs.get(name) || this._precedingComment(code, match.index)
+            }));
+            definition.lastIndex = close;
+        }
+        return symbols;
+    }
+
+    /**
+     * Names assigned at the top level of a file (no indentation)
+     */
+    extractConstants(code) {
+        return [...code.matchAll(/^([A-Za-z_$][\w$]*)\s*=(?!=)/gm)].map(match => match[1]);
+    }
+
+    _createSymbol(kind, name, paramText, extra = {}) {
+        const params = this.splitArguments(paramText)
+            .map(param => {
+                const eq = this._topLevelIndexOf(param, '=');
+                return eq === -1
+                    ? { name: param.trim(), defaultValue: null }
+                    : { name: param.slice(0, eq).trim(), defaultValue: param.slice(eq + 1).replace(/\s+/g, ' ').trim() };
+            })
+            .filter(p => p.name);
+
+        const signature = `${name}(${params.map(p => p.defaultValue !== null ? `${p.name}=${p.defaultValue}` : p.name).join(', ')})`;
+        return { name, kind, params, signature, documentation: '', ...extra };
+    }
+
+    /**
+     * Split an argument list on top-level commas (ignores nested brackets and strings)
+     */
+    splitArguments(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '"') {
+                const end = this._stringEnd(text, i);
+                current += text.slice(i, end);
+                i = end - 1;
+                continue;
+            }
+            if (ch === '/' && text[i + 1] === '/') {
+                const end = text.indexOf('\n', i);
+                i = end === -1 ? text.length : end;
+                continue;
+            }
+            if ('([{'.includes(ch)) depth++;
+            if (')]}'.includes(ch)) depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+    }
+
+    /**
+     * BOSL2 documents symbols in blocks like:
+     *   // Module: cuboid()
+     *   // Synopsis: Creates a cube with chamfering and roundovers.
+     *   // Usage: ...
+     *   //   cuboid(size, [anchor=], [spin=], [orient=]);
+     */
+    _extractDocBlocks(code) {
+        const docs = new Map();
+        const header = /^\/\/ (?:Module|Function|Function&Module): ([A-Za-z_$][\w$]*)\(\)/gm;
+        let match;
+
+        while ((match = header.exec(code)) !== null) {
+            const lines = [];
+            const rest = code.slice(header.lastIndex).split('\n').slice(1);
+            for (const line of rest) {
+                if (!line.startsWith('//')) break;
+                lines.push(line.replace(/^\/\/ ?/, ''));
+            }
+
+            const synopsis = lines.find(l => l.startsWith('Synopsis:'))?.replace('Synopsis:', '').trim();
+            const usageStart = lines.findIndex(l => l.startsWith('Usage'));
+            const usage = [];
+            if (usageStart !== -1) {
+                for (const line of lines.slice(usageStart + 1)) {
+                    if (!line.startsWith('  ')) break;
+                    usage.push(line.trim());
+                }
+            }
+
+            const parts = [];
+            if (synopsis) parts.push(synopsis);
+            if (usage.length > 0) parts.push('Usage:\n' + usage.slice(0, 4).join('\n'));
+            docs.set(match[1], parts.join('\n\n'));
+        }
+        return docs;
+    }
+
+    /**
+     * Plain `//` comment lines directly above a definition
+     */
+    _precedingComment(code, index) {
+        const lines = code.slice(0, index).split('\n');
+        lines.pop(); // The definition line itself
+        const comment = [];
+        while (lines.length > 0 && lines[lines.length - 1].trim().startsWith('//')) {
+            comment.unshift(lines.pop().trim().replace(/^\/\/\s?/, ''));
+        }
+        return comment.join('\n');
+    }
+
+    _matchParen(code, open) {
+        let depth = 0;
+        for (let i = open; i < code.length; i++) {
+            const ch = code[i];
+            if (ch === '"') {
+                i = this._stringEnd(code, i) - 1;
+                continue;
+            }
+            if (ch === '/' && code[i + 1] === '/') {
+                const end = code.indexOf('\n', i);
+                if (end === -1) return -1;
+                i = end;
+                continue;
+            }
+            if (ch === '(') depth++;
+            if (ch === ')' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    _topLevelIndexOf(text, target) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if ('([{'.includes(ch)) depth++;
+            if (')]}'.includes(ch)) depth--;
+            // `==` is a comparison, not a default value
+            if (ch === target && depth === 0 && text[i + 1] !== '=' && text[i - 1] !== '=') return i;
+        }
+        return -1;
+    }
+
+    _stringEnd(text, index) {
+        let i = index + 1;
+        while (i < text.length && text[i] !== '"') {
+            if (text[i] === '\\') i++;
+            i++;
+        }
+        return i + 1;
+    }
+}
+
+export const librarySymbolService = new LibrarySymbolService();
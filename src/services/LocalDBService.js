@@ -1,11 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
+import { BLOCK_SIZE, blockId, buildIndex, listsToProbe, nearestCentroid, needsRebuild, normalize, scanBlock } from './VectorIndex';
 
 const DB_NAME = 'AiXopenscadDB';
-const DB_VERSION = 2;
+const DB_VERSION = 6;
 
 class LocalDBService {
     constructor() {
         this.db = null;
+        this.vectorMeta = null;
         this.initPromise = this._initDB();
     }
 
@@ -34,6 +36,28 @@ class LocalDBService {
                     const knowledgeStore = db.createObjectStore('knowledge', { keyPath: 'id' });
                     knowledgeStore.createIndex('source', 'source', { unique: false });
                 }
+
+                // Vector Index Store (IVF over the knowledge embeddings, see VectorIndex.js)
+                if (!db.objectStoreNames.contains('vectorIndex')) {
+                    db.createObjectStore('vectorIndex', { keyPath: 'id' });
+                }
+
+                // Collections Store (user-imported libraries and docs, kept for re-indexing)
+                if (!db.objectStoreNames.contains('collections')) {
+                    db.createObjectStore('collections', { keyPath: 'name' });
+                }
+
+                // Corpora Store (synced version of each bundled index)
+                if (!db.objectStoreNames.contains('corpora')) {
+                    db.createObjectStore('corpora', { keyPath: 'id' });
+                }
+
+                // Versions Store (code snapshots per design)
+                if (!db.objectStoreNames.contains('versions')) {
+                    const versionStore = db.createObjectStore('versions', { keyPath: 'id' });
+                    versionStore.createIndex('chat_id', 'chat_id', { unique: false });
+                    versionStore.createIndex('created_at', 'created_at', { unique: false });
+                }
             };
 
             request.onsuccess = (event) => {
@@ -112,23 +136,24 @@ class LocalDBService {
     async deleteChat(chatId) {
         const db = await this._ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['chats', 'messages'], 'readwrite');
+            const transaction = db.transaction(['chats', 'messages', 'versions'], 'readwrite');
 
             // Delete chat
             transaction.objectStore('chats').delete(chatId);
 
-            // Delete related messages (simple approach: iterate or use index)
-            const messageStore = transaction.objectStore('messages');
-            const index = messageStore.index('chat_id');
-            const request = index.openKeyCursor(IDBKeyRange.only(chatId));
+            // Delete related messages and versions (simple approach: iterate or use index)
+            ['messages', 'versions'].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const request = store.index('chat_id').openKeyCursor(IDBKeyRange.only(chatId));
 
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    messageStore.delete(cursor.primaryKey);
-                    cursor.continue();
-                }
-            };
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
 
             transaction.oncomplete = () => resolve({ error: null });
             transaction.onerror = () => reject({ error: transaction.error });
@@ -175,36 +200,358 @@ class LocalDBService {
         });
     }
 
+    /**
+     * VERSIONS
+     */
+    async getVersions(chatId) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['versions'], 'readonly');
+            const store = transaction.objectStore('versions');
+            const index = store.index('chat_id');
+            const request = index.getAll(IDBKeyRange.only(chatId));
+
+            request.onsuccess = () => {
+                const sorted = request.result.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+                resolve({ data: sorted, error: null });
+            };
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    /**
+     * @param {string} chatId - Design the snapshot belongs to
+     * @param {Object} snapshot - { code, origin, session, parameters, stats, thumbnail }
+     */
+    async saveVersion(chatId, snapshot) {
+        const db = await this._ensureDB();
+        const version = {
+            id: uuidv4(),
+            chat_id: chatId,
+            ...snapshot,
+            created_at: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['versions'], 'readwrite');
+            const store = transaction.objectStore('versions');
+            const request = store.add(version);
+
+            request.onsuccess = () => resolve({ data: version, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    /**
+     * Replace a stored version, keeping its place in the timeline
+     */
+    async updateVersion(version) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['versions'], 'readwrite').objectStore('versions').put(version);
+            request.onsuccess = () => resolve({ data: version, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    /**
+     * CORPORA
+     */
+    async getCorpusStates() {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['corpora'], 'readonly').objectStore('corpora').getAll();
+            request.onsuccess = () => resolve({ data: request.result, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    async saveCorpusState(state) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['corpora'], 'readwrite').objectStore('corpora').put(state);
+            request.onsuccess = () => resolve({ data: state, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    /**
+     * COLLECTIONS
+     */
+    async saveCollection(collection) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['collections'], 'readwrite');
+            const request = transaction.objectStore('collections').put(collection);
+            request.onsuccess = () => resolve({ data: collection, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    async getCollections() {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['collections'], 'readonly').objectStore('collections').getAll();
+            request.onsuccess = () => resolve({ data: request.result, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    async getCollection(name) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['collections'], 'readonly').objectStore('collections').get(name);
+            request.onsuccess = () => resolve({ data: request.result || null, error: null });
+            request.onerror = () => reject({ data: null, error: request.error });
+        });
+    }
+
+    async deleteCollection(name) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['collections'], 'readwrite');
+            transaction.objectStore('collections').delete(name);
+            transaction.oncomplete = () => resolve({ error: null });
+            transaction.onerror = () => reject({ error: transaction.error });
+        });
+    }
+
     /**
      * KNOWLEDGE (RAG)
      */
     async clearKnowledge() {
         const db = await this._ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['knowledge'], 'readwrite');
+            const transaction = db.transaction(['knowledge', 'vectorIndex', 'corpora'], 'readwrite');
+            transaction.objectStore('knowledge').clear();
+            transaction.objectStore('vectorIndex').clear();
+            transaction.objectStore('corpora').clear();
+            transaction.oncomplete = () => {
+                this.vectorMeta = null;
+                resolve({ error: null });
+            };
+            transaction.onerror = () => reject({ error: transaction.error });
+        });
+    }
+
+    async deleteKnowledge(ids) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['knowledge', 'vectorIndex'], 'readwrite');
             const store = transaction.objectStore('knowledge');
-            const request = store.clear();
-            request.onsuccess = () => resolve({ error: null });
-            request.onerror = () => reject({ error: request.error });
+            ids.forEach(id => store.delete(id));
+
+            // Their vectors stay in the index until it is rebuilt
+            const index = transaction.objectStore('vectorIndex');
+            const metaRequest = index.get('meta');
+            metaRequest.onsuccess = () => {
+                const meta = metaRequest.result;
+                if (!meta) return;
+                meta.removed += ids.length;
+                index.put(meta);
+                this.vectorMeta = meta;
+            };
+
+            transaction.oncomplete = () => resolve({ error: null });
+            transaction.onerror = () => reject({ error: transaction.error });
         });
     }
 
     async saveKnowledgeChunk(content, embedding, metadata = {}) {
+        const { data, error } = await this.saveKnowledgeChunks([{ content, embedding, metadata }]);
+        return { data: data ? data[0] : null, error };
+    }
+
+    /**
+     * Add chunks in one transaction and append their embeddings to the vector index
+     * @param {Array} items - [{ content, embedding, metadata }]
+     */
+    async saveKnowledgeChunks(items) {
         const db = await this._ensureDB();
-        const chunk = {
+        const created_at = new Date().toISOString();
+        const chunks = items.map(({ content, embedding, metadata = {} }) => ({
             id: uuidv4(),
             content,
             embedding,
             source: metadata.source || 'unknown',
             metadata,
-            created_at: new Date().toISOString()
-        };
+            created_at
+        }));
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['knowledge', 'vectorIndex'], 'readwrite');
+            const store = transaction.objectStore('knowledge');
+            chunks.forEach(chunk => store.add(chunk));
+
+            const index = transaction.objectStore('vectorIndex');
+            const metaRequest = index.get('meta');
+            metaRequest.onsuccess = () => {
+                // Without an index the next vector search builds one from every chunk
+                if (metaRequest.result) this._appendVectors(index, metaRequest.result, chunks);
+            };
+
+            transaction.oncomplete = () => resolve({ data: chunks, error: null });
+            transaction.onerror = () => reject({ data: null, error: transaction.error });
+        });
+    }
+
+    /**
+     * Add embeddings to the lists of their nearest centroids, rewriting only the last block of each list
+     */
+    _appendVectors(index, meta, chunks) {
+        const blocks = new Map(); // block id -> [{ id, vector }]
+        for (const chunk of chunks) {
+            if (!chunk.embedding?.length) continue;
+            if (meta.count === 0 && meta.lists.length === 1) {
+                meta.dim = chunk.embedding.length;
+                meta.centroids = new Float32Array(meta.dim);
+            }
+            // Embeddings of another model can't be compared with the index
+            if (chunk.embedding.length !== meta.dim) continue;
+
+            const vector = normalize(chunk.embedding);
+            const list = meta.lists.length > 1 ? nearestCentroid(meta.centroids, meta.dim, vector) : 0;
+            const id = blockId(list, Math.floor(meta.lists[list] / BLOCK_SIZE));
+            meta.lists[list]++;
+            meta.count++;
+            if (!blocks.has(id)) blocks.set(id, []);
+            blocks.get(id).push({ id: chunk.id, vector });
+        }
+        if (blocks.size === 0) return;
+
+        blocks.forEach((entries, id) => {
+            const request = index.get(id);
+            request.onsuccess = () => {
+                const block = request.result || { id, ids: [], vectors: new Float32Array(0) };
+                const vectors = new Float32Array(block.vectors.length + entries.length * meta.dim);
+                vectors.set(block.vectors);
+                entries.forEach((entry, i) => vectors.set(entry.vector, block.vectors.length + i * meta.dim));
+                index.put({ id, ids: [...block.ids, ...entries.map(entry => entry.id)], vectors });
+            };
+        });
+        index.put(meta);
+        // The cached meta must only describe what was committed
+        const transaction = index.transaction;
+        transaction.addEventListener('complete', () => { this.vectorMeta = meta; });
+        transaction.addEventListener('error', () => { this.vectorMeta = null; });
+        transaction.addEventListener('abort', () => { this.vectorMeta = null; });
+    }
+
+    async _getVectorMeta() {
+        if (this.vectorMeta) return this.vectorMeta;
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['vectorIndex'], 'readonly').objectStore('vectorIndex').get('meta');
+            request.onsuccess = () => {
+                this.vectorMeta = request.result || null;
+                resolve(this.vectorMeta);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Re-cluster every stored embedding into a fresh vector index
+     * @returns {Promise<Object>} - { data: { vectors, lists, durationMs }, error }
+     */
+    async rebuildVectorIndex() {
+        const started = performance.now();
+        const { data: chunks } = await this.getAllKnowledge();
+
+        // Index the most common dimension; the rest were embedded by another model
+        const dims = new Map();
+        chunks.forEach(chunk => {
+            if (chunk.embedding?.length) dims.set(chunk.embedding.length, (dims.get(chunk.embedding.length) || 0) + 1);
+        });
+        const dim = [...dims].sort((a, b) => b[1] - a[1])[0]?.[0];
+        const entries = chunks
+            .filter(chunk => chunk.embedding?.length === dim)
+            .map(chunk => ({ id: chunk.id, vector: normalize(chunk.embedding) }));
+        const { meta, blocks } = buildIndex(entries);
 
+        const db = await this._ensureDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['knowledge'], 'readwrite');
+            const transaction = db.transaction(['vectorIndex'], 'readwrite');
+            const index = transaction.objectStore('vectorIndex');
+            index.clear();
+            index.put(meta);
+            blocks.forEach(block => index.put(block));
+            transaction.oncomplete = () => {
+                this.vectorMeta = meta;
+                resolve({
+                    data: { vectors: meta.count, lists: meta.lists.length, durationMs: Math.round(performance.now() - started) },
+                    error: null
+                });
+            };
+            transaction.onerror = () => reject({ data: null, error: transaction.error });
+        });
+    }
+
+    /**
+     * Approximate nearest chunks by cosine similarity, rebuilding the index first when it is stale
+     * @param {number[]} embedding - Query embedding
+     * @param {number} k
+     * @param {Object} options - { accept: (id) => boolean, fraction: share of the store accept() lets through }
+     * @returns {Promise<Object>} - { data: { matches: [{ id, similarity }], scanned, probes, rebuilt }, error }
+     */
+    async searchVectors(embedding, k, { accept, fraction = 1 } = {}) {
+        let meta = await this._getVectorMeta();
+        const rebuilt = needsRebuild(meta);
+        if (rebuilt) {
+            await this.rebuildVectorIndex();
+            meta = this.vectorMeta;
+        }
+        if (meta.count === 0) return { data: { matches: [], scanned: 0, probes: 0, rebuilt }, error: null };
+        if (embedding.length !== meta.dim) {
+            return { data: null, error: `Query embedding has ${embedding.length} dimensions, the index ${meta.dim}` };
+        }
+
+        const query = normalize(embedding);
+        const lists = listsToProbe(meta, query, fraction);
+        const blockIds = lists.flatMap(list =>
+            Array.from({ length: Math.ceil(meta.lists[list] / BLOCK_SIZE) }, (_, n) => blockId(list, n)));
+
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['vectorIndex'], 'readonly');
+            const index = transaction.objectStore('vectorIndex');
+            const top = [];
+            let scanned = 0;
+            blockIds.forEach(id => {
+                const request = index.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    scanned += request.result.ids.length;
+                    scanBlock(request.result, query, top, k, accept);
+                };
+            });
+            transaction.oncomplete = () => resolve({ data: { matches: top, scanned, probes: lists.length, rebuilt }, error: null });
+            transaction.onerror = () => reject({ data: null, error: transaction.error });
+        });
+    }
+
+    async getKnowledgeChunks(ids) {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['knowledge'], 'readonly');
             const store = transaction.objectStore('knowledge');
-            const request = store.add(chunk);
-            request.onsuccess = () => resolve({ data: chunk, error: null });
+            const chunks = [];
+            ids.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (request.result) chunks.push(request.result);
+                };
+            });
+            transaction.oncomplete = () => resolve({ data: chunks, error: null });
+            transaction.onerror = () => reject({ data: null, error: transaction.error });
+        });
+    }
+
+    async countKnowledge() {
+        const db = await this._ensureDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['knowledge'], 'readonly').objectStore('knowledge').count();
+            request.onsuccess = () => resolve({ data: request.result, error: null });
             request.onerror = () => reject({ data: null, error: request.error });
         });
     }
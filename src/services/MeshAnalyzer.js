@@ -0,0 +1,490 @@
+/**
+ * MeshAnalyzer - Printability report of a rendered STL: bounding box, volume,
+ * surface area, triangle count, open/non-manifold edges, disconnected shells,
+ * genus (through-holes), self-intersections and wall thickness.
+ *
+ * The analysis runs in workers/MeshAnalysisWorker.js; analyzeMesh() is the
+ * synchronous implementation it calls.
+ *
+ * Report: { triangles, vertices, bbox: { min, max, size }, volume, surfaceArea,
+ *           openEdges, nonManifoldEdges, manifold, shells, genus,
+ *           selfIntersections, selfIntersectionCheck: 'complete' | 'partial',
+ *           wallThickness, typicalWallThickness, printable, issues: [string], durationMs }
+ *
+ * Wall thickness comes from rays cast inward from the faces to the opposite
+ * side. wallThickness is the thin end of the part: the 5th percentile of those
+ * distances (weighted by face area), so a few sliver faces don't dominate.
+ * typicalWallThickness is the most common distance by area, i.e. the
+ * thickness most of the part's surface has.
+ */
+
+// Vertices closer than this (mm) are the same vertex
+const WELD_PRECISION = 1e5;
+// Triangle pair tests before the self-intersection check gives up
+const MAX_PAIR_TESTS = 400000;
+const EPSILON = 1e-9;
+// Faces sampled for wall thickness, and the area share treated as noise
+const THICKNESS_SAMPLES = 2000;
+const THICKNESS_PERCENTILE = 0.05;
+// Distances within this ratio of each other share a histogram bin for the typical thickness
+const THICKNESS_BIN_RATIO = 1.05;
+// Thinner walls are reported as an issue (two perimeters of a 0.4 mm nozzle)
+const MIN_PRINTABLE_WALL = 0.8;
+
+/**
+ * Triangle soup from ASCII or binary STL
+ * @returns {Float32Array} - 9 floats per triangle
+ */
+export function parseSTL(stlData) {
+    const bytes = typeof stlData === 'string' ? new TextEncoder().encode(stlData) : new Uint8Array(stlData);
+    const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 512)));
+
+    if (head.trimStart().startsWith('solid') && head.includes('facet')) {
+        const text = new TextDecoder().decode(bytes);
+        const values = [];
+        for (const match of text.matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)) {
+            values.push(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+        return new Float32Array(values.slice(0, values.length - (values.length % 9)));
+    }
+
+    if (bytes.length < 84) return new Float32Array(0);
+    // Binary STL: 80 byte header, uint32 count, 50 bytes per facet (normal, 3 vertices, attribute)
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = Math.min(view.getUint32(80, true), Math.floor((bytes.length - 84) / 50));
+    const positions = new Float32Array(count * 9);
+    for (let i = 0; i < count; i++) {
+        const offset = 84 + i * 50 + 12;
+        for (let k = 0; k < 9; k++) positions[i * 9 + k] = view.getFloat32(offset + k * 4, true);
+    }
+    return positions;
+}
+
+/**
+ * Merge coincident vertices so triangles share indices
+ * @returns {Object} - { vertices: Float64Array, faces: Uint32Array (3 per triangle) }
+ */
+export function weldVertices(positions) {
+    const indexByKey = new Map();
+    const vertices = [];
+    const faces = new Uint32Array(positions.length / 3);
+    for (let i = 0; i < positions.length; i += 3) {
+        const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+        const key = `${Math.round(x * WELD_PRECISION)},${Math.round(y * WELD_PRECISION)},${Math.round(z * WELD_PRECISION)}`;
+        let index = indexByKey.get(key);
+        if (index === undefined) {
+            index = vertices.length / 3;
+            indexByKey.set(key, index);
+            vertices.push(x, y, z);
+        }
+        faces[i / 3] = index;
+    }
+    return { vertices: Float64Array.from(vertices), faces };
+}
+
+/**
+ * Full report for an STL
+ */
+export function analyzeMesh(stlData) {
+    const startedAt = performance.now();
+    const mesh = weldVertices(parseSTL(stlData));
+    const { vertices, faces } = mesh;
+    const triangleCount = faces.length / 3;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertices.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], vertices[i + axis]);
+            max[axis] = Math.max(max[axis], vertices[i + axis]);
+        }
+    }
+
+    let volume = 0;
+    let surfaceArea = 0;
+    for (let t = 0; t < triangleCount; t++) {
+        const [a, b, c] = triangle(mesh, t);
+        const ab = sub(b, a), ac = sub(c, a);
+        surfaceArea += length(cross(ab, ac)) / 2;
+        // Signed tetrahedron volumes against the origin sum to the enclosed volume
+        volume += dot(a, cross(b, c)) / 6;
+    }
+
+    const edges = countEdges(faces);
+    let openEdges = 0;
+    let nonManifoldEdges = 0;
+    edges.forEach(count => {
+        if (count === 1) openEdges++;
+        else if (count > 2) nonManifoldEdges++;
+    });
+    const manifold = triangleCount > 0 && openEdges === 0 && nonManifoldEdges === 0;
+    const shells = countShells(faces, vertices.length / 3);
+
+    // Euler characteristic of closed shells: V - E + F = 2 * (shells - genus)
+    const usedVertices = new Set(faces).size;
+    const genus = manifold ? Math.max(0, Math.round((2 * shells - (usedVertices - edges.size + triangleCount)) / 2)) : null;
+
+    const grid = triangleCount > 0 ? buildGrid(mesh) : null;
+    const { count: selfIntersections, complete } = findSelfIntersections(mesh, grid);
+    const diagonal = triangleCount > 0 ? length(sub(max, min)) : 0;
+    const walls = openEdges === 0 && grid ? measureWallThickness(mesh, grid, diagonal) : null;
+
+    const report = {
+        triangles: triangleCount,
+        vertices: usedVertices,
+        bbox: triangleCount > 0
+            ? { min: min.map(round), max: max.map(round), size: max.map((value, axis) => round(value - min[axis])) }
+            : null,
+        volume: round(Math.abs(volume)),
+        surfaceArea: round(surfaceArea),
+        openEdges,
+        nonManifoldEdges,
+        manifold,
+        shells,
+        genus,
+        selfIntersections,
+        selfIntersectionCheck: complete ? 'complete' : 'partial',
+        wallThickness: walls ? round(walls.thinnest) : null,
+        typicalWallThickness: walls ? round(walls.typical) : null
+    };
+
+    report.issues = describeIssues(report);
+    report.printable = triangleCount > 0 && manifold && selfIntersections === 0 && report.volume > 0;
+    report.durationMs = Math.round(performance.now() - startedAt);
+    return report;
+}
+
+function describeIssues(report) {
+    const issues = [];
+    if (report.triangles === 0) issues.push('The mesh is empty.');
+    if (report.openEdges > 0) issues.push(`${report.openEdges} open edges: the surface has holes and is not watertight.`);
+    if (report.nonManifoldEdges > 0) issues.push(`${report.nonManifoldEdges} non-manifold edges (shared by more than two faces), usually from objects touching along an edge.`);
+    if (report.selfIntersections > 0) issues.push(`${report.selfIntersections} self-intersecting triangle pairs.`);
+    if (report.shells > 1) issues.push(`${report.shells} disconnected shells: the part prints as ${report.shells} separate pieces.`);
+    if (report.triangles > 0 && report.volume === 0) issues.push('Zero volume: the geometry has no thickness.');
+    if (report.wallThickness !== null && report.wallThickness > 0 && report.wallThickness < MIN_PRINTABLE_WALL) {
+        issues.push(`Walls as thin as ${report.wallThickness} mm may not print (below ${MIN_PRINTABLE_WALL} mm).`);
+    }
+    return issues;
+}
+
+/* EDGES & SHELLS */
+
+function countEdges(faces) {
+    const edges = new Map();
+    for (let i = 0; i < faces.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = faces[i + k];
+            const b = faces[i + ((k + 1) % 3)];
+            if (a === b) continue; // degenerate triangle
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+    return edges;
+}
+
+// Connected components of triangles sharing vertices (union-find over vertex indices)
+function countShells(faces, vertexCount) {
+    const parent = new Uint32Array(vertexCount).map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    for (let i = 0; i < faces.length; i += 3) {
+        const root = find(faces[i]);
+        parent[find(faces[i + 1])] = root;
+        parent[find(faces[i + 2])] = find(faces[i]);
+    }
+    const roots = new Set();
+    for (let i = 0; i < faces.length; i++) roots.add(find(faces[i]));
+    return roots.size;
+}
+
+/* SELF-INTERSECTIONS */
+
+// Uniform grid over the triangle bounding boxes, shared by the self-intersection and thickness passes
+function buildGrid(mesh) {
+    const triangleCount = mesh.faces.length / 3;
+    const boxes = [];
+    let averageExtent = 0;
+    for (let t = 0; t < triangleCount; t++) {
+        const [a, b, c] = triangle(mesh, t);
+        const lo = [0, 1, 2].map(axis => Math.min(a[axis], b[axis], c[axis]));
+        const hi = [0, 1, 2].map(axis => Math.max(a[axis], b[axis], c[axis]));
+        boxes.push({ lo, hi });
+        averageExtent += Math.max(hi[0] - lo[0], hi[1] - lo[1], hi[2] - lo[2]);
+    }
+    const cellSize = Math.max(averageExtent / triangleCount, 1e-3) * 2;
+
+    const cells = new Map();
+    boxes.forEach(({ lo, hi }, t) => {
+        const from = lo.map(v => Math.floor(v / cellSize));
+        const to = hi.map(v => Math.floor(v / cellSize));
+        for (let x = from[0]; x <= to[0]; x++) {
+            for (let y = from[1]; y <= to[1]; y++) {
+                for (let z = from[2]; z <= to[2]; z++) {
+                    const key = cellKey(x, y, z);
+                    const cell = cells.get(key);
+                    if (cell) cell.triangles.push(t);
+                    else cells.set(key, { x, y, z, triangles: [t] });
+                }
+            }
+        }
+    });
+    return { boxes, cells, cellSize };
+}
+
+/**
+ * Pairs of non-adjacent triangles that cross each other, found through a
+ * uniform grid over triangle bounding boxes
+ */
+function findSelfIntersections(mesh, grid) {
+    const triangleCount = mesh.faces.length / 3;
+    if (triangleCount < 4) return { count: 0, complete: true };
+    const { boxes, cells, cellSize } = grid;
+
+    let tests = 0;
+    let count = 0;
+    for (const { x, y, z, triangles } of cells.values()) {
+        for (let i = 0; i < triangles.length; i++) {
+            for (let j = i + 1; j < triangles.length; j++) {
+                const b1 = boxes[triangles[i]], b2 = boxes[triangles[j]];
+                if (!boxesOverlap(b1, b2)) continue;
+                // A pair shares several cells; only the cell holding the corner of the overlap tests it
+                const corner = [0, 1, 2].map(axis => Math.floor(Math.max(b1.lo[axis], b2.lo[axis]) / cellSize));
+                if (corner[0] !== x || corner[1] !== y || corner[2] !== z) continue;
+                if (sharesVertex(mesh.faces, triangles[i], triangles[j])) continue;
+                if (++tests > MAX_PAIR_TESTS) return { count, complete: false };
+                if (trianglesIntersect(triangle(mesh, triangles[i]), triangle(mesh, triangles[j]))) count++;
+            }
+        }
+    }
+    return { count, complete: true };
+}
+
+/* WALL THICKNESS */
+
+/**
+ * @returns {Object|null} - { thinnest, typical } in mm, null when no ray hit the far side
+ */
+function measureWallThickness(mesh, grid, maxDistance) {
+    const triangleCount = mesh.faces.length / 3;
+    const stride = Math.max(1, Math.floor(triangleCount / THICKNESS_SAMPLES));
+    const samples = [];
+    let totalArea = 0;
+
+    for (let t = 0; t < triangleCount; t += stride) {
+        const [a, b, c] = triangle(mesh, t);
+        const normal = cross(sub(b, a), sub(c, a));
+        const area = length(normal) / 2;
+        if (area < EPSILON) continue;
+        // Facets are wound outward, so the inward ray runs against the normal
+        const direction = normal.map(v => -v / (2 * area));
+        const origin = [0, 1, 2].map(axis => (a[axis] + b[axis] + c[axis]) / 3);
+        const distance = castRay(mesh, grid, origin, direction, t, maxDistance);
+        if (distance === Infinity) continue;
+        samples.push({ distance, area });
+        totalArea += area;
+    }
+    if (samples.length === 0) return null;
+
+    samples.sort((p, q) => p.distance - q.distance);
+    let thinnest = samples[samples.length - 1].distance;
+    let covered = 0;
+    for (const { distance, area } of samples) {
+        covered += area;
+        if (covered >= totalArea * THICKNESS_PERCENTILE) {
+            thinnest = distance;
+            break;
+        }
+    }
+
+    // Area-weighted histogram with bins growing with the distance; the fullest bin is typical
+    const bins = new Map();
+    for (const { distance, area } of samples) {
+        const key = Math.round(Math.log(Math.max(distance, EPSILON)) / Math.log(THICKNESS_BIN_RATIO));
+        const bin = bins.get(key) || { area: 0, weighted: 0 };
+        bin.area += area;
+        bin.weighted += distance * area;
+        bins.set(key, bin);
+    }
+    const fullest = [...bins.values()].reduce((best, bin) => (bin.area > best.area ? bin : best));
+    return { thinnest, typical: fullest.weighted / fullest.area };
+}
+
+// Nearest hit along the ray, walking the grid cell by cell (Amanatides & Woo)
+function castRay(mesh, grid, origin, direction, fromTriangle, maxDistance) {
+    const { cells, cellSize } = grid;
+    const cell = origin.map(v => Math.floor(v / cellSize));
+    const step = direction.map(d => (d > 0 ? 1 : -1));
+    const tMax = direction.map((d, axis) => {
+        if (Math.abs(d) < EPSILON) return Infinity;
+        const boundary = (cell[axis] + (d > 0 ? 1 : 0)) * cellSize;
+        return (boundary - origin[axis]) / d;
+    });
+    const tDelta = direction.map(d => (Math.abs(d) < EPSILON ? Infinity : cellSize / Math.abs(d)));
+
+    let nearest = Infinity;
+    for (;;) {
+        const entry = cells.get(cellKey(cell[0], cell[1], cell[2]));
+        if (entry) {
+            for (const t of entry.triangles) {
+                if (t === fromTriangle) continue;
+                const distance = rayHitDistance(origin, direction, triangle(mesh, t));
+                if (distance < nearest) nearest = distance;
+            }
+        }
+        const axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : (tMax[1] < tMax[2] ? 1 : 2);
+        // Hits beyond the current cell may be preceded by hits in the next one
+        if (nearest <= tMax[axis] || tMax[axis] > maxDistance) break;
+        cell[axis] += step[axis];
+        tMax[axis] += tDelta[axis];
+    }
+    return nearest;
+}
+
+function rayHitDistance(origin, direction, [a, b, c]) {
+    const e1 = sub(b, a), e2 = sub(c, a);
+    const h = cross(direction, e2);
+    const det = dot(e1, h);
+    if (Math.abs(det) < EPSILON) return Infinity;
+    const s = sub(origin, a);
+    const u = dot(s, h) / det;
+    if (u < -EPSILON || u > 1 + EPSILON) return Infinity;
+    const qv = cross(s, e1);
+    const v = dot(direction, qv) / det;
+    if (v < -EPSILON || u + v > 1 + EPSILON) return Infinity;
+    const t = dot(e2, qv) / det;
+    return t > 1e-6 ? t : Infinity;
+}
+
+// One key per cell, so distinct cells never share an entry
+function cellKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+function sharesVertex(faces, t1, t2) {
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            if (faces[t1 * 3 + i] === faces[t2 * 3 + j]) return true;
+        }
+    }
+    return false;
+}
+
+function boxesOverlap(a, b) {
+    return [0, 1, 2].every(axis => a.lo[axis] <= b.hi[axis] && b.lo[axis] <= a.hi[axis]);
+}
+
+// Two triangles cross when an edge of one passes through the interior of the other
+function trianglesIntersect(p, q) {
+    for (let k = 0; k < 3; k++) {
+        if (segmentHitsTriangle(p[k], p[(k + 1) % 3], q)) return true;
+        if (segmentHitsTriangle(q[k], q[(k + 1) % 3], p)) return true;
+    }
+    return false;
+}
+
+// Möller–Trumbore restricted to the open segment and the triangle interior
+function segmentHitsTriangle(from, to, [a, b, c]) {
+    const direction = sub(to, from);
+    const e1 = sub(b, a), e2 = sub(c, a);
+    const h = cross(direction, e2);
+    const det = dot(e1, h);
+    if (Math.abs(det) < EPSILON) return false; // parallel or coplanar
+    const s = sub(from, a);
+    const u = dot(s, h) / det;
+    if (u <= EPSILON || u >= 1 - EPSILON) return false;
+    const qv = cross(s, e1);
+    const v = dot(direction, qv) / det;
+    if (v <= EPSILON || u + v >= 1 - EPSILON) return false;
+    const t = dot(e2, qv) / det;
+    return t > EPSILON && t < 1 - EPSILON;
+}
+
+/* VECTORS */
+
+function triangle({ vertices, faces }, t) {
+    return [0, 1, 2].map(k => {
+        const i = faces[t * 3 + k] * 3;
+        return [vertices[i], vertices[i + 1], vertices[i + 2]];
+    });
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.sqrt(dot(a, a));
+const round = (value) => Math.round(value * 100) / 100;
+
+class MeshAnalyzer {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Analyze an STL off the main thread
+     * @returns {Promise<Object>} - Report, or null when the analysis failed
+     */
+    analyze(stlData) {
+        if (!stlData) return Promise.resolve(null);
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            this.pending.set(id, resolve);
+            try {
+                // A copy, so the viewer keeps its buffer
+                this._getWorker().postMessage({ type: 'analyze', id, stlData: stlData.slice(0) });
+            } catch (err) {
+                console.warn('Mesh analysis failed:', err);
+                this.pending.delete(id);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Short summary for LLM prompts
+     */
+    toPromptContext(report) {
+        if (!report) return '';
+        const size = report.bbox ? report.bbox.size.join(' x ') : 'n/a';
+        return [
+            'MESH ANALYSIS OF THE CURRENT RENDER (measured, in mm):',
+            `- Bounding box: ${size}`,
+            `- Volume: ${report.volume} mm^3, surface area: ${report.surfaceArea} mm^2, triangles: ${report.triangles}`,
+            `- Shells: ${report.shells}${report.genus !== null ? `, through-holes (genus): ${report.genus}` : ''}`,
+            ...(report.wallThickness !== null ? [`- Thinnest wall: ${report.wallThickness} mm, typical wall: ${report.typicalWallThickness} mm`] : []),
+            `- Printable: ${report.printable ? 'yes' : 'no'}`,
+            ...report.issues.map(issue => `- Issue: ${issue}`)
+        ].join('\n');
+    }
+
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/MeshAnalysisWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => {
+                const resolve = this.pending.get(data.id);
+                if (!resolve) return;
+                this.pending.delete(data.id);
+                if (data.error) console.warn('Mesh analysis failed:', data.error);
+                resolve(data.report || null);
+            };
+            this.worker.onerror = (event) => {
+                console.error('Mesh analysis worker error:', event.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.pending.forEach(resolve => resolve(null));
+                this.pending.clear();
+            };
+        }
+        return this.worker;
+    }
+}
+
+export const meshAnalyzer = new MeshAnalyzer();
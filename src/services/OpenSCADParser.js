@@ -0,0 +1,937 @@
+import { librarySymbolService } from './LibrarySymbolService.js';
+
+/**
+ * OpenSCADParser - Deterministic tokenizer, parser and name resolution for
+ * OpenSCAD source. Produces an AST and diagnostics in the DiagnosticsService
+ * shape (severity, message, line, column, category, editorLine) without
+ * running the compiler, so it is cheap enough for every keystroke.
+ *
+ * Node: { type, loc: { line, column, endLine, endColumn }, ...fields }
+ *   Statements: Program, Block, Include, Assignment, ModuleDefinition,
+ *               FunctionDefinition, ModuleCall (headLoc: the call up to its ')'), IfStatement
+ *   Expressions: Number, String, Boolean, Undef, Identifier, Unary, Binary,
+ *               Ternary, Call, Index, Member, Vector, Range, Let, FunctionLiteral,
+ *               ListFor, ListEach, ListIf, ListLet
+ */
+
+const INPUT_FILE = '/input.scad';
+
+const KEYWORDS = new Set(['module', 'function', 'if', 'else', 'for', 'let', 'each', 'true', 'false', 'undef']);
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '!', '<', '>', '?', ':', '=', ';', ',', '.', '(', ')', '[', ']', '{', '}', '#'];
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+const MODIFIERS = new Set(['!', '#', '%', '*']);
+
+// Sticky patterns, matched in place at the tokenizer position
+const NUMBER_PATTERN = /0x[0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const IDENTIFIER_PATTERN = /\$?[A-Za-z_][A-Za-z0-9_]*/y;
+const INCLUDE_PATH_PATTERN = /[ \t]*<([^>\n]*)>/y;
+
+// Statement-level names that bind variables for their children
+const BINDING_MODULES = new Set(['for', 'intersection_for', 'let']);
+
+// Built-ins missing from the LibrarySymbolService catalog (language constructs and newer additions)
+const EXTRA_MODULES = ['intersection_for', 'group', 'roof', 'fill'];
+const EXTRA_FUNCTIONS = ['echo', 'assert', 'is_object', 'object', 'textmetrics', 'fontmetrics'];
+const BUILTIN_CONSTANTS = new Set(['PI']);
+
+// Primitives take no children: `cube(10)\nsphere(5);` is almost always a missing semicolon
+const LEAF_MODULES = new Set(['cube', 'sphere', 'cylinder', 'polyhedron', 'square', 'circle', 'polygon', 'text', 'import', 'surface']);
+
+class ParseError extends Error {
+    constructor(message, loc) {
+        super(message);
+        this.loc = loc;
+    }
+}
+
+/**
+ * Token: { type: 'number' | 'string' | 'identifier' | 'keyword' | 'operator' | 'include' | 'eof',
+ *          value, line, column, endLine, endColumn }
+ */
+function tokenize(code) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const position = () => ({ line, column: i - lineStart + 1 });
+    const advance = (count) => {
+        for (let k = 0; k < count; k++) {
+            if (code[i] === '\n') {
+                line++;
+                lineStart = i + 1;
+            }
+            i++;
+        }
+    };
+    const match = (pattern) => {
+        pattern.lastIndex = i;
+        return pattern.exec(code);
+    };
+    const push = (type, value, start) => {
+        tokens.push({ type, value, line: start.line, column: start.column, endLine: line, endColumn: i - lineStart + 1 });
+    };
+
+    while (i < code.length) {
+        const ch = code[i];
+        const start = position();
+
+        if (/\s/.test(ch)) {
+            advance(1);
+            continue;
+        }
+
+        if (ch === '/' && code[i + 1] === '/') {
+            while (i < code.length && code[i] !== '\n') i++;
+            continue;
+        }
+
+        if (ch === '/' && code[i + 1] === '*') {
+            const end = code.indexOf('*/', i + 2);
+            if (end === -1) {
+                throw new ParseError('Unterminated comment', { ...start, endLine: start.line, endColumn: start.column + 2 });
+            }
+            advance(end + 2 - i);
+            continue;
+        }
+
+        if (ch === '"') {
+            let j = i + 1;
+            while (j < code.length && code[j] !== '"' && code[j] !== '\n') {
+                if (code[j] === '\\') j++;
+                j++;
+            }
+            if (code[j] !== '"') {
+                throw new ParseError('Unterminated string', { ...start, endLine: start.line, endColumn: start.column + (j - i) });
+            }
+            const raw = code.slice(i + 1, j);
+            advance(j + 1 - i);
+            push('string', raw, start);
+            continue;
+        }
+
+        const number = match(NUMBER_PATTERN);
+        if (number) {
+            advance(number[0].length);
+            push('number', Number(number[0]), start);
+            continue;
+        }
+
+        const identifier = match(IDENTIFIER_PATTERN);
+        if (identifier) {
+            const name = identifier[0];
+            advance(name.length);
+
+            // include <path> / use <path>: the path is not an expression
+            if (name === 'include' || name === 'use') {
+                const path = match(INCLUDE_PATH_PATTERN);
+                if (path) {
+                    advance(path[0].length);
+                    push('include', { kind: name, path: path[1].trim() }, start);
+                    continue;
+                }
+            }
+            push(KEYWORDS.has(name) ? 'keyword' : 'identifier', name, start);
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => code.startsWith(op, i));
+        if (operator) {
+            advance(operator.length);
+            push('operator', operator, start);
+            continue;
+        }
+
+        throw new ParseError(`Unexpected character '${ch}'`, { ...start, endLine: start.line, endColumn: start.column + 1 });
+    }
+
+    const end = position();
+    tokens.push({ type: 'eof', value: null, line: end.line, column: end.column, endLine: end.line, endColumn: end.column });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser following the OpenSCAD grammar
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.warnings = [];
+    }
+
+    get current() {
+        return this.tokens[this.pos];
+    }
+
+    get previous() {
+        return this.tokens[this.pos - 1] || this.tokens[0];
+    }
+
+    peek(offset = 1) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.current;
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    is(value, token = this.current) {
+        return (token.type === 'operator' || token.type === 'keyword') && token.value === value;
+    }
+
+    accept(value) {
+        if (this.is(value)) return this.next();
+        return null;
+    }
+
+    node(type, startToken, fields) {
+        const end = this.previous;
+        return {
+            type,
+            ...fields,
+            loc: { line: startToken.line, column: startToken.column, endLine: end.endLine, endColumn: end.endColumn }
+        };
+    }
+
+    /**
+     * Consume a closing bracket, reporting the opening one when it is missing
+     */
+    close(open) {
+        const expected = CLOSING[open.value];
+        if (this.accept(expected)) return;
+        const found = this.current;
+        if (found.type === 'eof') {
+            throw new ParseError(`Unclosed '${open.value}' (missing '${expected}')`, this.locOf(open));
+        }
+        throw new ParseError(
+            `Expected '${expected}' to close '${open.value}' from line ${open.line}, found ${this.describe(found)}`,
+            this.locOf(found)
+        );
+    }
+
+    expect(value, context) {
+        if (this.accept(value)) return;
+        throw new ParseError(`Expected '${value}' ${context}, found ${this.describe(this.current)}`, this.locOf(this.current));
+    }
+
+    /**
+     * Statements end with ';' - report it at the end of the statement instead of at the next token
+     */
+    expectSemicolon(what) {
+        if (this.accept(';')) return;
+        const last = this.previous;
+        throw new ParseError(`Missing ';' after ${what}`, this.locOf(last));
+    }
+
+    describe(token) {
+        if (token.type === 'eof') return 'end of file';
+        if (token.type === 'string') return 'a string';
+        if (token.type === 'number') return `number ${token.value}`;
+        if (token.type === 'include') return `'${token.value.kind}'`;
+        return `'${token.value}'`;
+    }
+
+    locOf(token) {
+        return { line: token.line, column: token.column, endLine: token.endLine, endColumn: token.endColumn };
+    }
+
+    /* STATEMENTS */
+
+    parseProgram() {
+        const start = this.current;
+        const body = [];
+        while (this.current.type !== 'eof') {
+            if (this.is('}')) throw new ParseError("Unmatched '}'", this.locOf(this.current));
+            body.push(this.parseStatement());
+        }
+        return this.node('Program', start, { body });
+    }
+
+    parseStatement() {
+        const token = this.current;
+
+        if (this.accept(';')) return null;
+        if (this.is('{')) return this.parseBlock();
+
+        if (token.type === 'include') {
+            this.next();
+            return this.node('Include', token, { kind: token.value.kind, path: token.value.path });
+        }
+        if (this.is('module')) return this.parseModuleDefinition();
+        if (this.is('function')) return this.parseFunctionDefinition();
+
+        if (token.type === 'identifier' && this.is('=', this.peek())) {
+            this.next();
+            this.next();
+            const value = this.parseExpression();
+            this.expectSemicolon(`assignment to '${token.value}'`);
+            return this.node('Assignment', token, { name: token.value, value });
+        }
+
+        return this.parseInstantiation();
+    }
+
+    parseBlock() {
+        const open = this.next();
+        const body = [];
+        while (!this.is('}')) {
+            if (this.current.type === 'eof') this.close(open);
+            const statement = this.parseStatement();
+            if (statement) body.push(statement);
+        }
+        this.next();
+        return this.node('Block', open, { body });
+    }
+
+    parseModuleDefinition() {
+        const start = this.next();
+        const name = this.expectIdentifier("after 'module'");
+        const params = this.parseParameters(`of module '${name.value}'`);
+        const body = this.parseChildStatement(name.value);
+        return this.node('ModuleDefinition', start, { name: name.value, nameLoc: this.locOf(name), params, body });
+    }
+
+    parseFunctionDefinition() {
+        const start = this.next();
+        const name = this.expectIdentifier("after 'function'");
+        const params = this.parseParameters(`of function '${name.value}'`);
+        this.expect('=', `after the parameters of function '${name.value}'`);
+        const expression = this.parseExpression();
+        this.expectSemicolon(`function '${name.value}'`);
+        return this.node('FunctionDefinition', start, { name: name.value, nameLoc: this.locOf(name), params, expression });
+    }
+
+    expectIdentifier(context) {
+        const token = this.current;
+        if (token.type !== 'identifier') {
+            throw new ParseError(`Expected a name ${context}, found ${this.describe(token)}`, this.locOf(token));
+        }
+        return this.next();
+    }
+
+    /**
+     * Module instantiation, optionally prefixed by modifiers (! # % *)
+     */
+    parseInstantiation() {
+        const start = this.current;
+        const modifiers = [];
+        while (this.current.type === 'operator' && MODIFIERS.has(this.current.value)) {
+            modifiers.push(this.next().value);
+        }
+
+        const token = this.current;
+        if (this.is('if')) {
+            const statement = this.parseIf();
+            return modifiers.length > 0 ? { ...statement, modifiers } : statement;
+        }
+        if (this.is('else')) throw new ParseError("'else' without a matching 'if'", this.locOf(token));
+
+        const isName = token.type === 'identifier' || this.is('for') || this.is('let');
+        if (!isName) {
+            throw new ParseError(`Unexpected ${this.describe(token)}`, this.locOf(token));
+        }
+        this.next();
+
+        if (!this.is('(')) {
+            throw new ParseError(
+                `Expected '(' or '=' after '${token.value}', found ${this.describe(this.current)}`,
+                this.locOf(this.current.type === 'eof' ? token : this.current)
+            );
+        }
+        const args = this.parseArguments();
+        const callEnd = this.previous;
+        const children = this.parseChildStatement(`${token.value}(...)`);
+
+        // A primitive "owning" the statement on the next line usually lost its ';'
+        const firstChild = children[0];
+        if (LEAF_MODULES.has(token.value) && firstChild && !this.isBlockChild && firstChild.loc.line > callEnd.endLine) {
+            this.warnings.push({
+                message: `Missing ';' after ${token.value}(...)? The next statement becomes its child and is ignored`,
+                loc: this.locOf(callEnd)
+            });
+        }
+        this.isBlockChild = false;
+
+        const headLoc = { line: start.line, column: start.column, endLine: callEnd.endLine, endColumn: callEnd.endColumn };
+        return this.node('ModuleCall', start, { name: token.value, nameLoc: this.locOf(token), headLoc, args, children, modifiers });
+    }
+
+    parseIf() {
+        const start = this.next();
+        const open = this.current;
+        this.expect('(', "after 'if'");
+        const condition = this.parseExpression();
+        this.close(open);
+        const then = this.parseChildStatement("'if'");
+        let otherwise = [];
+        if (this.accept('else')) otherwise = this.parseChildStatement("'else'");
+        return this.node('IfStatement', start, { condition, then, else: otherwise });
+    }
+
+    /**
+     * Child of a module instantiation or body of a definition: ';', a block or one instantiation
+     * @returns {Array} - Child statements
+     */
+    parseChildStatement(owner) {
+        if (this.accept(';')) return [];
+        if (this.is('{')) {
+            const block = this.parseBlock();
+            this.isBlockChild = true;
+            return block.body;
+        }
+        const token = this.current;
+        const startsChild = token.type === 'identifier'
+            || this.is('for') || this.is('let') || this.is('if')
+            || (token.type === 'operator' && MODIFIERS.has(token.value));
+        if (!startsChild) {
+            throw new ParseError(`Missing ';' after ${owner}`, this.locOf(this.previous));
+        }
+        if (token.type === 'identifier' && this.is('=', this.peek())) {
+            throw new ParseError(`Missing ';' after ${owner}`, this.locOf(this.previous));
+        }
+        this.isBlockChild = false;
+        return [this.parseInstantiation()];
+    }
+
+    parseParameters(context) {
+        const open = this.current;
+        this.expect('(', `to start the parameters ${context}`);
+        const params = [];
+        while (!this.is(')')) {
+            const name = this.expectIdentifier(`in the parameters ${context}`);
+            let defaultValue = null;
+            if (this.accept('=')) defaultValue = this.parseExpression();
+            params.push({ name: name.value, defaultValue, loc: this.locOf(name) });
+            if (!this.accept(',')) break;
+        }
+        this.close(open);
+        return params;
+    }
+
+    /**
+     * Call arguments: positional or name=value, trailing comma allowed
+     */
+    parseArguments() {
+        const open = this.next();
+        const args = [];
+        while (!this.is(')')) {
+            if (this.current.type === 'eof' || this.is(';') || this.is('{')) this.close(open);
+            let name = null;
+            let nameLoc = null;
+            if (this.current.type === 'identifier' && this.is('=', this.peek())) {
+                nameLoc = this.locOf(this.current);
+                name = this.next().value;
+                this.next();
+            }
+            args.push({ name, nameLoc, value: this.parseExpression() });
+            if (!this.accept(',')) break;
+        }
+        this.close(open);
+        return args;
+    }
+
+    /* EXPRESSIONS */
+
+    parseExpression() {
+        const token = this.current;
+
+        if (this.is('function')) {
+            this.next();
+            const params = this.parseParameters('of the function literal');
+            const body = this.parseExpression();
+            return this.node('FunctionLiteral', token, { params, body });
+        }
+
+        if (this.is('let')) {
+            this.next();
+            if (!this.is('(')) this.expect('(', "after 'let'");
+            const args = this.parseArguments();
+            const body = this.parseExpression();
+            return this.node('Let', token, { args, body });
+        }
+
+        // assert(...) / echo(...) may prefix the expression they guard
+        if (token.type === 'identifier' && (token.value === 'assert' || token.value === 'echo') && this.is('(', this.peek())) {
+            this.next();
+            const args = this.parseArguments();
+            const body = this.startsExpression() ? this.parseExpression() : null;
+            return this.node('Call', token, { callee: this.identifierNode(token), args, body });
+        }
+
+        return this.parseTernary();
+    }
+
+    startsExpression() {
+        const token = this.current;
+        if (['number', 'string', 'identifier'].includes(token.type)) return true;
+        if (token.type === 'keyword') return ['true', 'false', 'undef', 'let', 'function'].includes(token.value);
+        return token.type === 'operator' && ['(', '[', '!', '-', '+'].includes(token.value);
+    }
+
+    parseTernary() {
+        const start = this.current;
+        const condition = this.parseBinary(0);
+        if (!this.accept('?')) return condition;
+        const then = this.parseExpression();
+        this.expect(':', "in the conditional expression ('?' without ':')");
+        const otherwise = this.parseExpression();
+        return this.node('Ternary', start, { condition, then, else: otherwise });
+    }
+
+    parseBinary(level) {
+        const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        if (level === levels.length) return this.parseUnary();
+
+        const start = this.current;
+        let left = this.parseBinary(level + 1);
+        while (this.current.type === 'operator' && levels[level].includes(this.current.value)) {
+            const operator = this.next().value;
+            const right = this.parseBinary(level + 1);
+            left = this.node('Binary', start, { operator, left, right });
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const start = this.current;
+        if (start.type === 'operator' && ['!', '-', '+'].includes(start.value)) {
+            this.next();
+            const argument = this.parseUnary();
+            return this.node('Unary', start, { operator: start.value, argument });
+        }
+        return this.parseExponent();
+    }
+
+    parseExponent() {
+        const start = this.current;
+        const base = this.parsePostfix();
+        if (!this.accept('^')) return base;
+        const exponent = this.parseUnary();
+        return this.node('Binary', start, { operator: '^', left: base, right: exponent });
+    }
+
+    parsePostfix() {
+        const start = this.current;
+        let expression = this.parsePrimary();
+        for (;;) {
+            if (this.is('(')) {
+                const args = this.parseArguments();
+                expression = this.node('Call', start, { callee: expression, args, body: null });
+            } else if (this.is('[')) {
+                const open = this.next();
+                const index = this.parseExpression();
+                this.close(open);
+                expression = this.node('Index', start, { object: expression, index });
+            } else if (this.accept('.')) {
+                const member = this.expectIdentifier("after '.'");
+                expression = this.node('Member', start, { object: expression, member: member.value });
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.current;
+
+        if (token.type === 'number') {
+            this.next();
+            return this.node('Number', token, { value: token.value });
+        }
+        if (token.type === 'string') {
+            this.next();
+            return this.node('String', token, { value: token.value });
+        }
+        if (token.type === 'identifier') {
+            this.next();
+            return this.identifierNode(token);
+        }
+        if (this.is('true') || this.is('false')) {
+            this.next();
+            return this.node('Boolean', token, { value: token.value === 'true' });
+        }
+        if (this.is('undef')) {
+            this.next();
+            return this.node('Undef', token, {});
+        }
+        if (this.is('(')) {
+            const open = this.next();
+            const expression = this.parseExpression();
+            this.close(open);
+            return expression;
+        }
+        if (this.is('[')) return this.parseVector();
+
+        if (token.type === 'eof') {
+            throw new ParseError('Unexpected end of file in an expression', this.locOf(this.previous));
+        }
+        throw new ParseError(`Expected an expression, found ${this.describe(token)}`, this.locOf(token));
+    }
+
+    identifierNode(token) {
+        return { type: 'Identifier', name: token.value, loc: this.locOf(token) };
+    }
+
+    /**
+     * [a, b], [start : end], [start : step : end] and list comprehensions
+     */
+    parseVector() {
+        const open = this.next();
+        if (this.accept(']')) return this.node('Vector', open, { items: [] });
+
+        const first = this.parseListElement();
+        if (first.type !== 'ListFor' && first.type !== 'ListEach' && first.type !== 'ListIf' && first.type !== 'ListLet' && this.accept(':')) {
+            let step = null;
+            let end = this.parseExpression();
+            if (this.accept(':')) {
+                step = end;
+                end = this.parseExpression();
+            }
+            this.close(open);
+            return this.node('Range', open, { start: first, step, end });
+        }
+
+        const items = [first];
+        while (this.accept(',')) {
+            if (this.is(']')) break;
+            items.push(this.parseListElement());
+        }
+        this.close(open);
+        return this.node('Vector', open, { items });
+    }
+
+    parseListElement() {
+        const token = this.current;
+
+        if (this.is('for')) {
+            this.next();
+            if (!this.is('(')) this.expect('(', "after 'for'");
+            const open = this.next();
+            const args = this.parseListAssignments(open);
+            // C-style: for (init; condition; update)
+            if (this.accept(';')) {
+                const condition = this.parseExpression();
+                this.expect(';', 'after the condition of the C-style for');
+                const update = this.parseListAssignments(open);
+                this.close(open);
+                const body = this.parseListElement();
+                return this.node('ListFor', token, { args, condition, update, body });
+            }
+            this.close(open);
+            const body = this.parseListElement();
+            return this.node('ListFor', token, { args, condition: null, update: [], body });
+        }
+        if (this.is('each')) {
+            this.next();
+            const body = this.parseListElement();
+            return this.node('ListEach', token, { body });
+        }
+        if (this.is('if')) {
+            this.next();
+            const open = this.current;
+            this.expect('(', "after 'if'");
+            const condition = this.parseExpression();
+            this.close(open);
+            const then = this.parseListElement();
+            const otherwise = this.accept('else') ? this.parseListElement() : null;
+            return this.node('ListIf', token, { condition, then, else: otherwise });
+        }
+        if (this.is('let') && this.is('(', this.peek())) {
+            this.next();
+            const args = this.parseArguments();
+            const body = this.parseListElement();
+            return this.node('ListLet', token, { args, body });
+        }
+        if (this.is('(') && (this.is('for', this.peek()) || this.is('each', this.peek()) || this.is('if', this.peek()))) {
+            const open = this.next();
+            const element = this.parseListElement();
+            this.close(open);
+            return element;
+        }
+        return this.parseExpression();
+    }
+
+    parseListAssignments(open) {
+        const args = [];
+        while (!this.is(')') && !this.is(';')) {
+            if (this.current.type === 'eof') this.close(open);
+            const name = this.expectIdentifier("in 'for'");
+            this.expect('=', `after '${name.value}' in 'for'`);
+            args.push({ name: name.value, nameLoc: this.locOf(name), value: this.parseExpression() });
+            if (!this.accept(',')) break;
+        }
+        return args;
+    }
+}
+
+/**
+ * Lexical scope: variables, modules and functions live in separate namespaces
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.variables = new Set();
+        this.modules = new Set();
+        this.functions = new Set();
+    }
+
+    has(namespace, name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope[namespace].has(name)) return true;
+        }
+        return false;
+    }
+}
+
+class OpenSCADParser {
+    constructor() {
+        this.lastCode = null;
+        this.lastResult = null;
+        this.lastLibraryState = null;
+    }
+
+    /**
+     * Tokenize and parse
+     * @param {string} code - OpenSCAD source
+     * @returns {Object} - { ast, error, warnings } (error: first syntax error with loc, or null)
+     */
+    parse(code) {
+        try {
+            const parser = new Parser(tokenize(code));
+            const ast = parser.parseProgram();
+            return { ast, error: null, warnings: parser.warnings };
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            return { ast: null, error: { message: err.message, loc: err.loc }, warnings: [] };
+        }
+    }
+
+    /**
+     * Syntax errors plus unknown modules/functions and undefined variables
+     * @param {string} code - OpenSCAD source
+     * @returns {Object} - { ast, diagnostics, hasErrors }
+     */
+    analyze(code) {
+        const libraryState = librarySymbolService.loaded;
+        if (code === this.lastCode && libraryState === this.lastLibraryState) return this.lastResult;
+
+        const { ast, error, warnings } = this.parse(code || '');
+        const diagnostics = [];
+
+        if (error) {
+            diagnostics.push(this._diagnostic('error', error.message, error.loc, 'SYNTAX_ERROR'));
+        } else {
+            warnings.forEach(w => diagnostics.push(this._diagnostic('warning', w.message, w.loc, 'SYNTAX_ERROR')));
+            this._resolveNames(ast).forEach(d => diagnostics.push(d));
+        }
+
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+        const result = { ast, diagnostics, hasErrors: !!error };
+
+        this.lastCode = code;
+        this.lastLibraryState = libraryState;
+        this.lastResult = result;
+        return result;
+    }
+
+    _diagnostic(severity, message, loc, category) {
+        return {
+            severity,
+            message,
+            file: INPUT_FILE,
+            line: loc.line,
+            column: loc.column,
+            endLine: loc.endLine,
+            endColumn: loc.endColumn,
+            category,
+            inInput: true,
+            editorLine: loc.line,
+            source: 'parser',
+            raw: `${severity.toUpperCase()}: ${message} in file ${INPUT_FILE}, line ${loc.line}`
+        };
+    }
+
+    /**
+     * Walk the AST and report names that resolve nowhere
+     */
+    _resolveNames(ast) {
+        const includes = ast.body.filter(statement => statement?.type === 'Include');
+        const usesBOSL2 = includes.some(include => include.path.startsWith('BOSL2/'));
+        // Unknown include files or libraries that are still loading could define anything
+        const otherIncludes = includes.some(include => !include.path.startsWith('BOSL2/'));
+        if (otherIncludes || (usesBOSL2 && !librarySymbolService.loaded)) return [];
+
+        const known = { modules: new Set(EXTRA_MODULES), functions: new Set(EXTRA_FUNCTIONS), variables: new Set(BUILTIN_CONSTANTS) };
+        librarySymbolService.builtins.forEach(symbol => known[`${symbol.kind}s`].add(symbol.name));
+        if (usesBOSL2) {
+            librarySymbolService.librarySymbols.forEach(symbol => known[`${symbol.kind}s`].add(symbol.name));
+            librarySymbolService.libraryConstants.forEach(name => known.variables.add(name));
+        }
+
+        const diagnostics = [];
+        const report = (message, loc, category) => diagnostics.push(this._diagnostic('warning', message, loc, category));
+        // Library-private helpers (leading underscore) are not in the symbol catalog
+        const isKnown = (namespace, name, scope) => scope.has(namespace, name)
+            || known[namespace].has(name)
+            || (usesBOSL2 && name.startsWith('_'));
+
+        const declare = (statements, scope) => {
+            for (const statement of statements) {
+                if (!statement) continue;
+                if (statement.type === 'Assignment') scope.variables.add(statement.name);
+                if (statement.type === 'ModuleDefinition') scope.modules.add(statement.name);
+                if (statement.type === 'FunctionDefinition') scope.functions.add(statement.name);
+                // A bare block does not open a scope
+                if (statement.type === 'Block') declare(statement.body, scope);
+            }
+        };
+
+        const visitBody = (statements, scope) => {
+            declare(statements, scope);
+            statements.forEach(statement => visitStatement(statement, scope));
+        };
+
+        const visitParams = (params, scope) => {
+            params.forEach(param => scope.variables.add(param.name));
+            params.forEach(param => param.defaultValue && visitExpression(param.defaultValue, scope));
+        };
+
+        // for/let bind their arguments one after another
+        const bindSequentially = (args, scope) => {
+            for (const arg of args) {
+                visitExpression(arg.value, scope);
+                if (arg.name) scope.variables.add(arg.name);
+            }
+        };
+
+        const visitStatement = (statement, scope) => {
+            if (!statement) return;
+            switch (statement.type) {
+                case 'Assignment':
+                    visitExpression(statement.value, scope);
+                    break;
+                case 'Block':
+                    statement.body.forEach(child => visitStatement(child, scope));
+                    break;
+                case 'ModuleDefinition': {
+                    const moduleScope = new Scope(scope);
+                    visitParams(statement.params, moduleScope);
+                    visitBody(statement.body, moduleScope);
+                    break;
+                }
+                case 'FunctionDefinition': {
+                    const functionScope = new Scope(scope);
+                    visitParams(statement.params, functionScope);
+                    visitExpression(statement.expression, functionScope);
+                    break;
+                }
+                case 'IfStatement':
+                    visitExpression(statement.condition, scope);
+                    visitBody(statement.then, new Scope(scope));
+                    visitBody(statement.else, new Scope(scope));
+                    break;
+                case 'ModuleCall': {
+                    const childScope = new Scope(scope);
+                    if (BINDING_MODULES.has(statement.name)) {
+                        bindSequentially(statement.args, childScope);
+                    } else {
+                        if (!isKnown('modules', statement.name, scope)) {
+                            report(`Unknown module '${statement.name}'`, statement.nameLoc, 'UNKNOWN_MODULE');
+                        }
+                        statement.args.forEach(arg => visitExpression(arg.value, scope));
+                    }
+                    visitBody(statement.children, childScope);
+                    break;
+                }
+                default:
+                    break;
+            }
+        };
+
+        const visitExpression = (expression, scope) => {
+            if (!expression) return;
+            switch (expression.type) {
+                case 'Identifier':
+                    if (!expression.name.startsWith('$') && !isKnown('variables', expression.name, scope)) {
+                        report(`Unknown variable '${expression.name}'`, expression.loc, 'UNDEFINED_VARIABLE');
+                    }
+                    break;
+                case 'Call':
+                    if (expression.callee.type === 'Identifier') {
+                        const name = expression.callee.name;
+                        // Function literals are called through variables
+                        if (!isKnown('functions', name, scope) && !scope.has('variables', name)) {
+                            report(`Unknown function '${name}'`, expression.callee.loc, 'UNKNOWN_FUNCTION');
+                        }
+                    } else {
+                        visitExpression(expression.callee, scope);
+                    }
+                    expression.args.forEach(arg => visitExpression(arg.value, scope));
+                    visitExpression(expression.body, scope);
+                    break;
+                case 'Unary':
+                    visitExpression(expression.argument, scope);
+                    break;
+                case 'Binary':
+                    visitExpression(expression.left, scope);
+                    visitExpression(expression.right, scope);
+                    break;
+                case 'Ternary':
+                case 'ListIf':
+                    visitExpression(expression.condition, scope);
+                    visitExpression(expression.then, scope);
+                    visitExpression(expression.else, scope);
+                    break;
+                case 'Index':
+                    visitExpression(expression.object, scope);
+                    visitExpression(expression.index, scope);
+                    break;
+                case 'Member':
+                    visitExpression(expression.object, scope);
+                    break;
+                case 'Vector':
+                    expression.items.forEach(item => visitExpression(item, scope));
+                    break;
+                case 'Range':
+                    visitExpression(expression.start, scope);
+                    visitExpression(expression.step, scope);
+                    visitExpression(expression.end, scope);
+                    break;
+                case 'Let':
+                case 'ListLet': {
+                    const letScope = new Scope(scope);
+                    bindSequentially(expression.args, letScope);
+                    visitExpression(expression.body, letScope);
+                    break;
+                }
+                case 'FunctionLiteral': {
+                    const literalScope = new Scope(scope);
+                    visitParams(expression.params, literalScope);
+                    visitExpression(expression.body, literalScope);
+                    break;
+                }
+                case 'ListFor': {
+                    const loopScope = new Scope(scope);
+                    bindSequentially(expression.args, loopScope);
+                    visitExpression(expression.condition, loopScope);
+                    bindSequentially(expression.update, loopScope);
+                    visitExpression(expression.body, loopScope);
+                    break;
+                }
+                case 'ListEach':
+                    visitExpression(expression.body, scope);
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        visitBody(ast.body, new Scope());
+        return diagnostics;
+    }
+}
+
+export const openSCADParser = new OpenSCADParser();
@@ -1,123 +1,140 @@
-import { createOpenSCAD } from 'openscad-wasm';
 import { geometryValidator } from './GeometryValidator';
+import { loggingService } from './LoggingService';
+import { exportService } from './ExportService';
+import { diagnosticsService } from './DiagnosticsService';
 
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Requested together so one render yields a preview for both 3D and 2D designs
+const PREVIEW_OUTPUTS = ['stl', 'svg'];
+
+/**
+ * OpenSCADService drives the OpenSCAD WASM compiler running in a Web Worker
+ * (see workers/OpenSCADWorker.js). Compiles are queued, can be cancelled and
+ * are aborted with a TIMEOUT error when they exceed the configured timeout.
+ */
 class OpenSCADService {
     constructor() {
-        this.instance = null;
-        this.ready = false;
-        this.isDirty = false;
+        this.worker = null;
+        this.current = null; // { id, finish, onProgress, onLog, logs }
+        this.queue = Promise.resolve();
+        this.nextId = 1;
+        this.timeoutMs = DEFAULT_TIMEOUT_MS;
         this.lastLogs = [];
     }
 
-    async init() {
-        // If already ready and not dirty, skip
-        if (this.ready && !this.isDirty) return;
+    setCompileTimeout(ms) {
+        this.timeoutMs = ms > 0 ? ms : DEFAULT_TIMEOUT_MS;
+    }
 
-        try {
-            console.log('Initializing OpenSCAD WASM instance...');
-            this.lastLogs = []; // Reset logs
-            const wrapper = await createOpenSCAD({
-                noInitialRun: true,
-                print: (text) => {
-                    console.log('OpenSCAD stdout:', text);
-                },
-                printErr: (text) => {
-                    console.error('OpenSCAD stderr:', text);
-                    this.lastLogs.push(text);
-                },
-            });
-
-            this.instance = wrapper.getInstance();
-
-            // Inject BOSL2 library
-            await this.injectBOSL2();
-
-            this.ready = true;
-            this.isDirty = false;
-            console.log('OpenSCAD WASM initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize OpenSCAD WASM:', error);
-            throw error;
-        }
+    isCompiling() {
+        return !!this.current;
     }
 
     /**
-     * Injects the BOSL2 library into the WASM virtual file system.
-     * Fetches the file list from public/bosl2_files.json and loads each file.
+     * Start the worker and let it prepare an OpenSCAD instance with BOSL2
+     * loaded, so the first compile doesn't pay for initialization.
      */
-    async injectBOSL2() {
-        if (!this.instance) throw new Error("WASM instance not ready");
-
-        console.log("Starting BOSL2 injection...");
-        const FS = this.instance.FS;
-
+    warmUp() {
         try {
-            // 1. Fetch file list
-            const response = await fetch('/bosl2_files.json');
-            if (!response.ok) {
-                console.warn("Could not load bosl2_files.json. BOSL2 will not be available.");
-                return;
-            }
-            const fileList = await response.json();
-            console.log(`Found ${fileList.length} BOSL2 files to inject.`);
-
-            // 2. Ensure /libraries/BOSL2 directory exists
-            // We use /libraries/BOSL2 to mimic standard library path structure or just /BOSL2
-            // The user requested /BOSL2 in the prompt example, but let's see.
-            // "OpenSCAD will look for libraries in the OPENSCADPATH environment variable."
-            // Let's adhere to the prompt's recommendation of /BOSL2 for simplicity.
+            this._getWorker().postMessage({ type: 'warmup' });
+        } catch (err) {
+            console.warn('OpenSCAD warm-up failed:', err);
+        }
+    }
 
-            if (!FS.analyzePath('/BOSL2').exists) {
-                FS.mkdir('/BOSL2');
-            }
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/OpenSCADWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => this._handleMessage(data);
+            this.worker.onerror = (event) => {
+                console.error('OpenSCAD worker error:', event.message);
+                this._terminate();
+                this.current?.finish({ error: event.message || 'OpenSCAD worker crashed', errorType: 'WORKER_ERROR' });
+            };
+        }
+        return this.worker;
+    }
 
-            // 3. Load files
-            const baseUrl = '/libraries/BOSL2/';
-
-            const loadPromises = fileList.map(async (filePath) => {
-                try {
-                    // Create subdirectories if needed
-                    const parts = filePath.split('/');
-                    if (parts.length > 1) {
-                        let currentPath = '/BOSL2';
-                        for (let i = 0; i < parts.length - 1; i++) {
-                            currentPath += '/' + parts[i];
-                            if (!FS.analyzePath(currentPath).exists) {
-                                FS.mkdir(currentPath);
-                            }
-                        }
-                    }
-
-                    const response = await fetch(`${baseUrl}${filePath}`);
-                    if (!response.ok) throw new Error(`Failed to fetch ${filePath}`);
-                    const content = await response.text();
-
-                    FS.writeFile(`/BOSL2/${filePath}`, content);
-                } catch (err) {
-                    console.warn(`Failed to inject BOSL2 file: ${filePath}`, err);
-                }
-            });
+    _terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
 
-            await Promise.all(loadPromises);
-            console.log("BOSL2 injection complete.");
+    _handleMessage(data) {
+        const job = this.current;
+        if (!job || data.id !== job.id) return;
+
+        switch (data.type) {
+            case 'progress':
+                job.onProgress?.({ stage: data.stage, message: data.message });
+                break;
+            case 'stdout':
+                job.onLog?.({ stream: 'stdout', text: data.text });
+                break;
+            case 'stderr':
+                job.logs.push(data.text);
+                job.onLog?.({ stream: 'stderr', text: data.text });
+                break;
+            case 'result':
+                job.finish({
+                    status: data.status,
+                    outputs: data.outputs,
+                    dimension: data.dimension,
+                    crash: data.crash,
+                    logs: data.logs,
+                    timings: data.timings
+                });
+                break;
+            case 'error':
+                job.finish({ error: data.message, logs: data.logs, timings: data.timings });
+                break;
+        }
+    }
 
-            // 4. Set OPENSCADPATH
-            // If we put files in /BOSL2, and we want `include <BOSL2/std.scad>` to work:
-            // If OPENSCADPATH is /, then include <BOSL2/std.scad> looks for /BOSL2/std.scad. Correct.
-            // this.instance.setenv("OPENSCADPATH", "/");
+    /**
+     * Abort the running compilation by terminating the worker.
+     * The pending compile() resolves with errorType 'CANCELLED'.
+     */
+    cancel() {
+        if (!this.current) return false;
+        this._terminate();
+        this.current.finish({ error: 'Compilation cancelled by user', errorType: 'CANCELLED' });
+        this.warmUp();
+        return true;
+    }
 
-        } catch (e) {
-            console.error("Error injecting BOSL2:", e);
-        }
+    /**
+     * Compile OpenSCAD code in the worker. 3D designs produce STL, 2D designs SVG.
+     * @param {string} scadCode - OpenSCAD source
+     * @param {Object} options - { onProgress({stage, message}), onLog({stream, text}), timeout }
+     * @returns {Promise<Object>} - { stlData, svgData, dimension, logs, diagnostics, validationWarnings }
+     *   or { error, errorType, logs, diagnostics, ... }. diagnostics come from diagnosticsService.parse().
+     */
+    compile(scadCode, options = {}) {
+        return this._enqueue(() => this._compile(scadCode, options));
     }
 
-    async compile(scadCode) {
-        this.lastLogs = []; // Reset logs for this run
+    /**
+     * Export the design in one of the formats from exportService.FORMATS
+     * @param {string} scadCode - OpenSCAD source
+     * @param {string} format - 'stl' | '3mf' | 'off' | 'amf' | 'dxf' | 'svg'
+     * @param {Object} options - { name, parameters, onProgress, onLog, timeout }
+     * @returns {Promise<Object>} - { data, mimeType, extension, dimension } or { error, errorType, logs }
+     */
+    exportModel(scadCode, format, options = {}) {
+        return this._enqueue(() => this._export(scadCode, format, options));
+    }
 
-        if (!this.ready || this.isDirty) {
-            await this.init();
-        }
+    _enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
 
+    async _compile(scadCode, options) {
         // Pre-compilation validation
         const validation = geometryValidator.validate(scadCode);
         if (!validation.valid) {
@@ -129,65 +146,144 @@ class OpenSCADService {
             console.warn('Geometry validation warnings:', validation.warnings);
         }
 
-        const inputFilename = '/input.scad';
-        const outputFilename = '/output.stl';
+        const startedAt = performance.now();
+        const outcome = await this._run(scadCode, PREVIEW_OUTPUTS, [], options);
 
-        try {
-            this.instance.FS.writeFile(inputFilename, scadCode);
-
-            const args = [inputFilename, '-o', outputFilename];
-            console.log('Running OpenSCAD with args:', args);
-
-            try {
-                this.instance.callMain(args);
-            } catch (e) {
-                // Emscripten throws ExitStatus when main() finishes with exit()
-                if (e && e.name === 'ExitStatus') {
-                    if (e.status !== 0) {
-                        const errorMsg = this.lastLogs.join('\n');
-                        console.error('OpenSCAD exited with non-zero status:', e.status);
-
-                        // Categorize the error
-                        const errorType = this.categorizeError(errorMsg);
-
-                        return {
-                            error: errorMsg || 'Unknown compilation error',
-                            errorType,
-                            status: e.status,
-                            logs: errorMsg,
-                            validationWarnings: validation.warnings
-                        };
-                    }
-                    console.log('OpenSCAD exited successfully');
-                } else {
-                    return {
-                        error: e.message || 'WASM Execution Error',
-                        logs: this.lastLogs.join('\n')
-                    };
-                }
-            }
+        this.lastLogs = outcome.logs ? outcome.logs.split('\n') : [];
+        loggingService.log('OpenSCAD', 'Compile Finished', {
+            durationMs: Math.round(performance.now() - startedAt),
+            status: outcome.status,
+            dimension: outcome.dimension || null,
+            errorType: outcome.errorType || null,
+            // Worker side: instance/library preparation, wait for the instance and the render itself
+            timings: outcome.timings || null
+        });
 
-            const stlData = this.instance.FS.readFile(outputFilename);
+        const diagnostics = diagnosticsService.parse(outcome.logs);
 
-            // Mark as dirty so we get a fresh instance next time
-            this.isDirty = true;
+        if (outcome.error) {
+            return {
+                error: outcome.error,
+                errorType: outcome.errorType || this.categorizeError(outcome.logs),
+                logs: outcome.logs,
+                diagnostics,
+                validationWarnings: validation.warnings
+            };
+        }
 
+        // The output of the other dimensionality always fails, so success means "one preview was written"
+        const { stl, svg } = outcome.outputs || {};
+        if (!stl && !svg) {
+            console.error('OpenSCAD exited with non-zero status:', outcome.status);
             return {
-                stlData,
-                logs: this.lastLogs.join('\n'),
+                error: outcome.logs || 'Unknown compilation error',
+                errorType: this.categorizeError(outcome.logs),
+                status: outcome.status,
+                logs: outcome.logs,
+                diagnostics,
                 validationWarnings: validation.warnings
             };
-        } catch (error) {
-            this.isDirty = true;
-            console.error('OpenSCAD compilation error:', error);
-            const errorType = this.categorizeError(this.lastLogs.join('\n'));
+        }
+
+        return {
+            stlData: stl || null,
+            svgData: svg || null,
+            dimension: outcome.dimension || (stl ? '3D' : '2D'),
+            logs: outcome.logs,
+            diagnostics,
+            validationWarnings: validation.warnings
+        };
+    }
+
+    async _export(scadCode, format, options) {
+        const spec = exportService.FORMATS[format];
+        if (!spec) {
+            return { error: `Unsupported export format: ${format}`, errorType: 'UNSUPPORTED_FORMAT' };
+        }
+
+        const metadata = { name: options.name, parameters: options.parameters };
+        const outputs = format === '3mf'
+            // The 3MF exporter of the WASM build may abort; the OFF mesh written before it is the fallback
+            ? ['off', '3mf']
+            : [format];
+        const outcome = await this._run(scadCode, outputs, exportService.getExportArgs(format, metadata), options);
+
+        loggingService.log('OpenSCAD', 'Export Finished', {
+            format,
+            status: outcome.status,
+            dimension: outcome.dimension || null,
+            crash: outcome.crash || null,
+            errorType: outcome.errorType || null,
+            timings: outcome.timings || null
+        });
+
+        if (outcome.error) {
+            return { error: outcome.error, errorType: outcome.errorType || this.categorizeError(outcome.logs), logs: outcome.logs };
+        }
+
+        let data = outcome.outputs?.[format];
+        if (!data && format === '3mf' && outcome.outputs?.off) {
+            data = exportService.offTo3MF(outcome.outputs.off, metadata);
+        }
+
+        if (!data) {
+            const wrongDimension = outcome.dimension && outcome.dimension !== spec.dimension;
             return {
-                error: error.message || 'General Compilation Failure',
-                errorType,
-                logs: this.lastLogs.join('\n'),
-                validationWarnings: validation?.warnings || []
+                error: wrongDimension
+                    ? `${spec.label} export needs a ${spec.dimension} design, but the top-level object is ${outcome.dimension}.`
+                    : (outcome.logs || `${spec.label} export failed`),
+                errorType: wrongDimension ? 'DIMENSION_MISMATCH' : this.categorizeError(outcome.logs),
+                logs: outcome.logs
             };
         }
+
+        return {
+            data,
+            mimeType: spec.mimeType,
+            extension: spec.extension,
+            dimension: outcome.dimension || spec.dimension
+        };
+    }
+
+    /**
+     * Run one callMain in the worker, requesting the given output formats
+     */
+    _run(scadCode, outputs, args, options) {
+        const timeoutMs = options.timeout || this.timeoutMs;
+
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            let timer = null;
+
+            const job = {
+                id,
+                logs: [],
+                onProgress: options.onProgress,
+                onLog: options.onLog,
+                finish: (result) => {
+                    clearTimeout(timer);
+                    if (this.current === job) this.current = null;
+                    resolve({ ...result, logs: result.logs ?? job.logs.join('\n') });
+                }
+            };
+            this.current = job;
+
+            timer = setTimeout(() => {
+                // A runaway render can only be stopped by killing the worker
+                this._terminate();
+                job.finish({
+                    error: `Compilation timed out after ${Math.round(timeoutMs / 1000)}s`,
+                    errorType: 'TIMEOUT'
+                });
+                this.warmUp();
+            }, timeoutMs);
+
+            try {
+                this._getWorker().postMessage({ type: 'compile', id, code: scadCode, outputs, args });
+            } catch (err) {
+                job.finish({ error: err.message, errorType: 'WORKER_ERROR' });
+            }
+        });
     }
 
     /**
@@ -0,0 +1,233 @@
+/**
+ * ParameterService - Extracts Customizer-style parameters from OpenSCAD code
+ * and rewrites their values in place.
+ *
+ * Follows the OpenSCAD Customizer conventions:
+ * - Only top-level assignments of literal values before the first module/function are parameters
+ * - `// [min:max]`, `// [min:step:max]` or `// [max]` after the value -> slider
+ * - `// [a, b, c]` or `// [10:Small, 20:Large]` -> dropdown
+ * - A `//` comment on the line above -> description
+ * - `/* [Group] *\/` starts a group, `/* [Hidden] *\/` hides the following parameters
+ */
+
+const NUMBER = '-?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?';
+const STRING = '"(?:[^"\\\\]|\\\\.)*"';
+const LITERAL = `${NUMBER}|true|false|${STRING}|\\[\\s*(?:${NUMBER}\\s*(?:,\\s*${NUMBER}\\s*)*)?\\]`;
+const ASSIGNMENT = new RegExp(`([A-Za-z_$][A-Za-z0-9_]*)\\s*=\\s*(${LITERAL})\\s*;`, 'y');
+const DEFINITION = /(module|function)\b/y;
+const DIRECTIVE = /(include|use)\s*<[^>\n]*>/y;
+const BLANK_LINE = /\n[ \t]*\n/y;
+
+class ParameterService {
+    /**
+     * Parse top-level parameters from OpenSCAD code
+     * @param {string} code - OpenSCAD source
+     * @returns {Array} - [{ name, value, type, control, min, max, step, options, description, group, start, end }]
+     */
+    parse(code) {
+        const params = [];
+        let group = 'Parameters';
+        let description = null;
+        let atStatementStart = true;
+        let depth = 0;
+        let i = 0;
+
+        while (i < code.length) {
+            const ch = code[i];
+
+            // Line comment: a standalone comment line becomes the description of the next parameter
+            if (code.startsWith('//', i)) {
+                const end = this._lineEnd(code, i);
+                if (depth === 0 && atStatementStart) {
+                    description = code.slice(i + 2, end).trim() || null;
+                }
+                i = end;
+                continue;
+            }
+
+            // Block comment: may declare a Customizer group
+            if (code.startsWith('/*', i)) {
+                const close = code.indexOf('*/', i + 2);
+                const end = close === -1 ? code.length : close + 2;
+                const groupMatch = code.slice(i, end).match(/^\/\*\s*\[([^\]]+)\]\s*\*\/$/);
+                if (groupMatch && depth === 0) {
+                    group = groupMatch[1].trim();
+                    description = null;
+                }
+                i = end;
+                continue;
+            }
+
+            if (ch === '\n') {
+                // A blank line detaches a comment from the following assignment
+                BLANK_LINE.lastIndex = i;
+                if (BLANK_LINE.test(code)) description = null;
+                i++;
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (depth === 0 && atStatementStart) {
+                DEFINITION.lastIndex = i;
+                if (DEFINITION.test(code)) break; // Customizer stops at the first module/function
+
+                DIRECTIVE.lastIndex = i;
+                if (DIRECTIVE.test(code)) {
+                    i = DIRECTIVE.lastIndex;
+                    description = null;
+                    continue;
+                }
+
+                ASSIGNMENT.lastIndex = i;
+                const match = ASSIGNMENT.exec(code);
+                if (match) {
+                    const [, name, literal] = match;
+                    const start = i + match[0].indexOf(literal, name.length);
+                    const lineEnd = this._lineEnd(code, ASSIGNMENT.lastIndex);
+                    const trailing = code.slice(ASSIGNMENT.lastIndex, lineEnd).match(/^\s*\/\/\s*(.*)$/);
+                    const annotation = trailing ? trailing[1].trim() : '';
+
+                    if (group.toLowerCase() !== 'hidden') {
+                        params.push(this._buildParameter(name, literal, annotation, {
+                            description,
+                            group,
+                            start,
+                            end: start + literal.length
+                        }));
+                    }
+
+                    description = null;
+                    i = trailing ? lineEnd : ASSIGNMENT.lastIndex;
+                    continue;
+                }
+            }
+
+            // Any other statement: skip strings and track nesting
+            if (ch === '"') {
+                i = this._stringEnd(code, i);
+                atStatementStart = false;
+                continue;
+            }
+            if (ch === '{' || ch === '(' || ch === '[') depth++;
+            if (ch === '}' || ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+
+            atStatementStart = depth === 0 && (ch === ';' || ch === '}');
+            description = null;
+            i++;
+        }
+
+        return params;
+    }
+
+    /**
+     * Replace the value of a parameter in the source code
+     * @param {string} code - OpenSCAD source
+     * @param {Object} param - Parameter returned by parse()
+     * @param {*} value - New value
+     * @returns {string} - Updated code
+     */
+    setValue(code, param, value) {
+        return code.slice(0, param.start) + this.formatValue(value, param.type) + code.slice(param.end);
+    }
+
+    formatValue(value, type) {
+        switch (type) {
+            case 'boolean':
+                return value ? 'true' : 'false';
+            case 'string':
+                return JSON.stringify(String(value));
+            case 'vector':
+                return `[${value.map(v => this._formatNumber(v)).join(', ')}]`;
+            default:
+                return this._formatNumber(value);
+        }
+    }
+
+    /**
+     * Current values keyed by name (used for snapshots and metadata)
+     */
+    getValues(code) {
+        return Object.fromEntries(this.parse(code).map(p => [p.name, p.value]));
+    }
+
+    _buildParameter(name, literal, annotation, extra) {
+        const param = { name, ...extra, control: 'text', options: null };
+
+        if (literal === 'true' || literal === 'false') {
+            param.type = 'boolean';
+            param.value = literal === 'true';
+            param.control = 'checkbox';
+        } else if (literal.startsWith('"')) {
+            param.type = 'string';
+            param.value = JSON.parse(literal);
+        } else if (literal.startsWith('[')) {
+            param.type = 'vector';
+            param.value = literal.slice(1, -1).split(',').map(s => s.trim()).filter(Boolean).map(Number);
+            param.control = 'vector';
+        } else {
+            param.type = 'number';
+            param.value = Number(literal);
+            param.control = 'number';
+        }
+
+        const bracket = annotation.match(/^\[(.*)\]/);
+        if (!bracket || param.type === 'boolean') return param;
+        const body = bracket[1].trim();
+
+        // Dropdown: comma separated values, optionally value:label
+        if (body.includes(',')) {
+            param.options = body.split(',').map(item => {
+                const [raw, label] = item.split(':').map(s => s.trim());
+                const optionValue = param.type === 'number' ? Number(raw) : raw.replace(/^"|"$/g, '');
+                return { value: optionValue, label: label || raw.replace(/^"|"$/g, '') };
+            });
+            param.control = 'dropdown';
+            return param;
+        }
+
+        // Slider: [max], [min:max] or [min:step:max]
+        if (param.type === 'number' || param.type === 'vector') {
+            const parts = body.split(':').map(Number);
+            if (parts.length > 0 && parts.every(n => !isNaN(n))) {
+                if (parts.length === 1) [param.min, param.max] = [0, parts[0]];
+                else if (parts.length === 2) [param.min, param.max] = parts;
+                else [param.min, param.step, param.max] = parts;
+                param.step = param.step ?? this._defaultStep(param);
+                if (param.type === 'number') param.control = 'slider';
+            }
+        }
+        return param;
+    }
+
+    _defaultStep(param) {
+        const values = [param.min, param.max, ...[].concat(param.value)];
+        return values.some(v => !Number.isInteger(v)) ? 0.1 : 1;
+    }
+
+    _formatNumber(value) {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return '0';
+        // Avoid floating point noise from sliders (e.g. 0.30000000000000004)
+        return String(Math.round(num * 1e6) / 1e6);
+    }
+
+    _lineEnd(code, index) {
+        const end = code.indexOf('\n', index);
+        return end === -1 ? code.length : end;
+    }
+
+    _stringEnd(code, index) {
+        let i = index + 1;
+        while (i < code.length && code[i] !== '"') {
+            if (code[i] === '\\') i++;
+            i++;
+        }
+        return i + 1;
+    }
+}
+
+export const parameterService = new ParameterService();
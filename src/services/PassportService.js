@@ -0,0 +1,241 @@
+/**
+ * PassportService - Schema, validation and prompt helpers for the
+ * "Geometric Passport" extracted from uploaded drawings.
+ * The passport mirrors CSG structure (base shape, additions, subtractions)
+ * so the reasoning model receives explicit coordinates instead of guessing.
+ */
+
+const BASE_SHAPES = ['cube', 'cylinder', 'sphere'];
+const PATTERNS = ['none', 'linear', 'circular'];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class PassportService {
+    /**
+     * System prompt for the vision model
+     */
+    getExtractionPrompt() {
+        return `Act as a Mechanical Engineer and 3D Perception Expert. Analyze this drawing/sketch and generate a 'Geometric Passport' for OpenSCAD reconstruction.
+Return ONLY a JSON object.
+
+Follow this JSON structure strictly:
+{
+  "part_name": "string",
+  "bounding_box": [x, y, z],
+  "orientation": "XY-plane",
+  "symmetry": "none|mirror_x|mirror_y|radial",
+  "base_geometry": { "shape": "cube|cylinder|sphere", "size": [x, y, z], "is_centered": true },
+  "additions": [ { "feature": "string", "shape": "string", "pos": [x, y, z], "size": [] } ],
+  "subtractions": [ { "feature": "string", "shape": "string", "pos": [x, y, z], "size": [], "pattern": "none|linear|circular" } ],
+  "estimated_parameters": [ { "name": "string", "value": 0, "reason": "string" } ],
+  "constraints": ["e.g., holes must be 5mm from edges"]
+}
+
+Rules:
+- All dimensions are in millimeters.
+- "pos" is relative to the center of the base geometry.
+- For cylinders "size" is [diameter, diameter, height].
+- Be precise with coordinates. If a dimension is missing, estimate it based on proportions and mark it with an asterisk, e.g. "12*".
+- "estimated_parameters" names must be valid OpenSCAD identifiers (wall_thickness, hole_diameter, base_height).`;
+    }
+
+    /**
+     * Empty passport used when extraction fails so the user can fill it in
+     */
+    createTemplate() {
+        return {
+            part_name: 'Part',
+            base_geometry: { shape: 'cube', size: [10, 10, 10], is_centered: true },
+            additions: [],
+            subtractions: [],
+            estimated_parameters: [],
+            constraints: []
+        };
+    }
+
+    /**
+     * Validate a passport against the schema and normalize it.
+     * Values marked with "*" are converted to numbers and their paths recorded in `estimated`.
+     * @param {Object} passport - Raw passport from the vision model or the user
+     * @returns {Object} - { valid: boolean, errors: [], passport: Object|null }
+     */
+    validate(passport) {
+        const errors = [];
+        const estimated = [];
+
+        if (!passport || typeof passport !== 'object' || Array.isArray(passport)) {
+            return { valid: false, errors: [{ path: '', message: 'Passport must be a JSON object.' }], passport: null };
+        }
+
+        const number = (value, path) => {
+            if (typeof value === 'number' && Number.isFinite(value)) return value;
+            if (typeof value === 'string') {
+                const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(?:mm)?\s*(\*)?$/);
+                if (match) {
+                    if (match[2]) estimated.push(path);
+                    return parseFloat(match[1]);
+                }
+            }
+            errors.push({ path, message: `Expected a number, got ${JSON.stringify(value)}.` });
+            return null;
+        };
+
+        const vector = (value, path, { length, min = 1, max = 3 } = {}) => {
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'Expected an array of numbers.' });
+                return [];
+            }
+            if (length !== undefined && value.length !== length) {
+                errors.push({ path, message: `Expected exactly ${length} values.` });
+            } else if (value.length < min || value.length > max) {
+                errors.push({ path, message: `Expected ${min} to ${max} values.` });
+            }
+            return value.map((v, i) => number(v, `${path}[${i}]`));
+        };
+
+        const text = (value, path, { required = true } = {}) => {
+            if (typeof value === 'string' && value.trim()) return value.trim();
+            if (required) errors.push({ path, message: 'Expected a non-empty string.' });
+            return '';
+        };
+
+        const list = (value, path) => {
+            if (value === undefined) return [];
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'Expected an array.' });
+                return [];
+            }
+            return value;
+        };
+
+        const normalized = {
+            part_name: text(passport.part_name, 'part_name')
+        };
+
+        if (passport.bounding_box !== undefined) {
+            normalized.bounding_box = vector(passport.bounding_box, 'bounding_box', { length: 3 });
+        }
+        if (passport.orientation !== undefined) {
+            normalized.orientation = text(passport.orientation, 'orientation', { required: false });
+        }
+        if (passport.symmetry !== undefined) {
+            normalized.symmetry = text(passport.symmetry, 'symmetry', { required: false });
+        }
+
+        // Base geometry
+        const base = passport.base_geometry;
+        if (!base || typeof base !== 'object') {
+            errors.push({ path: 'base_geometry', message: 'Missing base_geometry object.' });
+        } else {
+            const shape = text(base.shape, 'base_geometry.shape').toLowerCase();
+            if (shape && !BASE_SHAPES.includes(shape)) {
+                errors.push({ path: 'base_geometry.shape', message: `Shape must be one of: ${BASE_SHAPES.join(', ')}.` });
+            }
+            normalized.base_geometry = {
+                shape,
+                size: vector(base.size, 'base_geometry.size'),
+                is_centered: base.is_centered !== false
+            };
+        }
+
+        // Positive and negative features
+        const feature = (item, path, isSubtraction) => {
+            if (!item || typeof item !== 'object') {
+                errors.push({ path, message: 'Expected a feature object.' });
+                return null;
+            }
+            const result = {
+                feature: text(item.feature, `${path}.feature`),
+                shape: text(item.shape, `${path}.shape`),
+                pos: vector(item.pos, `${path}.pos`, { length: 3 }),
+                size: vector(item.size ?? [], `${path}.size`, { min: 0 })
+            };
+            if (isSubtraction) {
+                const pattern = (item.pattern || 'none').toString().toLowerCase();
+                if (!PATTERNS.includes(pattern)) {
+                    errors.push({ path: `${path}.pattern`, message: `Pattern must be one of: ${PATTERNS.join(', ')}.` });
+                }
+                result.pattern = pattern;
+            }
+            return result;
+        };
+
+        normalized.additions = list(passport.additions, 'additions')
+            .map((item, i) => feature(item, `additions[${i}]`, false))
+            .filter(Boolean);
+        normalized.subtractions = list(passport.subtractions, 'subtractions')
+            .map((item, i) => feature(item, `subtractions[${i}]`, true))
+            .filter(Boolean);
+
+        // Candidate parameters
+        normalized.estimated_parameters = list(passport.estimated_parameters, 'estimated_parameters').map((param, i) => {
+            const path = `estimated_parameters[${i}]`;
+            const name = text(param?.name, `${path}.name`);
+            if (name && !IDENTIFIER.test(name)) {
+                errors.push({ path: `${path}.name`, message: `"${name}" is not a valid OpenSCAD identifier.` });
+            }
+            return {
+                name,
+                value: number(param?.value, `${path}.value`),
+                reason: text(param?.reason, `${path}.reason`, { required: false })
+            };
+        });
+
+        normalized.constraints = list(passport.constraints, 'constraints').map((c, i) => text(c, `constraints[${i}]`));
+        normalized.estimated = estimated;
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            passport: normalized
+        };
+    }
+
+    /**
+     * Serialize a normalized passport for editing, re-marking estimated values with "*"
+     */
+    toEditableJson(passport) {
+        const { estimated = [], ...editable } = JSON.parse(JSON.stringify(passport));
+        for (const path of estimated) {
+            const keys = path.match(/[^.[\]]+/g);
+            const last = keys.pop();
+            const parent = keys.reduce((node, key) => node?.[key], editable);
+            if (parent && typeof parent[last] === 'number') {
+                parent[last] = `${parent[last]}*`;
+            }
+        }
+        return JSON.stringify(editable, null, 2);
+    }
+
+    /**
+     * Parse user-edited JSON text and validate it
+     */
+    parseAndValidate(jsonText) {
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonText);
+        } catch (e) {
+            return { valid: false, errors: [{ path: '', message: `Invalid JSON: ${e.message}` }], passport: null };
+        }
+        return this.validate(parsed);
+    }
+
+    /**
+     * Format the passport as the authoritative geometry block of the generation prompt
+     */
+    toPromptContext(passport) {
+        const { estimated = [], ...geometry } = passport;
+        let context = `GEOMETRIC PASSPORT (authoritative geometry extracted from the user's drawing):
+${JSON.stringify(geometry, null, 2)}
+
+- Use these dimensions, positions and patterns exactly unless the task explicitly changes them.
+- Expose "estimated_parameters" as top-level OpenSCAD variables.
+- Honour every entry in "constraints".`;
+
+        if (estimated.length > 0) {
+            context += `\n- These values were estimated from proportions, not read from the drawing: ${estimated.join(', ')}`;
+        }
+        return context;
+    }
+}
+
+export const passportService = new PassportService();
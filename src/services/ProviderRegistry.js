@@ -0,0 +1,56 @@
+import { OllamaProvider } from './providers/OllamaProvider';
+import { GeminiProvider } from './providers/GeminiProvider';
+import { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider';
+
+/**
+ * ProviderRegistry - The LLM backends available to AIService and RAGService.
+ * Providers implement the LLMProvider interface; the settings UI is generated
+ * from their `settingsSchema` and `capabilities`.
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        [new OllamaProvider(), new GeminiProvider(), new OpenAICompatibleProvider()]
+            .forEach(provider => this.register(provider));
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * @param {string} capability - Optional filter ('vision', 'embeddings', ...)
+     */
+    list(capability = null) {
+        const providers = [...this.providers.values()];
+        return capability ? providers.filter(p => p.capabilities[capability]) : providers;
+    }
+
+    /**
+     * Apply saved settings keyed by provider id
+     */
+    configure(settingsById = {}) {
+        this.providers.forEach((provider, id) => provider.configure(settingsById[id]));
+    }
+
+    /**
+     * Models of every provider; unreachable providers contribute none
+     */
+    async listModels() {
+        const lists = await Promise.all(this.list().map(async provider => {
+            try {
+                return await provider.listModels();
+            } catch (err) {
+                console.warn(`Failed to fetch ${provider.label} models:`, err);
+                return [];
+            }
+        }));
+        return lists.flat();
+    }
+}
+
+export const providerRegistry = new ProviderRegistry();
@@ -1,43 +1,74 @@
 import { localDBService } from './LocalDBService';
+import { documentationService } from './DocumentationService';
+import { providerRegistry } from './ProviderRegistry';
+import { loggingService } from './LoggingService';
+import { KeywordIndex } from './KeywordIndex';
+import { splitMarkdown, splitScad } from './Chunker';
+import { contentHash, readManifest } from './KnowledgeManifest';
+
+/**
+ * Named corpora of the knowledge store. Chunks carry their corpus id in metadata.corpus;
+ * bundled corpora are ingested from a prebuilt index (filtered by metadata.type when
+ * several corpora share one file), user snippets come from imported collections
+ * and indexFile().
+ * weight scales the fused score so curated examples outrank generic prose at equal relevance.
+ */
+export const CORPORA = [
+    { id: 'bosl2', label: 'BOSL2 wiki', url: '/bosl2_index.json', weight: 1 },
+    { id: 'reference', label: 'OpenSCAD reference', url: '/openscad_index.json', type: 'documentation', weight: 1 },
+    { id: 'examples', label: 'Technique examples', url: '/openscad_index.json', type: 'example', weight: 1.1 },
+    { id: 'user', label: 'User snippets', weight: 1.15 }
+];
+
+// Techniques of the example corpus (metadata.technique) and the words that ask for them
+export const TECHNIQUES = {
+    holes: /\b(holes?|bores?|drill(?:ed|ing)?|countersunk|counterbored?)\b/,
+    rounding: /\b(round(?:ed|ing)?|radius(?:ed)?)\b/,
+    fillets: /\bfillet(?:s|ed)?\b/,
+    chamfers: /\b(chamfer(?:s|ed)?|bevel(?:s|ed|led)?)\b/,
+    patterns: /\b(patterns?|arrays?|grids?|evenly spaced)\b/
+};
+
+// Chunks taken from each ranking before fusion, and the reciprocal-rank fusion constant
+const FUSION_CANDIDATES = 50;
+const RRF_K = 60;
+
+// Chunks stored before corpora existed all came from the BOSL2 index
+export function corpusOf(chunk) {
+    return chunk.metadata?.corpus || 'bosl2';
+}
 
 class RAGService {
     constructor() {
-        this.ollamaHost = import.meta.env.VITE_OLLAMA_HOST || '/ollama';
+        this.embeddingProvider = 'ollama';
         this.embeddingModel = 'nomic-embed-text'; // Standard embedding model
         this.isIndexing = false;
+        this.enabledCorpora = CORPORA.map(corpus => corpus.id);
+        this.catalog = null;
+        this.syncing = null; // In-flight syncIndexes() promise
     }
 
-    setOllamaHost(host) {
-        this.ollamaHost = host;
-        localStorage.setItem('ollamaHost', host);
+    /**
+     * @param {Object} toggles - { [corpusId]: boolean }; corpora not listed stay enabled
+     */
+    setEnabledCorpora(toggles = {}) {
+        this.enabledCorpora = CORPORA.map(corpus => corpus.id).filter(id => toggles[id] !== false);
     }
 
     /**
-     * Simple cosine similarity calculation
+     * @param {string} providerId - Registry id of a provider with the embeddings capability
+     * @param {string} model - Embedding model (defaults to the provider's)
      */
-    cosineSimilarity(vecA, vecB) {
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-        for (let i = 0; i < vecA.length; i++) {
-            dotProduct += vecA[i] * vecB[i];
-            normA += vecA[i] * vecA[i];
-            normB += vecB[i] * vecB[i];
-        }
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    setEmbeddingProvider(providerId, model) {
+        this.embeddingProvider = providerId;
+        this.embeddingModel = model || providerRegistry.get(providerId)?.defaultEmbeddingModel || this.embeddingModel;
     }
 
     async getEmbedding(text) {
         try {
-            const response = await fetch(`${this.ollamaHost}/api/embeddings`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    prompt: text
-                })
-            });
-            const data = await response.json();
-            return data.embedding;
+            const provider = providerRegistry.get(this.embeddingProvider);
+            if (!provider?.capabilities.embeddings) throw new Error(`No embeddings provider "${this.embeddingProvider}"`);
+            return await provider.embed(this.embeddingModel, text);
         } catch (e) {
             console.error('Embedding failed:', e);
             return null;
@@ -45,92 +76,405 @@ class RAGService {
     }
 
     /**
-     * Chunk markdown text by headers or fixed size
+     * Chunk markdown at headings without splitting code blocks (see Chunker.js)
+     * @returns {Array} - [{ text, source, headings, symbols }]
      */
     chunkMarkdown(text, source) {
-        const chunks = [];
-        const sections = text.split(/^##\s+/m);
-
-        for (let section of sections) {
-            if (!section.trim()) continue;
-
-            // Further split large sections if needed
-            if (section.length > 2000) {
-                const subChunks = section.match(/[\s\S]{1,2000}/g) || [];
-                subChunks.forEach(sc => chunks.push({ text: sc, source }));
-            } else {
-                chunks.push({ text: section, source });
-            }
-        }
-        return chunks;
+        return splitMarkdown(text, source);
     }
 
     /**
-     * Retrieve relevant chunks for a query
+     * Chunk an OpenSCAD file at its top-level module and function definitions
+     * @returns {Array} - [{ text, source, headings, symbols }]
      */
-    async search(query, topK = 5) {
-        const queryEmbedding = await this.getEmbedding(query);
-        if (!queryEmbedding) return [];
+    chunkScad(text, source) {
+        return splitScad(text, source);
+    }
+
+    chunkFile(path, content) {
+        return path.toLowerCase().endsWith('.scad') ? this.chunkScad(content, path) : this.chunkMarkdown(content, path);
+    }
+
+    /**
+     * Techniques a request asks for, as metadata.technique values for a search filter
+     * @returns {string[]}
+     */
+    techniquesIn(text) {
+        const lower = (text || '').toLowerCase();
+        return Object.keys(TECHNIQUES).filter(technique => TECHNIQUES[technique].test(lower));
+    }
+
+    /**
+     * Retrieve relevant chunks for a query: BM25 and approximate nearest-neighbour
+     * rankings (the vector index in LocalDBService) merged by reciprocal-rank
+     * fusion, or BM25 alone when no embedding is available
+     * @param {string} query
+     * @param {number} topK
+     * @param {Object} options - { corpora: ids to search (default: the enabled ones),
+     *                             filters: metadata that must match, e.g. { technique: 'holes' };
+     *                             an array value matches any of its entries }
+     * @returns {Promise<Array>} - Chunks with similarity (null without embeddings), bm25 and the fused score
+     */
+    async search(query, topK = 5, options = {}) {
+        const corpora = options.corpora || this.enabledCorpora;
+        const filters = options.filters || {};
+        if (corpora.length === 0) return [];
+        const started = performance.now();
+
+        const catalog = await this._catalog();
+        if (catalog.size === 0) return [];
+
+        const candidates = new Set([...catalog.chunks]
+            .filter(([, chunk]) => corpora.includes(chunk.corpus) && matchesFilters(chunk.metadata, filters))
+            .map(([id]) => id));
 
-        const { data: allKnowledge } = await localDBService.getAllKnowledge();
-        if (!allKnowledge || allKnowledge.length === 0) return [];
+        const fused = new Map(); // id -> { similarity, bm25, rrf }
+        const entry = (id) => {
+            if (!fused.has(id)) fused.set(id, { similarity: null, bm25: null, rrf: 0 });
+            return fused.get(id);
+        };
 
-        // Score and sort
-        const results = allKnowledge.map(chunk => ({
-            ...chunk,
-            similarity: this.cosineSimilarity(queryEmbedding, chunk.embedding)
-        }));
+        const timings = {};
+        let mark = performance.now();
+        const lap = (name) => {
+            const now = performance.now();
+            timings[name] = Math.round(now - mark);
+            mark = now;
+        };
 
-        return results
-            .sort((a, b) => b.similarity - a.similarity)
+        const queryEmbedding = await this.getEmbedding(query);
+        lap('embedMs');
+        let vectorSearch = null;
+        if (queryEmbedding) {
+            const { data, error } = await localDBService.searchVectors(queryEmbedding, FUSION_CANDIDATES, {
+                accept: id => candidates.has(id),
+                fraction: candidates.size / catalog.size
+            });
+            if (error) console.warn('Vector search failed:', error);
+            vectorSearch = data;
+            (data?.matches || []).forEach(({ id, similarity }, rank) => {
+                const e = entry(id);
+                e.similarity = similarity;
+                e.rrf += 1 / (RRF_K + rank + 1);
+            });
+        }
+        lap('vectorMs');
+
+        catalog.keywordIndex
+            .search(query, { limit: FUSION_CANDIDATES, accept: id => candidates.has(id) })
+            .forEach(({ id, score }, rank) => {
+                const e = entry(id);
+                e.bm25 = score;
+                e.rrf += 1 / (RRF_K + rank + 1);
+            });
+        lap('lexicalMs');
+
+        const weights = Object.fromEntries(CORPORA.map(corpus => [corpus.id, corpus.weight]));
+        const ranked = [...fused]
+            .map(([id, { similarity, bm25, rrf }]) => {
+                const corpus = catalog.chunks.get(id).corpus;
+                return { id, corpus, similarity, bm25, score: rrf * (weights[corpus] ?? 1) };
+            })
+            .sort((a, b) => b.score - a.score)
             .slice(0, topK);
+
+        // Only the winners are read back with their content
+        const { data: chunks } = await localDBService.getKnowledgeChunks(ranked.map(r => r.id));
+        const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+        const results = ranked.filter(r => byId.has(r.id)).map(r => ({ ...byId.get(r.id), ...r }));
+        lap('fetchMs');
+
+        loggingService.log('RAG', 'Search', {
+            mode: vectorSearch ? 'hybrid' : 'lexical',
+            candidates: candidates.size,
+            results: results.length,
+            vectorsScanned: vectorSearch?.scanned ?? 0,
+            listsProbed: vectorSearch?.probes ?? 0,
+            indexRebuilt: vectorSearch?.rebuilt ?? false,
+            ...timings,
+            durationMs: Math.round(performance.now() - started)
+        });
+        return results;
     }
 
+    /**
+     * Corpus and metadata of every chunk plus the BM25 index over them, kept in
+     * memory so queries don't read the store. Reloaded when the chunk count
+     * changes or after this service wrote chunks. Technique, keywords and
+     * symbols metadata are indexed with the content.
+     */
+    async _catalog() {
+        const { data: count } = await localDBService.countKnowledge();
+        if (this.catalog?.size !== count) {
+            const { data: allKnowledge } = await localDBService.getAllKnowledge();
+            this.catalog = {
+                size: allKnowledge.length,
+                chunks: new Map(allKnowledge.map(chunk => [chunk.id, { corpus: corpusOf(chunk), metadata: chunk.metadata }])),
+                keywordIndex: new KeywordIndex(allKnowledge.map(chunk => ({
+                    id: chunk.id,
+                    text: [
+                        chunk.content,
+                        chunk.metadata?.technique,
+                        ...(chunk.metadata?.keywords || []),
+                        ...(chunk.metadata?.symbols || [])
+                    ].filter(Boolean).join('\n')
+                })))
+            };
+        }
+        return this.catalog;
+    }
+
+    /**
+     * Add a markdown file to the user snippets corpus
+     */
     async indexFile(path, content) {
         const chunks = this.chunkMarkdown(content, path);
         for (let chunk of chunks) {
+            // Without an embedding the chunk is still found by keyword search
             const embedding = await this.getEmbedding(chunk.text);
-            if (embedding) {
-                await localDBService.saveKnowledgeChunk(chunk.text, embedding, { source: path });
-            }
+            await localDBService.saveKnowledgeChunk(chunk.text, embedding, {
+                source: path, corpus: 'user', headings: chunk.headings, symbols: chunk.symbols
+            });
         }
+        this.catalog = null;
     }
 
-    async loadBOSL2Index() {
-        try {
-            // Check if we already have knowledge
-            const { data: existing } = await localDBService.getAllKnowledge();
-            if (existing && existing.length > 0) {
-                console.log('RAG Knowledge Base already populated with ' + existing.length + ' chunks.');
-                return;
+    /**
+     * Import files as a named collection of the user snippets corpus, replacing
+     * a collection of the same name. The files are kept for re-indexing.
+     * @param {string} name
+     * @param {Array} files - [{ path, content }]
+     * @param {Function} onProgress - (done, total) per embedded chunk
+     * @returns {Promise<Object>} - Collection summary, see listCollections()
+     */
+    async importCollection(name, files, onProgress) {
+        const { data: previous } = await localDBService.getCollection(name);
+        const collection = {
+            name,
+            files,
+            created_at: previous?.created_at || new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        return this._indexCollection(collection, onProgress);
+    }
+
+    /**
+     * Chunk and embed a collection's stored files again (e.g. after changing the embedding model)
+     */
+    async reindexCollection(name, onProgress) {
+        const { data: collection } = await localDBService.getCollection(name);
+        if (!collection) throw new Error(`No collection "${name}"`);
+        return this._indexCollection({ ...collection, updated_at: new Date().toISOString() }, onProgress);
+    }
+
+    async deleteCollection(name) {
+        await localDBService.deleteKnowledge(await this._collectionChunkIds(name));
+        await localDBService.deleteCollection(name);
+        this.catalog = null;
+    }
+
+    /**
+     * @returns {Promise<Array>} - [{ name, files, chunks, embedded, embeddingModel, created_at, updated_at }]
+     *                             with file and chunk counts, newest first
+     */
+    async listCollections() {
+        const { data } = await localDBService.getCollections();
+        return (data || [])
+            .map(({ files, ...collection }) => ({ ...collection, files: files.length }))
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    }
+
+    async _collectionChunkIds(name) {
+        const { data } = await localDBService.getAllKnowledge();
+        return (data || []).filter(chunk => chunk.metadata?.collection === name).map(chunk => chunk.id);
+    }
+
+    /**
+     * Embed every chunk first, then write them and only then drop the previous
+     * chunks, so a failed or interrupted re-index leaves the old collection intact
+     */
+    async _indexCollection(collection, onProgress) {
+        const chunks = collection.files.flatMap(file => this.chunkFile(file.path, file.content));
+        const records = [];
+        let embedded = 0;
+        for (const chunk of chunks) {
+            // Without an embedding the chunk is still found by keyword search
+            const embedding = await this.getEmbedding(chunk.text);
+            if (embedding) embedded++;
+            records.push({
+                content: chunk.text,
+                embedding,
+                metadata: {
+                    source: chunk.source,
+                    corpus: 'user',
+                    collection: collection.name,
+                    headings: chunk.headings,
+                    symbols: chunk.symbols
+                }
+            });
+            onProgress?.(records.length, chunks.length);
+        }
+
+        const obsolete = await this._collectionChunkIds(collection.name);
+        const batchSize = 20;
+        for (let i = 0; i < records.length; i += batchSize) {
+            await localDBService.saveKnowledgeChunks(records.slice(i, i + batchSize));
+        }
+        await localDBService.deleteKnowledge(obsolete);
+
+        const summary = {
+            ...collection,
+            chunks: chunks.length,
+            embedded,
+            embeddingModel: `${this.embeddingProvider}/${this.embeddingModel}`
+        };
+        await localDBService.saveCollection(summary);
+        this.catalog = null;
+        loggingService.log('RAG', 'Collection Indexed', { name: collection.name, files: collection.files.length, chunks: chunks.length, embedded });
+
+        const { files, ...rest } = summary;
+        return { ...rest, files: files.length };
+    }
+
+    /**
+     * Bring the bundled corpora in line with their index files: chunks with a new
+     * hash are added, chunks no longer in the index removed and chunks whose
+     * metadata changed rewritten. A corpus whose index version matches its last
+     * sync is skipped unless force is set. Only one sync runs at a time: plain
+     * callers arriving while one is in flight get its result, while forced
+     * callers or callers with their own onProgress run after it.
+     * @param {Object} options - { force, onProgress: ({ corpus, label, phase: 'download' | 'write', done, total }) => void }
+     * @returns {Promise<Array>} - [{ corpus, label, status: 'unchanged' | 'synced' | 'failed', added, updated, removed, error }]
+     */
+    syncIndexes(options = {}) {
+        if (this.syncing && !options.force && !options.onProgress) return this.syncing;
+
+        const previous = this.syncing || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => this._syncIndexes(options)).finally(() => {
+            if (this.syncing === run) this.syncing = null;
+        });
+        this.syncing = run;
+        return run;
+    }
+
+    async _syncIndexes({ force = false, onProgress } = {}) {
+        const bundled = CORPORA.filter(corpus => corpus.url);
+        let existing = null; // Loaded once a corpus needs a diff
+        const { data: states } = await localDBService.getCorpusStates();
+        const stateOf = new Map((states || []).map(state => [state.id, state]));
+        const results = [];
+
+        // Several corpora can share one index file
+        for (const url of [...new Set(bundled.map(corpus => corpus.url))]) {
+            const corpora = bundled.filter(corpus => corpus.url === url);
+            let manifest;
+            try {
+                onProgress?.({ corpus: corpora[0].id, label: corpora.map(c => c.label).join(', '), phase: 'download', done: 0, total: 0 });
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+                manifest = readManifest(await response.json());
+            } catch (e) {
+                console.error('Failed to load index file:', e);
+                corpora.forEach(corpus => results.push({ corpus: corpus.id, label: corpus.label, status: 'failed', error: e.message }));
+                continue;
             }
 
-            console.log('Loading BOSL2 Index...');
-            const response = await fetch('/bosl2_index.json');
-            if (!response.ok) throw new Error('Failed to load BOSL2 index file');
+            for (const corpus of corpora) {
+                const state = stateOf.get(corpus.id);
+                // The state is saved after a corpus is written and cleared with the store
+                if (!force && state?.version === manifest.version) {
+                    results.push({ corpus: corpus.id, label: corpus.label, status: 'unchanged', added: 0, updated: 0, removed: 0 });
+                    continue;
+                }
+                if (!existing) existing = (await localDBService.getAllKnowledge()).data || [];
+                const stored = existing.filter(chunk => corpusOf(chunk) === corpus.id);
+                const incoming = corpus.type ? manifest.chunks.filter(chunk => chunk.metadata?.type === corpus.type) : manifest.chunks;
+
+                // Same content embedded by another model still needs the new vectors
+                const reembedded = !!(state?.embedding_model && manifest.embedding_model && state.embedding_model !== manifest.embedding_model);
+                const outcome = await this._syncCorpus(corpus, stored, incoming, reembedded, onProgress);
+                await localDBService.saveCorpusState({
+                    id: corpus.id,
+                    version: manifest.version,
+                    embedding_model: manifest.embedding_model,
+                    chunks: outcome.chunks,
+                    synced_at: new Date().toISOString()
+                });
+                results.push({ corpus: corpus.id, label: corpus.label, status: 'synced', ...outcome });
+            }
+        }
 
-            const chunks = await response.json();
-            console.log(`Ingesting ${chunks.length} BOSL2 chunks...`);
+        if (results.some(r => r.added || r.updated || r.removed)) {
+            // Re-cluster for the new corpus size instead of on the first search
+            const { data: built } = await localDBService.rebuildVectorIndex();
+            loggingService.log('RAG', 'Vector Index Built', built);
 
-            // Bulk add would be faster but we have saveKnowledgeChunk
-            // Let's do it in parallel bundles
-            const batchSize = 50;
-            for (let i = 0; i < chunks.length; i += batchSize) {
-                const batch = chunks.slice(i, i + batchSize);
-                await Promise.all(batch.map(chunk =>
-                    localDBService.saveKnowledgeChunk(
-                        chunk.content,
-                        chunk.embedding,
-                        { source: chunk.metadata?.source || 'BOSL2' }
-                    )
-                ));
+            // Editor hovers search the knowledge store; drop their stale section list
+            documentationService.invalidate();
+            this.catalog = null;
+        }
+        loggingService.log('RAG', 'Knowledge Synced', {
+            corpora: results.map(({ corpus, status, added, updated, removed, error }) => ({ corpus, status, added, updated, removed, error }))
+        });
+        return results;
+    }
+
+    async _syncCorpus(corpus, stored, incoming, rewriteAll, onProgress) {
+        const toStore = (chunk) => ({
+            content: chunk.content,
+            embedding: chunk.embedding,
+            metadata: { ...chunk.metadata, source: chunk.metadata?.source || corpus.label, corpus: corpus.id, hash: chunk.hash }
+        });
+
+        // Chunks stored before index files had hashes get the same hash from their content
+        const storedByHash = new Map();
+        const obsolete = [];
+        for (const chunk of stored) {
+            const hash = chunk.metadata?.hash || contentHash(chunk.content);
+            if (storedByHash.has(hash)) obsolete.push(chunk.id);
+            else storedByHash.set(hash, chunk);
+        }
+        const incomingByHash = new Map(incoming.map(chunk => [chunk.hash, chunk]));
+
+        const writes = [];
+        let added = 0;
+        let updated = 0;
+        let removed = 0;
+        for (const [hash, chunk] of incomingByHash) {
+            const current = storedByHash.get(hash);
+            const next = toStore(chunk);
+            if (!current) {
+                writes.push(next);
+                added++;
+            } else if (rewriteAll || JSON.stringify(current.metadata) !== JSON.stringify(next.metadata)) {
+                obsolete.push(current.id);
+                writes.push(next);
+                updated++;
             }
+        }
+        for (const [hash, chunk] of storedByHash) {
+            if (!incomingByHash.has(hash)) {
+                obsolete.push(chunk.id);
+                removed++;
+            }
+        }
 
-            console.log('BOSL2 Indexing Complete.');
-        } catch (e) {
-            console.error('Failed to load BOSL2 index:', e);
+        if (obsolete.length) await localDBService.deleteKnowledge(obsolete);
+        const batchSize = 50;
+        for (let i = 0; i < writes.length; i += batchSize) {
+            await localDBService.saveKnowledgeChunks(writes.slice(i, i + batchSize));
+            onProgress?.({ corpus: corpus.id, label: corpus.label, phase: 'write', done: Math.min(i + batchSize, writes.length), total: writes.length });
         }
+        return { added, updated, removed, chunks: incomingByHash.size };
     }
 }
 
+function matchesFilters(metadata = {}, filters) {
+    return Object.entries(filters).every(([key, wanted]) => {
+        const values = Array.isArray(metadata[key]) ? metadata[key] : [metadata[key]];
+        const accepted = Array.isArray(wanted) ? wanted : [wanted];
+        return accepted.some(value => values.includes(value));
+    });
+}
+
 export const ragService = new RAGService();
@@ -0,0 +1,202 @@
+/**
+ * RequirementService - Numeric requirements from the user's prompt ("80mm wide",
+ * "4 M3 holes", "2mm walls") checked against the MeshAnalyzer report of the
+ * compiled model. Mismatches go back to aiService.fixCode as REQUIREMENT_MISMATCH.
+ *
+ * Requirement: { kind: 'dimension', axis: 'x' | 'y' | 'z' | 'length', value, text }
+ *              { kind: 'holes', count, text }
+ *              { kind: 'wall', value, text }
+ * value is in mm; text is the phrase it was read from. 'length' is the longer
+ * horizontal side, since "long" doesn't say which axis the model uses.
+ */
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '(mm|millimet(?:er|re)s?|cm|centimet(?:er|re)s?|inch(?:es)?|")(?![a-z])';
+// By the first letter of the unit: millimeters, centimeters, inches
+const UNIT_SCALE = { m: 1, c: 10, i: 25.4, '"': 25.4 };
+
+const AXIS_WORDS = {
+    wide: 'x', width: 'x',
+    deep: 'y', depth: 'y',
+    tall: 'z', high: 'z', height: 'z', thick: 'z', thickness: 'z',
+    long: 'length', length: 'length'
+};
+const AXIS_LABELS = { x: 'Width (X)', y: 'Depth (Y)', z: 'Height (Z)', length: 'Length (longest horizontal side)' };
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+
+const WALL_PATTERNS = [
+    new RegExp(`${NUMBER}\\s*${UNIT}\\s*(?:thick\\s+)?walls?\\b`, 'g'),
+    new RegExp(`\\bwalls?(?:\\s+thickness)?\\s*(?:of|:|=|is|are|should be|must be|at least)?\\s*${NUMBER}\\s*${UNIT}`, 'g')
+];
+// "50 x 30 x 20" without a unit is in millimeters; "M3 x 10" is a screw, not a size
+const SIZE_PATTERN = new RegExp(`(?<![\\w.])${NUMBER}\\s*(?:${UNIT})?\\s*[x×*]\\s*${NUMBER}\\s*(?:${UNIT})?(?:\\s*[x×*]\\s*${NUMBER})?(?:\\s*${UNIT})?`, 'g');
+const ADJECTIVE_PATTERN = new RegExp(`${NUMBER}\\s*${UNIT}\\s+(wide|long|deep|tall|high|thick)\\b(?!\\s+walls?)`, 'g');
+const NOUN_PATTERN = new RegExp(`\\b(width|length|depth|height|thickness)\\s*(?:of|:|=|is|should be|must be)?\\s*${NUMBER}\\s*${UNIT}`, 'g');
+const HOLE_PATTERN = new RegExp(`\\b(\\d+|${Object.keys(COUNT_WORDS).join('|')})\\s+((?:(?!(?:with|and|for|of|in|on)\\b)[\\w.-]+\\s+){0,3}?)holes?\\b`, 'g');
+
+// Dimensions of a feature ("5mm deep holes", "hole depth of 5mm") are not the part's size
+const FEATURE_WORDS = /^(holes?|slots?|pockets?|recess(?:es)?|grooves?|channels?|cutouts?|notch(?:es)?|bosses|boss|posts?|pegs?|pins?|lips?|rims?|tabs?|ribs?|fins?|walls?|text|letters?|chamfers?|fillets?)$/;
+
+// Measured values within this distance of the request pass
+const DIMENSION_TOLERANCE = { absolute: 0.5, relative: 0.02 };
+const WALL_TOLERANCE = { absolute: 0.2, relative: 0.1 };
+
+class RequirementService {
+    /**
+     * Read numeric requirements from the prompt; the passport's bounding box
+     * fills in axes the prompt doesn't mention
+     * @param {string} prompt - The user's request
+     * @param {Object} passport - Normalized Geometric Passport (optional)
+     * @returns {Array} - Requirements, at most one per axis
+     */
+    extract(prompt, passport = null) {
+        const text = (prompt || '').toLowerCase();
+        const requirements = [];
+        const dimension = (axis, value, phrase) => {
+            if (value > 0 && !requirements.some(r => r.kind === 'dimension' && r.axis === axis)) {
+                requirements.push({ kind: 'dimension', axis, value, text: phrase });
+            }
+        };
+
+        for (const pattern of WALL_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                const value = toMillimeters(match[1], match[2]);
+                if (value > 0 && !requirements.some(r => r.kind === 'wall')) {
+                    requirements.push({ kind: 'wall', value, text: match[0].trim() });
+                }
+            }
+        }
+
+        for (const match of text.matchAll(SIZE_PATTERN)) {
+            if (describesFeature(text, match)) continue;
+            const unit = match[6] || match[4] || match[2] || 'mm';
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                const value = match[[1, 3, 5][i]];
+                if (value !== undefined) dimension(axis, toMillimeters(value, unit), match[0].trim());
+            });
+        }
+
+        for (const match of text.matchAll(ADJECTIVE_PATTERN)) {
+            if (describesFeature(text, match)) continue;
+            dimension(AXIS_WORDS[match[3]], toMillimeters(match[1], match[2]), match[0].trim());
+        }
+
+        for (const match of text.matchAll(NOUN_PATTERN)) {
+            if (describesFeature(text, match)) continue;
+            dimension(AXIS_WORDS[match[1]], toMillimeters(match[2], match[3]), match[0].trim());
+        }
+
+        let holeCount = 0;
+        const holePhrases = [];
+        for (const match of text.matchAll(HOLE_PATTERN)) {
+            const filler = match[2].trim().split(/\s+/).filter(Boolean);
+            // "2 mm holes" is a size, not a count; blind holes don't go through the part
+            if (filler.length > 0 && new RegExp(`^${UNIT}$`).test(filler[0])) continue;
+            if (filler.includes('blind')) continue;
+            holeCount += COUNT_WORDS[match[1]] ?? parseInt(match[1], 10);
+            holePhrases.push(match[0].trim());
+        }
+        if (holeCount > 0) requirements.push({ kind: 'holes', count: holeCount, text: holePhrases.join(', ') });
+
+        // Drawings give an authoritative bounding box; estimated values are only guesses
+        const box = passport?.bounding_box;
+        if (Array.isArray(box)) {
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                if (typeof box[i] === 'number' && !(passport.estimated || []).includes(`bounding_box[${i}]`)) {
+                    dimension(axis, box[i], 'drawing bounding box');
+                }
+            });
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Compare requirements with the measured mesh
+     * @param {Array} requirements - From extract()
+     * @param {Object} report - MeshAnalyzer report (null for 2D designs or a failed analysis)
+     * @returns {Object} - { mismatches: [{ requirement, actual, message }], passed: [...], skipped: [...] }
+     */
+    check(requirements, report) {
+        const outcome = { mismatches: [], passed: [], skipped: [] };
+        if (!requirements?.length) return outcome;
+        if (!report?.bbox) {
+            outcome.skipped = requirements.map(requirement => ({ requirement, actual: null, message: 'No 3D mesh to measure.' }));
+            return outcome;
+        }
+
+        const [sizeX, sizeY, sizeZ] = report.bbox.size;
+        for (const requirement of requirements) {
+            const { kind, text } = requirement;
+
+            if (kind === 'dimension') {
+                const { axis, value } = requirement;
+                const actual = { x: sizeX, y: sizeY, z: sizeZ, length: Math.max(sizeX, sizeY) }[axis];
+                const entry = { requirement, actual, message: `${AXIS_LABELS[axis]} is ${actual} mm, requested ${value} mm ("${text}").` };
+                if (within(actual, value, DIMENSION_TOLERANCE)) outcome.passed.push(entry);
+                else outcome.mismatches.push(entry);
+            } else if (kind === 'holes') {
+                if (report.genus === null) {
+                    outcome.skipped.push({ requirement, actual: null, message: 'Through-holes can only be counted on a manifold mesh.' });
+                    continue;
+                }
+                // Other features (a handle, a slot) may add through-holes of their own
+                const entry = {
+                    requirement,
+                    actual: report.genus,
+                    message: `The mesh has ${report.genus} through-holes, requested ${requirement.count} ("${text}"). Holes only count when they pass completely through the part.`
+                };
+                if (report.genus >= requirement.count) outcome.passed.push(entry);
+                else outcome.mismatches.push(entry);
+            } else if (kind === 'wall') {
+                if (!Number.isFinite(report.typicalWallThickness)) {
+                    outcome.skipped.push({ requirement, actual: null, message: 'Wall thickness could not be measured.' });
+                    continue;
+                }
+                // Most of the part should have the requested walls; thinner ribs or a thicker base are fine
+                const { value } = requirement;
+                const actual = report.typicalWallThickness;
+                const entry = { requirement, actual, message: `Most walls are ${actual} mm thick, requested ${value} mm ("${text}").` };
+                if (within(actual, value, WALL_TOLERANCE)) outcome.passed.push(entry);
+                else outcome.mismatches.push(entry);
+            }
+        }
+        return outcome;
+    }
+
+    /**
+     * Mismatches as the error report of a fix attempt
+     */
+    format(mismatches) {
+        return mismatches.map(({ message }) => `- ${message}`).join('\n');
+    }
+
+    /**
+     * Short labels of the met requirements for the chat ("width 80 mm, 4 through-holes")
+     */
+    describe(entries) {
+        return entries.map(({ requirement }) => {
+            if (requirement.kind === 'holes') return `${requirement.count} through-holes`;
+            if (requirement.kind === 'wall') return `${requirement.value} mm walls`;
+            return `${AXIS_LABELS[requirement.axis].split(' ')[0].toLowerCase()} ${requirement.value} mm`;
+        }).join(', ');
+    }
+}
+
+function toMillimeters(value, unit = 'mm') {
+    return Math.round(parseFloat(value) * UNIT_SCALE[unit[0]] * 100) / 100;
+}
+
+function within(actual, expected, { absolute, relative }) {
+    return Math.abs(actual - expected) <= Math.max(absolute, expected * relative);
+}
+
+// The words next to a match, within its clause, name a feature ("5mm deep holes", "slot width 4mm")
+function describesFeature(text, match) {
+    const before = text.slice(0, match.index).split(/[,;]|\.\s/).pop().trim().split(/\s+/).slice(-2);
+    const after = text.slice(match.index + match[0].length).split(/[,;]|\.\s/)[0].trim().split(/\s+/).slice(0, 2);
+    return [...before, ...after].some(word => FEATURE_WORDS.test(word.replace(/[^a-z]/g, '')));
+}
+
+export const requirementService = new RequirementService();
@@ -0,0 +1,165 @@
+/**
+ * VectorIndex - Inverted-file (IVF) approximate nearest-neighbour search over
+ * knowledge embeddings. Vectors are unit-normalized and grouped into lists by
+ * their nearest k-means centroid; a query scans only the lists whose centroids
+ * are closest to it. LocalDBService persists the index in the `vectorIndex` store.
+ *
+ * Meta record:  { id: 'meta', dim, centroids: Float32Array (lists × dim),
+ *                 lists: [vectors per list], count, removed }
+ * Block record: { id: 'block:<list>:<n>', ids: [chunk id], vectors: Float32Array (ids.length × dim) }
+ *
+ * Each list is a run of blocks of at most BLOCK_SIZE vectors, so adding a
+ * chunk rewrites one block. Deleted chunks stay in their block until the next
+ * rebuild (`removed` counts them); callers drop ids they no longer know.
+ */
+
+export const BLOCK_SIZE = 128;
+// Below this many vectors the index is a single list, i.e. an exact scan
+const MIN_TRAINING_VECTORS = 512;
+const MAX_LISTS = 256;
+// k-means trains on this many vectors per list, enough to place the centroids
+const TRAINING_PER_LIST = 40;
+const KMEANS_ITERATIONS = 6;
+// Lists scanned by a query over the whole store
+const DEFAULT_PROBES = 8;
+
+export function blockId(list, n) {
+    return `block:${list}:${n}`;
+}
+
+export function normalize(vector) {
+    const out = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+    return out;
+}
+
+function dot(vectors, offset, query) {
+    let sum = 0;
+    for (let i = 0; i < query.length; i++) sum += vectors[offset + i] * query[i];
+    return sum;
+}
+
+export function listCount(vectors) {
+    return vectors < MIN_TRAINING_VECTORS ? 1 : Math.min(MAX_LISTS, Math.round(Math.sqrt(vectors)));
+}
+
+/**
+ * The index is missing, has outgrown its lists or holds many deleted vectors
+ */
+export function needsRebuild(meta) {
+    if (!meta) return true;
+    const wanted = listCount(meta.count);
+    return (wanted > 1 && wanted >= 2 * meta.lists.length) || meta.removed > meta.count / 4;
+}
+
+/**
+ * Spherical k-means on a sample of the vectors
+ * @param {Float32Array[]} vectors - Normalized
+ * @param {number} lists
+ * @returns {Float32Array} - lists × dim centroids
+ */
+export function trainCentroids(vectors, lists) {
+    const dim = vectors[0]?.length || 0;
+    const step = Math.max(1, vectors.length / (lists * TRAINING_PER_LIST));
+    const sample = [];
+    for (let i = 0; i < vectors.length; i += step) sample.push(vectors[Math.floor(i)]);
+
+    // Seed with evenly spaced sample vectors
+    const centroids = new Float32Array(lists * dim);
+    for (let c = 0; c < lists; c++) centroids.set(sample[Math.floor(c * sample.length / lists)], c * dim);
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        const sums = new Float32Array(lists * dim);
+        const sizes = new Uint32Array(lists);
+        for (const vector of sample) {
+            const c = nearestCentroid(centroids, dim, vector);
+            sizes[c]++;
+            for (let i = 0; i < dim; i++) sums[c * dim + i] += vector[i];
+        }
+        // Empty clusters keep their centroid
+        for (let c = 0; c < lists; c++) {
+            if (sizes[c] > 0) centroids.set(normalize(sums.subarray(c * dim, (c + 1) * dim)), c * dim);
+        }
+    }
+    return centroids;
+}
+
+export function nearestCentroid(centroids, dim, vector) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c * dim < centroids.length; c++) {
+        const score = dot(centroids, c * dim, vector);
+        if (score > bestScore) {
+            bestScore = score;
+            best = c;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lists to scan for a query. A query restricted to a fraction of the store
+ * (some corpora, a metadata filter) probes proportionally more lists so the
+ * few matching vectors are still reached.
+ * @returns {number[]} - List indices, nearest first
+ */
+export function listsToProbe(meta, query, fraction = 1) {
+    const lists = meta.lists.length;
+    const probes = Math.min(lists, Math.ceil(DEFAULT_PROBES / Math.max(fraction, 1 / lists)));
+    return Array.from({ length: lists }, (_, c) => ({ c, score: dot(meta.centroids, c * meta.dim, query) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, probes)
+        .map(({ c }) => c);
+}
+
+/**
+ * Score a block's vectors against the query into the running top-k
+ * @param {Array} top - [{ id, similarity }] best first, at most k entries
+ */
+export function scanBlock(block, query, top, k, accept = () => true) {
+    const dim = query.length;
+    block.ids.forEach((id, i) => {
+        if (!accept(id)) return;
+        const similarity = dot(block.vectors, i * dim, query);
+        if (top.length === k && similarity <= top[k - 1].similarity) return;
+        let at = top.length;
+        while (at > 0 && top[at - 1].similarity < similarity) at--;
+        top.splice(at, 0, { id, similarity });
+        if (top.length > k) top.pop();
+    });
+    return top;
+}
+
+/**
+ * Build the index records from every embedding
+ * @param {Array} entries - [{ id, vector }] with normalized vectors of one dimension
+ * @returns {Object} - { meta, blocks }
+ */
+export function buildIndex(entries) {
+    const dim = entries[0]?.vector.length || 0;
+    const lists = listCount(entries.length);
+    const centroids = lists > 1 ? trainCentroids(entries.map(e => e.vector), lists) : new Float32Array(dim);
+
+    const members = Array.from({ length: lists }, () => []);
+    for (const entry of entries) {
+        members[lists > 1 ? nearestCentroid(centroids, dim, entry.vector) : 0].push(entry);
+    }
+
+    const blocks = [];
+    members.forEach((list, c) => {
+        for (let start = 0; start < list.length; start += BLOCK_SIZE) {
+            const slice = list.slice(start, start + BLOCK_SIZE);
+            const vectors = new Float32Array(slice.length * dim);
+            slice.forEach((entry, i) => vectors.set(entry.vector, i * dim));
+            blocks.push({ id: blockId(c, start / BLOCK_SIZE), ids: slice.map(entry => entry.id), vectors });
+        }
+    });
+
+    return {
+        meta: { id: 'meta', dim, centroids, lists: members.map(list => list.length), count: entries.length, removed: 0 },
+        blocks
+    };
+}
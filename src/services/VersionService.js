@@ -0,0 +1,117 @@
+import { localDBService } from './LocalDBService';
+import { parameterService } from './ParameterService';
+
+/**
+ * VersionService - Snapshots of a design's code after each successful compile
+ * or AI apply, stored per chat in the `versions` store of LocalDBService.
+ *
+ * Version: { id, chat_id, code, origin, session, parameters, stats, thumbnail, created_at }
+ * Stats: { dimension, triangles, size: [x, y, z], bytes }
+ */
+
+const MAX_SVG_THUMBNAIL_BYTES = 200 * 1024;
+
+class VersionService {
+    /**
+     * Store a snapshot unless the code matches the latest version of the design.
+     * Snapshots of one session (e.g. dragging a Customizer slider) replace each
+     * other, so the session leaves a single version with its final values.
+     * @param {string} chatId - Design the snapshot belongs to
+     * @param {Object} snapshot - { code, origin, stlData, svgData, dimension, thumbnail, session }
+     * @returns {Promise<Object>} - { data: version | null, error, skipped }
+     */
+    async snapshot(chatId, { code, origin, stlData, svgData, dimension, thumbnail, session = null }) {
+        const { data: versions } = await localDBService.getVersions(chatId);
+        const latest = versions?.[versions.length - 1];
+        if (latest && latest.code === code) {
+            return { data: latest, error: null, skipped: true };
+        }
+
+        const version = {
+            code,
+            origin,
+            session,
+            parameters: parameterService.getValues(code),
+            stats: this.getStats({ stlData, svgData, dimension }),
+            thumbnail: thumbnail || (dimension === '2D' ? this.svgThumbnail(svgData) : null)
+        };
+        if (session && latest?.session === session) {
+            return localDBService.updateVersion({ ...latest, ...version });
+        }
+        return localDBService.saveVersion(chatId, version);
+    }
+
+    /**
+     * Mesh stats of a render: triangle count and bounding box size (STL),
+     * or the drawing size (SVG)
+     */
+    getStats({ stlData, svgData, dimension }) {
+        if (stlData) {
+            return { dimension: dimension || '3D', bytes: stlData.byteLength ?? stlData.length, ...this._stlStats(stlData) };
+        }
+        if (svgData) {
+            return { dimension: dimension || '2D', bytes: svgData.byteLength ?? svgData.length, ...this._svgStats(svgData) };
+        }
+        return null;
+    }
+
+    /**
+     * Data URL of a 2D render (the 3D viewer has nothing to capture)
+     */
+    svgThumbnail(svgData) {
+        if (!svgData || (svgData.byteLength ?? svgData.length) > MAX_SVG_THUMBNAIL_BYTES) return null;
+        const text = typeof svgData === 'string' ? svgData : new TextDecoder().decode(svgData);
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+    }
+
+    _stlStats(stlData) {
+        const bytes = typeof stlData === 'string' ? new TextEncoder().encode(stlData) : new Uint8Array(stlData);
+        const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 512)));
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const extend = (x, y, z) => {
+            [x, y, z].forEach((value, axis) => {
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            });
+        };
+
+        let triangles = 0;
+        if (head.trimStart().startsWith('solid') && head.includes('facet')) {
+            const text = new TextDecoder().decode(bytes);
+            triangles = (text.match(/facet\s+normal/g) || []).length;
+            for (const match of text.matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)) {
+                extend(Number(match[1]), Number(match[2]), Number(match[3]));
+            }
+        } else if (bytes.length >= 84) {
+            // Binary STL: 80 byte header, uint32 count, 50 bytes per facet
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            triangles = view.getUint32(80, true);
+            for (let i = 0; i < triangles; i++) {
+                const offset = 84 + i * 50 + 12;
+                if (offset + 36 > bytes.length) break;
+                for (let v = 0; v < 3; v++) {
+                    const at = offset + v * 12;
+                    extend(view.getFloat32(at, true), view.getFloat32(at + 4, true), view.getFloat32(at + 8, true));
+                }
+            }
+        }
+
+        const size = min[0] === Infinity ? null : max.map((value, axis) => this._round(value - min[axis]));
+        return { triangles, size };
+    }
+
+    _svgStats(svgData) {
+        const text = typeof svgData === 'string' ? svgData : new TextDecoder().decode(svgData);
+        const viewBox = text.match(/viewBox="([^"]+)"/);
+        if (!viewBox) return { triangles: null, size: null };
+        const [, , width, height] = viewBox[1].trim().split(/[\s,]+/).map(Number);
+        return { triangles: null, size: [this._round(width), this._round(height)] };
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+export const versionService = new VersionService();
@@ -0,0 +1,67 @@
+import { BOOLEANS, walkCalls, headLoc } from './scadAst.js';
+
+const MAX_DEPTH = 3;
+
+/**
+ * Deeply nested booleans multiply CGAL work and precision problems.
+ * Depth follows calls into user modules, so a module with two nested
+ * differences used inside a difference() counts as three levels.
+ */
+export const booleanDepthRule = {
+    id: 'booleanDepth',
+    description: `Boolean operations should not nest deeper than ${MAX_DEPTH} levels`,
+
+    check({ ast, modules }) {
+        const issues = [];
+        const depthOfModule = new Map();
+
+        // Deepest boolean nesting inside a module body
+        const moduleDepth = (name, stack = new Set()) => {
+            if (depthOfModule.has(name)) return depthOfModule.get(name);
+            if (stack.has(name)) return 0;
+            stack.add(name);
+            const depth = statementsDepth(modules.get(name).body, stack);
+            stack.delete(name);
+            depthOfModule.set(name, depth);
+            return depth;
+        };
+
+        const statementsDepth = (statements, stack) => {
+            let max = 0;
+            walkCalls(statements, (call, ancestors) => {
+                const enclosing = ancestors.filter(a => BOOLEANS.has(a.name)).length;
+                const own = BOOLEANS.has(call.name) ? 1 : 0;
+                const nested = modules.has(call.name) ? moduleDepth(call.name, stack) : 0;
+                max = Math.max(max, enclosing + own + nested);
+            });
+            return max;
+        };
+
+        const report = (call, depth) => issues.push({
+            type: 'DEEP_BOOLEAN_NESTING',
+            severity: 'warning',
+            message: `Boolean operation nesting depth reaches ${depth} at ${call.name}() (recommended: <= ${MAX_DEPTH}).`,
+            fix: 'Move inner booleans into separate modules that are combined once, or flatten union() levels',
+            loc: headLoc(call)
+        });
+
+        walkCalls(ast.body, (call, ancestors) => {
+            const enclosing = ancestors.filter(a => BOOLEANS.has(a.name)).length;
+            if (BOOLEANS.has(call.name) && enclosing + 1 > MAX_DEPTH) {
+                report(call, enclosing + 1);
+                return false; // one report per branch
+            }
+            // A module that is fine on its own can still push its call site over the limit
+            if (modules.has(call.name)) {
+                const nested = moduleDepth(call.name);
+                if (nested <= MAX_DEPTH && enclosing + nested > MAX_DEPTH) {
+                    report(call, enclosing + nested);
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        return issues;
+    }
+};
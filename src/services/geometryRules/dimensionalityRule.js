@@ -0,0 +1,87 @@
+import { EXTRUSIONS, PROJECTIONS, geometryChildren, walkCalls, callDimension, inferDimension, describe, headLoc } from './scadAst.js';
+import { insertAt } from './edits.js';
+
+// Top-level parameters that give the extrusion a height from the design
+const HEIGHT_NAME = /^(h|height|thickness|thick|depth)$|_(height|thickness)$/i;
+const FIX = 'Wrap 2D objects (circle, square, ...) in linear_extrude() or rotate_extrude(), or keep the design entirely 2D';
+
+/**
+ * 2D and 3D objects in one group are not combined by OpenSCAD
+ * ("Mixing 2D and 3D objects is not supported"), extrusions need 2D
+ * children and projection() needs 3D ones. User modules are resolved
+ * to the dimension of their body.
+ */
+export const dimensionalityRule = {
+    id: 'dimensionality',
+    description: '2D and 3D objects must not be combined',
+    repairs: ['DIMENSIONALITY_MIXING'],
+
+    check({ ast, modules }) {
+        const issues = [];
+
+        const dimensionOf = (statement) => statement.type === 'IfStatement'
+            ? inferDimension(statement.then, modules) || inferDimension(statement.else, modules)
+            : callDimension(statement, modules);
+
+        const checkGroup = (statements, owner) => {
+            const members = geometryChildren(statements)
+                .map(statement => ({ statement, dimension: dimensionOf(statement) }))
+                .filter(member => member.dimension);
+            if (members.length < 2) return;
+
+            const expected = members[0].dimension;
+            members.filter(member => member.dimension !== expected).forEach(({ statement, dimension }) => {
+                issues.push({
+                    type: 'DIMENSIONALITY_MIXING',
+                    severity: 'warning',
+                    message: `${describe(statement)} is ${dimension} but is combined with ${expected} objects in ${owner}.`,
+                    fix: FIX,
+                    loc: headLoc(statement),
+                    node: statement,
+                    dimension
+                });
+            });
+        };
+
+        const checkChildren = (call, required) => {
+            geometryChildren(call.children).forEach(child => {
+                const dimension = dimensionOf(child);
+                if (!dimension || dimension === required) return;
+                issues.push({
+                    type: 'DIMENSIONALITY_MIXING',
+                    severity: 'warning',
+                    message: `${call.name}() needs ${required} children, but ${describe(child)} is ${dimension}.`,
+                    fix: required === '2D' ? `Pass a 2D shape to ${call.name}() (e.g. square or circle instead of cube or cylinder)` : 'projection() only accepts 3D children',
+                    loc: headLoc(child)
+                });
+            });
+        };
+
+        checkGroup(ast.body, 'the top level');
+        modules.forEach(definition => checkGroup(definition.body, `module ${definition.name}()`));
+        walkCalls(ast.body, call => {
+            if (EXTRUSIONS.has(call.name)) checkChildren(call, '2D');
+            else if (PROJECTIONS.has(call.name)) checkChildren(call, '3D');
+            else checkGroup(call.children, `${call.name}()`);
+        });
+
+        return issues;
+    },
+
+    /**
+     * A 2D object among 3D ones gets extruded in place. The height comes
+     * from a height/thickness parameter of the design when there is one;
+     * otherwise the fix uses 1 mm and is left for the user to pick.
+     */
+    quickFixes(issue, { ast }) {
+        if (issue.dimension !== '2D' || !issue.node) return [];
+        const { line, column } = issue.node.loc;
+        const parameter = ast.body.find(s => s?.type === 'Assignment' && HEIGHT_NAME.test(s.name) && s.value.type === 'Number' && s.value.value > 0);
+        const height = parameter ? parameter.name : 1;
+        return [{
+            title: `Wrap ${describe(issue.node)} in linear_extrude(height=${height})`,
+            edits: [insertAt(line, column, `linear_extrude(height=${height}) `)],
+            isPreferred: !!parameter
+        }];
+    }
+};
@@ -0,0 +1,43 @@
+import { RESOLUTION_VARIABLES, walkNodes } from './scadAst.js';
+
+const MIN_DIMENSION = 0.01;
+const MAX_DIMENSION = 10000;
+
+/**
+ * Literals far outside the usual millimetre range cause CGAL precision
+ * problems. Epsilon definitions and resolution arguments are exempt.
+ */
+export const dimensionsRule = {
+    id: 'dimensions',
+    description: `Numbers should stay between ${MIN_DIMENSION} and ${MAX_DIMENSION}`,
+
+    check({ ast, epsilonNames }) {
+        const issues = [];
+        walkNodes(ast.body, node => {
+            if (node.type === 'Assignment' && epsilonNames.has(node.name)) return false;
+            // Call arguments ({ name, value }) have no node type
+            if (!node.type && RESOLUTION_VARIABLES.has(node.name)) return false;
+            if (node.type !== 'Number') return true;
+
+            if (node.value > 0 && node.value < MIN_DIMENSION) {
+                issues.push({
+                    type: 'DIMENSION_TOO_SMALL',
+                    severity: 'warning',
+                    message: `${node.value} is below ${MIN_DIMENSION} and may cause CGAL precision errors.`,
+                    fix: 'Use dimensions >= 0.1 for reliable geometry',
+                    loc: node.loc
+                });
+            } else if (node.value > MAX_DIMENSION) {
+                issues.push({
+                    type: 'DIMENSION_TOO_LARGE',
+                    severity: 'warning',
+                    message: `${node.value} is above ${MAX_DIMENSION} and may cause numerical issues.`,
+                    fix: 'Keep dimensions <= 1000 for best results',
+                    loc: node.loc
+                });
+            }
+            return true;
+        });
+        return issues;
+    }
+};
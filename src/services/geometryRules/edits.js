@@ -0,0 +1,74 @@
+/**
+ * Text edits for quick fixes: { line, column, endLine, endColumn, text }
+ * 1-based like the AST locations and Monaco ranges; the end is exclusive,
+ * an insertion has an empty range.
+ */
+
+export function insertAt(line, column, text) {
+    return { line, column, endLine: line, endColumn: column, text };
+}
+
+export function replace(loc, text) {
+    return { line: loc.line, column: loc.column, endLine: loc.endLine, endColumn: loc.endColumn, text };
+}
+
+/**
+ * Insert a top-level statement after the include/use lines
+ */
+export function insertTopLevel(ast, text) {
+    const includes = ast.body.filter(statement => statement?.type === 'Include');
+    const last = includes[includes.length - 1];
+    return last
+        ? insertAt(last.loc.endLine, last.loc.endColumn, `\n${text}`)
+        : insertAt(1, 1, `${text}\n`);
+}
+
+export function textOf(code, loc) {
+    const offsets = lineOffsets(code);
+    return code.slice(toOffset(offsets, loc.line, loc.column), toOffset(offsets, loc.endLine, loc.endColumn));
+}
+
+/**
+ * Apply non-overlapping edits
+ */
+export function applyEdits(code, edits) {
+    const offsets = lineOffsets(code);
+    return edits
+        .map(edit => ({
+            start: toOffset(offsets, edit.line, edit.column),
+            end: toOffset(offsets, edit.endLine, edit.endColumn),
+            text: edit.text
+        }))
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), code);
+}
+
+/**
+ * Whether two edits touch the same text (insertions at the same point count)
+ */
+export function editsOverlap(a, b) {
+    const before = (l1, c1, l2, c2) => l1 < l2 || (l1 === l2 && c1 < c2);
+    const aEndsFirst = before(a.endLine, a.endColumn, b.line, b.column);
+    const bEndsFirst = before(b.endLine, b.endColumn, a.line, a.column);
+    if (aEndsFirst || bEndsFirst) return false;
+    // Adjacent ranges only conflict when one of them is an insertion at the shared point
+    const aEmpty = a.line === a.endLine && a.column === a.endColumn;
+    const bEmpty = b.line === b.endLine && b.column === b.endColumn;
+    const touchAtAEnd = a.endLine === b.line && a.endColumn === b.column;
+    const touchAtBEnd = b.endLine === a.line && b.endColumn === a.column;
+    if ((touchAtAEnd || touchAtBEnd) && !aEmpty && !bEmpty) return false;
+    return true;
+}
+
+function lineOffsets(code) {
+    const offsets = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') offsets.push(i + 1);
+    }
+    return offsets;
+}
+
+function toOffset(offsets, line, column) {
+    if (line > offsets.length) return Infinity;
+    return offsets[line - 1] + column - 1;
+}
@@ -0,0 +1,25 @@
+import { EXTRUSIONS, geometryChildren, walkCalls, headLoc } from './scadAst.js';
+
+/**
+ * An extrusion without 2D children produces nothing and usually empties
+ * the whole design ("Current top level object is empty")
+ */
+export const emptyExtrusionRule = {
+    id: 'emptyExtrusion',
+    description: 'Extrusions need a 2D child',
+
+    check({ ast }) {
+        const issues = [];
+        walkCalls(ast.body, call => {
+            if (!EXTRUSIONS.has(call.name) || geometryChildren(call.children).length > 0) return;
+            issues.push({
+                type: 'EMPTY_EXTRUSION',
+                severity: 'warning',
+                message: `${call.name}() has no children and produces no geometry.`,
+                fix: `Put a 2D object inside: ${call.name}(...) circle(r=5);`,
+                loc: headLoc(call)
+            });
+        });
+        return issues;
+    }
+};
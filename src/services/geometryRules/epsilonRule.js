@@ -0,0 +1,319 @@
+import { geometryChildren, walkCalls, walkNodes, getArgument, describe, headLoc, SHAPES_2D, SHAPES_3D } from './scadAst.js';
+import { insertAt, insertTopLevel, replace, textOf } from './edits.js';
+
+// Ways a cutter is usually pushed past the faces of the base object
+const OFFSET_OPERATORS = new Set(['+', '-']);
+const SMALL_OFFSET = 0.1;
+// Curved all around, so they can't share a flat face with the base
+const ROUND_SHAPES = new Set(['sphere', 'spheroid', 'torus']);
+const OPENSCAD_SHAPES = new Set(['cube', 'sphere', 'cylinder', 'polyhedron', 'surface', 'circle', 'square', 'polygon', 'text']);
+
+// Wrappers the quick fix looks through to reach the primitive it extends
+const PASS_THROUGH = new Set(['translate', 'rotate', 'mirror', 'color', 'render']);
+// Expressions that can take "+ 2*eps" without parentheses
+const ADDITIVE_SAFE = new Set(['Number', 'Identifier', 'Call', 'Index', 'Member', 'Unary']);
+const ARITHMETIC = new Set(['+', '-', '*', '/', '%', '^']);
+// Distance below which two face planes count as the same
+const COPLANAR_TOLERANCE = 1e-6;
+
+/**
+ * Subtracted objects without an epsilon overlap leave coplanar faces,
+ * the main source of CGAL assertion failures and paper-thin skins.
+ * Handles difference() (every child after the first) and BOSL2 diff()
+ * (children tagged with the remove tag, "remove" by default).
+ *
+ * When the base object and the cutter are translated cubes, cylinders and
+ * spheres with computable sizes, their bounding boxes decide: the cutter is
+ * reported only if one of its flat faces lies in the plane of a face of the
+ * base, so enclosed voids are left alone. Other cutters fall back to looking
+ * for an epsilon, an offset or a centered shape.
+ */
+export const epsilonRule = {
+    id: 'epsilon',
+    description: 'Subtracted objects should overlap the faces they cut through',
+    repairs: ['CGAL_ASSERTION_VIOLATION', 'NON_MANIFOLD'],
+
+    check({ ast, modules, epsilonNames }) {
+        const issues = [];
+
+        const hasClearance = (statements, stack = new Set()) => {
+            let found = false;
+            walkNodes(statements, node => {
+                if (found) return false;
+                if (node.type === 'Identifier' && epsilonNames.has(node.name)) found = true;
+                if (node.type === 'Number' && node.value > 0 && node.value <= SMALL_OFFSET) found = true;
+                if (node.type === 'Binary' && OFFSET_OPERATORS.has(node.operator)) found = true;
+                if (node.type === 'Unary' && node.operator === '-') found = true;
+                if (node.type === 'ModuleCall') {
+                    // Centered cutters (and BOSL2 shapes, centered by default) stick out on both sides
+                    const center = getArgument(node, 'center');
+                    if (center?.type === 'Boolean' && center.value) found = true;
+                    if (ROUND_SHAPES.has(node.name)) found = true;
+                    if (isBOSL2Shape(node.name) && !getArgument(node, 'anchor')) found = true;
+                    // BOSL2 attach(..., overlap=...) sinks the child into the parent
+                    if (getArgument(node, 'overlap')) found = true;
+                    // Look into user modules used as cutters
+                    const definition = modules.get(node.name);
+                    if (definition && !stack.has(node.name)) {
+                        stack.add(node.name);
+                        if (hasClearance(definition.body, stack)) found = true;
+                        stack.delete(node.name);
+                    }
+                }
+                return !found;
+            });
+            return found;
+        };
+
+        const checkCutter = (cutter, operation, base = null) => {
+            const baseBoxes = base && boxesOf(base, ast);
+            const cutterBoxes = baseBoxes && boxesOf(cutter, ast);
+            if (cutterBoxes) {
+                if (!sharesFace(baseBoxes, cutterBoxes)) return;
+            } else if (hasClearance([cutter])) {
+                return;
+            }
+            issues.push({
+                type: 'COPLANAR_FACES',
+                severity: 'warning',
+                message: `${describe(cutter)} subtracted in ${operation}() has no epsilon overlap and may share faces with the object it cuts.`,
+                fix: 'Extend the cutter past the surface: translate([0, 0, -eps]) and height + 2*eps (eps = 0.01)',
+                loc: headLoc(cutter),
+                node: cutter
+            });
+        };
+
+        walkCalls(ast.body, call => {
+            if (call.name === 'difference') {
+                const [base, ...cutters] = geometryChildren(call.children);
+                cutters.forEach(cutter => checkCutter(cutter, 'difference', base));
+            } else if (call.name === 'diff') {
+                const removeTags = tagList(getArgument(call, 'remove', 0)) || ['remove'];
+                findTagged(call.children, removeTags).forEach(cutter => checkCutter(cutter, 'diff'));
+            }
+        });
+
+        return issues;
+    },
+
+    /**
+     * Grow a cube/cylinder/square cutter by eps on every side
+     */
+    quickFixes(issue, { ast, code }) {
+        const primitive = findPrimitive(issue.node);
+        if (!primitive) return [];
+
+        const plusEps = (expression) => {
+            const text = textOf(code, expression.loc);
+            const safe = ADDITIVE_SAFE.has(expression.type) || (expression.type === 'Binary' && ARITHMETIC.has(expression.operator));
+            return `${safe ? text : `(${text})`} + 2*eps`;
+        };
+        const centered = getArgument(primitive, 'center')?.type === 'Boolean' && getArgument(primitive, 'center').value;
+        const edits = [];
+
+        if (primitive.name === 'cylinder') {
+            const height = getArgument(primitive, 'h', 0);
+            if (!height) return [];
+            edits.push(replace(height.loc, plusEps(height)));
+            if (!centered) edits.push(insertAt(primitive.nameLoc.line, primitive.nameLoc.column, 'translate([0, 0, -eps]) '));
+        } else {
+            const axes = primitive.name === 'cube' ? 3 : 2;
+            const size = getArgument(primitive, 'size', 0);
+            if (!size) return [];
+            if (size.type === 'Vector' && size.items.length === axes) {
+                size.items.forEach(item => edits.push(replace(item.loc, plusEps(item))));
+            } else if (size.type === 'Number' || resolvesTo(ast, size, 'Number')) {
+                edits.push(replace(size.loc, plusEps(size)));
+            } else if (resolvesTo(ast, size, 'Vector')) {
+                edits.push(replace(size.loc, `${textOf(code, size.loc)} + [${Array(axes).fill('2*eps').join(', ')}]`));
+            } else {
+                return [];
+            }
+            if (!centered) {
+                const offset = Array(axes).fill('-eps').join(', ');
+                edits.push(insertAt(primitive.nameLoc.line, primitive.nameLoc.column, `translate([${offset}]) `));
+            }
+        }
+
+        const definesEps = ast.body.some(statement => statement?.type === 'Assignment' && statement.name === 'eps');
+        if (!definesEps) edits.push(insertTopLevel(ast, 'eps = 0.01;'));
+
+        return [{ title: `Extend ${primitive.name}() by eps on each side`, edits, isPreferred: true }];
+    }
+};
+
+/**
+ * The cube/cylinder/square a cutter boils down to, through single-child transforms
+ */
+function findPrimitive(statement) {
+    let current = statement;
+    while (current?.type === 'ModuleCall' && PASS_THROUGH.has(current.name)) {
+        const children = geometryChildren(current.children);
+        if (children.length !== 1) return null;
+        current = children[0];
+    }
+    return current?.type === 'ModuleCall' && ['cube', 'cylinder', 'square'].includes(current.name) ? current : null;
+}
+
+/**
+ * Value of a constant expression: numbers, vectors, top-level variables and + - * /
+ * @returns {number|Array|null} - null when it can't be computed statically
+ */
+function evaluate(expression, ast, seen = new Set()) {
+    if (!expression) return null;
+    switch (expression.type) {
+        case 'Number':
+            return expression.value;
+        case 'Vector': {
+            const items = expression.items.map(item => evaluate(item, ast, seen));
+            return items.every(item => typeof item === 'number') ? items : null;
+        }
+        case 'Identifier': {
+            if (seen.has(expression.name)) return null;
+            const assignment = ast.body.filter(s => s?.type === 'Assignment' && s.name === expression.name).pop();
+            if (!assignment) return null;
+            seen.add(expression.name);
+            const value = evaluate(assignment.value, ast, seen);
+            seen.delete(expression.name);
+            return value;
+        }
+        case 'Unary': {
+            const value = evaluate(expression.argument, ast, seen);
+            if (expression.operator !== '-' || value === null) return expression.operator === '+' ? value : null;
+            return Array.isArray(value) ? value.map(v => -v) : -value;
+        }
+        case 'Binary':
+            return arithmetic(expression.operator, evaluate(expression.left, ast, seen), evaluate(expression.right, ast, seen));
+        default:
+            return null;
+    }
+}
+
+function arithmetic(operator, a, b) {
+    if (a === null || b === null) return null;
+    const apply = { '+': (x, y) => x + y, '-': (x, y) => x - y, '*': (x, y) => x * y, '/': (x, y) => x / y }[operator];
+    if (!apply) return null;
+    if (typeof a === 'number' && typeof b === 'number') return apply(a, b);
+    // Vectors add element-wise and scale by a number
+    if (Array.isArray(a) && Array.isArray(b)) return (operator === '+' || operator === '-') && a.length === b.length ? a.map((x, i) => apply(x, b[i])) : null;
+    if (Array.isArray(a)) return operator === '*' || operator === '/' ? a.map(x => apply(x, b)) : null;
+    return operator === '*' ? b.map(y => apply(a, y)) : null;
+}
+
+/**
+ * Axis-aligned boxes of a statement built from translated cubes, cylinders and spheres
+ * @returns {Array|null} - [{ min, max, flat: [x, y, z] (axes with a flat face) }]; null for anything else
+ */
+function boxesOf(statement, ast) {
+    if (statement?.type !== 'ModuleCall') return null;
+    const number = (name, position, fallback = null) => {
+        const argument = getArgument(statement, name, position);
+        if (!argument) return fallback;
+        const value = evaluate(argument, ast);
+        return typeof value === 'number' ? value : NaN;
+    };
+    const centered = getArgument(statement, 'center')?.type === 'Boolean' && getArgument(statement, 'center').value;
+    const box = (size, flat) => {
+        const min = centered ? size.map(s => -s / 2) : [0, 0, 0];
+        return [{ min, max: min.map((m, i) => m + size[i]), flat }];
+    };
+
+    switch (statement.name) {
+        case 'translate': {
+            const offset = evaluate(getArgument(statement, 'v', 0), ast);
+            if (!Array.isArray(offset) || offset.length < 2 || offset.length > 3) return null;
+            const shift = [offset[0], offset[1], offset[2] || 0];
+            const boxes = childBoxes(statement, ast);
+            return boxes && boxes.map(b => ({ ...b, min: b.min.map((m, i) => m + shift[i]), max: b.max.map((m, i) => m + shift[i]) }));
+        }
+        case 'union':
+        case 'color':
+        case 'render':
+            return childBoxes(statement, ast);
+        case 'cube': {
+            const argument = getArgument(statement, 'size', 0);
+            const size = argument ? evaluate(argument, ast) : 1;
+            const sizes = typeof size === 'number' ? [size, size, size] : size;
+            return Array.isArray(sizes) && sizes.length === 3 ? box(sizes, [true, true, true]) : null;
+        }
+        case 'cylinder': {
+            const height = number('h', 0, 1);
+            const radii = [number('r', -1), number('r1', 1), number('r2', 2), half(number('d', -1)), half(number('d1', -1)), half(number('d2', -1))];
+            if (Number.isNaN(height) || radii.some(Number.isNaN)) return null;
+            const given = radii.filter(r => r !== null);
+            const radius = given.length > 0 ? Math.max(...given) : 1;
+            if (radius <= 0) return null;
+            const [base] = box([2 * radius, 2 * radius, height], [false, false, true]);
+            // Only the height follows center; the axis always runs through the origin
+            return [{ ...base, min: [-radius, -radius, base.min[2]], max: [radius, radius, base.max[2]] }];
+        }
+        case 'sphere': {
+            const radius = number('r', 0) ?? half(number('d', -1)) ?? 1;
+            return radius > 0 ? [{ min: [-radius, -radius, -radius], max: [radius, radius, radius], flat: [false, false, false] }] : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function half(value) {
+    return value === null ? null : value / 2;
+}
+
+function childBoxes(call, ast) {
+    const children = geometryChildren(call.children);
+    if (children.length === 0) return null;
+    const boxes = [];
+    for (const child of children) {
+        const childResult = boxesOf(child, ast);
+        if (!childResult) return null;
+        boxes.push(...childResult);
+    }
+    return boxes;
+}
+
+/**
+ * A flat face of the cutter lies in the plane of a flat face of the base
+ * where the two overlap
+ */
+function sharesFace(baseBoxes, cutterBoxes) {
+    const overlaps = (a, b, axis) => Math.min(a.max[axis], b.max[axis]) - Math.max(a.min[axis], b.min[axis]) > COPLANAR_TOLERANCE;
+    return cutterBoxes.some(cutter => baseBoxes.some(base => {
+        // A cutter that doesn't reach into the base removes nothing
+        if (![0, 1, 2].every(axis => overlaps(base, cutter, axis))) return false;
+        return [0, 1, 2].some(axis => cutter.flat[axis] && base.flat[axis]
+            && [cutter.min[axis], cutter.max[axis]].some(plane => Math.abs(plane - base.min[axis]) < COPLANAR_TOLERANCE || Math.abs(plane - base.max[axis]) < COPLANAR_TOLERANCE));
+    }));
+}
+
+// A top-level variable assigned a literal of the given type
+function resolvesTo(ast, expression, type) {
+    if (expression.type !== 'Identifier') return false;
+    const assignment = ast.body.filter(s => s?.type === 'Assignment' && s.name === expression.name).pop();
+    return assignment?.value.type === type;
+}
+
+function isBOSL2Shape(name) {
+    return (SHAPES_3D.has(name) || SHAPES_2D.has(name)) && !OPENSCAD_SHAPES.has(name);
+}
+
+// BOSL2 tag lists are space separated strings
+function tagList(expression) {
+    if (expression?.type !== 'String') return null;
+    return expression.value.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Children of tag("remove") / tag_this("remove") anywhere below a diff()
+ */
+function findTagged(statements, tags) {
+    const tagged = [];
+    walkCalls(statements, call => {
+        if (call.name !== 'tag' && call.name !== 'tag_this') return true;
+        const callTags = tagList(getArgument(call, 'tag', 0)) || [];
+        if (!callTags.some(tag => tags.includes(tag))) return true;
+        tagged.push(...geometryChildren(call.children));
+        return false;
+    });
+    return tagged;
+}
@@ -0,0 +1,19 @@
+import { epsilonRule } from './epsilonRule.js';
+import { booleanDepthRule } from './booleanDepthRule.js';
+import { resolutionRule } from './resolutionRule.js';
+import { dimensionalityRule } from './dimensionalityRule.js';
+import { emptyExtrusionRule } from './emptyExtrusionRule.js';
+import { dimensionsRule } from './dimensionsRule.js';
+
+/**
+ * Built-in GeometryValidator rules, in report order.
+ * Rule: { id, description, check(context) => [{ type, severity, message, fix, loc }] }
+ */
+export const DEFAULT_RULES = [
+    epsilonRule,
+    dimensionsRule,
+    booleanDepthRule,
+    resolutionRule,
+    dimensionalityRule,
+    emptyExtrusionRule
+];
@@ -0,0 +1,51 @@
+import { CURVED_SHAPES, RESOLUTION_VARIABLES, walkCalls, headLoc } from './scadAst.js';
+import { insertAt, insertTopLevel } from './edits.js';
+
+const DEFAULT_FN = 64;
+
+const setsResolution = (call) => call.args.some(arg => RESOLUTION_VARIABLES.has(arg.name));
+const assignsResolution = (statements) => (statements || []).some(s => s?.type === 'Assignment' && RESOLUTION_VARIABLES.has(s.name));
+
+/**
+ * Curved shapes without $fn / $fa / $fs fall back to OpenSCAD's coarse
+ * defaults. Special variables are inherited, so a value set at the top
+ * level, in the enclosing module or on any enclosing call counts.
+ */
+export const resolutionRule = {
+    id: 'resolution',
+    description: 'Curved shapes should have a $fn, $fa or $fs resolution',
+
+    check({ ast }) {
+        if (assignsResolution(ast.body)) return [];
+        const issues = [];
+
+        walkCalls(ast.body, (call, ancestors, definition) => {
+            if (!CURVED_SHAPES.has(call.name) || setsResolution(call)) return true;
+            if (ancestors.some(setsResolution)) return true;
+            if (definition && (assignsResolution(definition.body) || definition.params.some(p => RESOLUTION_VARIABLES.has(p.name)))) return true;
+
+            issues.push({
+                type: 'MISSING_FN',
+                severity: 'info',
+                message: `${call.name}() has no $fn, $fa or $fs and will look faceted.`,
+                fix: `Add $fn to the call (${call.name}(..., $fn=${DEFAULT_FN})) or set $fn once at the top of the file`,
+                loc: headLoc(call),
+                node: call
+            });
+            return true;
+        });
+
+        return issues;
+    },
+
+    quickFixes(issue, { ast }) {
+        const call = issue.node;
+        // Just before the closing ')' of the call
+        const end = headLoc(call);
+        const argument = call.args.length > 0 ? `, $fn=${DEFAULT_FN}` : `$fn=${DEFAULT_FN}`;
+        return [
+            { title: `Add $fn=${DEFAULT_FN} to ${call.name}()`, edits: [insertAt(end.endLine, end.endColumn - 1, argument)], isPreferred: true },
+            { title: `Set $fn = ${DEFAULT_FN} for the whole file`, edits: [insertTopLevel(ast, `$fn = ${DEFAULT_FN};`)] }
+        ];
+    }
+};
@@ -0,0 +1,177 @@
+/**
+ * AST helpers and shape tables shared by the geometry rules
+ * (nodes are produced by OpenSCADParser)
+ */
+
+export const BOOLEANS = new Set(['difference', 'union', 'intersection', 'diff', 'intersect']);
+
+// Extrusions take 2D children and produce 3D; projection goes the other way
+export const EXTRUSIONS = new Set(['linear_extrude', 'rotate_extrude', 'cylindrical_extrude', 'path_extrude2d']);
+export const PROJECTIONS = new Set(['projection']);
+
+export const SHAPES_3D = new Set([
+    'cube', 'sphere', 'cylinder', 'polyhedron', 'surface',
+    // BOSL2
+    'cuboid', 'prismoid', 'cyl', 'xcyl', 'ycyl', 'zcyl', 'tube', 'torus', 'spheroid', 'rect_tube', 'wedge',
+    'octahedron', 'regular_prism', 'pie_slice', 'teardrop', 'onion', 'text3d', 'vnf_polyhedron',
+    'linear_sweep', 'rotate_sweep', 'path_sweep', 'spiral_sweep', 'offset_sweep', 'sweep', 'skin',
+    'threaded_rod', 'threaded_nut', 'screw', 'nut', 'screw_hole', 'bottle_neck', 'heightfield',
+    'rounding_edge_mask', 'chamfer_edge_mask', 'rounding_corner_mask', 'chamfer_corner_mask',
+    'rounding_cylinder_mask', 'rounding_hole_mask', 'chamfer_cylinder_mask'
+]);
+
+export const SHAPES_2D = new Set([
+    'circle', 'square', 'polygon', 'text',
+    // BOSL2
+    'rect', 'ellipse', 'regular_ngon', 'pentagon', 'hexagon', 'octagon', 'trapezoid', 'right_triangle',
+    'star', 'teardrop2d', 'egg', 'glued_circles', 'keyhole', 'squircle', 'supershape', 'reuleaux_polygon',
+    'region', 'stroke', 'dashed_stroke', 'ring', 'round2d', 'shell2d'
+]);
+
+// Shapes whose facet count follows $fn / $fa / $fs
+export const CURVED_SHAPES = new Set([
+    'cylinder', 'sphere', 'circle', 'rotate_extrude',
+    'cyl', 'xcyl', 'ycyl', 'zcyl', 'tube', 'torus', 'spheroid', 'ellipse', 'teardrop', 'teardrop2d', 'onion'
+]);
+
+export const RESOLUTION_VARIABLES = new Set(['$fn', '$fa', '$fs']);
+
+// Module calls that produce no geometry
+const NON_GEOMETRY = new Set(['echo', 'assert', 'children']);
+
+/**
+ * Statements that contribute geometry to their parent, in order.
+ * Blocks are flattened; disabled (*) and background (%) objects are not part of the CSG tree.
+ */
+export function geometryChildren(statements = []) {
+    const result = [];
+    for (const statement of statements) {
+        if (!statement) continue;
+        if (statement.type === 'Block') {
+            result.push(...geometryChildren(statement.body));
+        } else if (statement.type === 'ModuleCall' || statement.type === 'IfStatement') {
+            const modifiers = statement.modifiers || [];
+            if (modifiers.includes('*') || modifiers.includes('%')) continue;
+            if (statement.type === 'ModuleCall' && NON_GEOMETRY.has(statement.name)) continue;
+            result.push(statement);
+        }
+    }
+    return result;
+}
+
+/**
+ * Visit every module instantiation, depth first.
+ * visitor(call, ancestors) - ancestors are the enclosing calls (outermost first) within the
+ * same definition; returning false skips the call's children.
+ * Module bodies are visited once, where they are defined, with `definition` set.
+ */
+export function walkCalls(statements, visitor, ancestors = [], definition = null) {
+    for (const statement of statements || []) {
+        if (!statement) continue;
+        switch (statement.type) {
+            case 'Block':
+                walkCalls(statement.body, visitor, ancestors, definition);
+                break;
+            case 'IfStatement':
+                walkCalls(statement.then, visitor, ancestors, definition);
+                walkCalls(statement.else, visitor, ancestors, definition);
+                break;
+            case 'ModuleDefinition':
+                walkCalls(statement.body, visitor, [], statement);
+                break;
+            case 'ModuleCall':
+                if (visitor(statement, ancestors, definition) !== false) {
+                    walkCalls(statement.children, visitor, [...ancestors, statement], definition);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+/**
+ * Visit every node and argument object below `root` (expressions included).
+ * Returning false from the visitor skips the node's subtree.
+ */
+export function walkNodes(root, visitor) {
+    if (!root || typeof root !== 'object') return;
+    if (Array.isArray(root)) {
+        root.forEach(item => walkNodes(item, visitor));
+        return;
+    }
+    if (visitor(root) === false) return;
+    for (const [key, value] of Object.entries(root)) {
+        // loc, nameLoc, headLoc are positions, not nodes
+        if (/loc$/i.test(key) || !value || typeof value !== 'object') continue;
+        walkNodes(value, visitor);
+    }
+}
+
+/**
+ * Argument of a call by name, falling back to its position
+ */
+export function getArgument(call, name, position = -1) {
+    const named = call.args.find(arg => arg.name === name);
+    if (named) return named.value;
+    const positional = call.args.filter(arg => !arg.name);
+    return position >= 0 ? positional[position]?.value || null : null;
+}
+
+/**
+ * Top-level module definitions by name (the last definition wins, as in OpenSCAD)
+ */
+export function collectModules(ast) {
+    const modules = new Map();
+    walkNodes(ast.body, node => {
+        if (node.type === 'ModuleDefinition') modules.set(node.name, node);
+        // Expressions never contain definitions
+        return !node.type || ['Block', 'ModuleDefinition', 'ModuleCall', 'IfStatement'].includes(node.type);
+    });
+    return modules;
+}
+
+/**
+ * Infer whether statements produce 2D or 3D geometry
+ * @returns {string|null} - '2D', '3D' or null when unknown
+ */
+export function inferDimension(statements, modules, stack = new Set()) {
+    for (const statement of geometryChildren(statements)) {
+        const dimension = statement.type === 'IfStatement'
+            ? inferDimension(statement.then, modules, stack) || inferDimension(statement.else, modules, stack)
+            : callDimension(statement, modules, stack);
+        if (dimension) return dimension;
+    }
+    return null;
+}
+
+export function callDimension(call, modules, stack = new Set()) {
+    if (EXTRUSIONS.has(call.name)) return '3D';
+    if (PROJECTIONS.has(call.name)) return '2D';
+    if (SHAPES_3D.has(call.name)) return '3D';
+    if (SHAPES_2D.has(call.name)) return '2D';
+
+    const definition = modules.get(call.name);
+    if (definition && !stack.has(call.name)) {
+        stack.add(call.name);
+        const dimension = inferDimension(definition.body, modules, stack);
+        stack.delete(call.name);
+        if (dimension) return dimension;
+    }
+    // Transformations, booleans and unknown operators take the dimension of their children
+    return inferDimension(call.children, modules, stack);
+}
+
+/**
+ * Short label for messages: "cube()", "if"
+ */
+export function describe(statement) {
+    return statement.type === 'ModuleCall' ? `${statement.name}()` : 'if';
+}
+
+/**
+ * Range to underline for a statement: the call itself, not its children
+ */
+export function headLoc(statement) {
+    return statement.headLoc || statement.loc;
+}
@@ -0,0 +1,81 @@
+import { GoogleGenAI } from '@google/genai';
+import { LLMProvider } from './LLMProvider';
+
+// Offered when the model list cannot be fetched (no API key, offline)
+const FALLBACK_MODELS = ['gemini-2.0-flash', 'gemini-1.5-pro'];
+
+/**
+ * Google Gemini API
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor() {
+        super({
+            id: 'gemini',
+            label: 'Gemini',
+            capabilities: { json: true, vision: true, embeddings: true },
+            settingsSchema: [
+                { key: 'apiKey', label: 'API Key', type: 'password', placeholder: 'Defaults to VITE_GEMINI_API_KEY', defaultValue: import.meta.env.VITE_GEMINI_API_KEY || '' }
+            ],
+            defaultModel: 'gemini-2.0-flash',
+            defaultEmbeddingModel: 'text-embedding-004'
+        });
+        this.client = new GoogleGenAI({ apiKey: this.settings.apiKey });
+    }
+
+    configure(settings) {
+        const previousKey = this.settings.apiKey;
+        super.configure(settings);
+        if (this.settings.apiKey !== previousKey) {
+            this.client = new GoogleGenAI({ apiKey: this.settings.apiKey });
+        }
+    }
+
+    async listModels() {
+        const fallback = FALLBACK_MODELS.map(id => ({ id, name: id, provider: this.id }));
+        if (!this.settings.apiKey) return fallback;
+
+        try {
+            const models = [];
+            for await (const model of await this.client.models.list()) {
+                if (!model.supportedActions?.includes('generateContent')) continue;
+                const id = model.name.replace(/^models\//, '');
+                models.push({ id, name: model.displayName || id, provider: this.id });
+            }
+            return models.length > 0 ? models : fallback;
+        } catch (err) {
+            console.warn('Failed to fetch Gemini models:', err);
+            return fallback;
+        }
+    }
+
+    async chat({ model, system, prompt, image, json, temperature = 0.2, signal, onContent }) {
+        const parts = [{ text: prompt }];
+        if (image) {
+            const mimeType = image.match(/^data:(image\/[\w.+-]+);base64,/)?.[1] || 'image/png';
+            parts.push({ inlineData: { data: image.split(',')[1] || image, mimeType } });
+        }
+
+        const stream = await this.client.models.generateContentStream({
+            model,
+            contents: [{ role: 'user', parts }],
+            config: {
+                ...(system && { systemInstruction: system }),
+                ...(json && { responseMimeType: 'application/json' }),
+                temperature,
+                abortSignal: signal
+            }
+        });
+
+        let content = '';
+        for await (const chunk of stream) {
+            content += chunk.text || '';
+            onContent?.(content);
+        }
+        return content;
+    }
+
+    async embed(model, text) {
+        const response = await this.client.models.embedContent({ model, contents: text });
+        return response.embeddings?.[0]?.values || null;
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * LLMProvider - Common interface of the LLM backends in the ProviderRegistry.
+ *
+ * Subclasses set `id`, `label`, `capabilities` and `settingsSchema` and implement
+ * `chat`, `listModels` and (when `capabilities.embeddings`) `embed`.
+ *
+ * Settings field: { key, label, type: 'text' | 'password' | 'checkbox', placeholder, defaultValue }
+ * Model: { id, name, provider }
+ */
+export class LLMProvider {
+    constructor({ id, label, capabilities = {}, settingsSchema = [], defaultModel = null, defaultEmbeddingModel = null }) {
+        this.id = id;
+        this.label = label;
+        this.capabilities = { chat: true, json: false, vision: false, embeddings: false, ...capabilities };
+        this.settingsSchema = settingsSchema;
+        this.defaultModel = defaultModel;
+        this.defaultEmbeddingModel = defaultEmbeddingModel;
+        this.settings = this.getDefaultSettings();
+    }
+
+    getDefaultSettings() {
+        return Object.fromEntries(this.settingsSchema.map(field => [field.key, field.defaultValue ?? '']));
+    }
+
+    /**
+     * Apply user settings (empty values fall back to the defaults)
+     */
+    configure(settings = {}) {
+        const defaults = this.getDefaultSettings();
+        this.settings = Object.fromEntries(Object.entries(defaults).map(([key, value]) => [
+            key,
+            settings[key] === undefined || settings[key] === '' ? value : settings[key]
+        ]));
+    }
+
+    /**
+     * @returns {Promise<Array>} - Models offered by the backend
+     */
+    async listModels() {
+        return this.defaultModel ? [{ id: this.defaultModel, name: this.defaultModel, provider: this.id }] : [];
+    }
+
+    /**
+     * Run a chat completion, streaming the accumulated text
+     * @param {Object} request - { model, system, prompt, image, json, temperature, keepAlive, signal, onContent(content) }
+     * @returns {Promise<string>} - The complete response text
+     */
+    async chat() {
+        throw new Error(`${this.label} does not support chat`);
+    }
+
+    /**
+     * @param {string} model - Embedding model
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>}
+     */
+    async embed() {
+        throw new Error(`${this.label} does not support embeddings`);
+    }
+}
@@ -0,0 +1,81 @@
+import { Ollama } from 'ollama/browser';
+import { LLMProvider } from './LLMProvider';
+
+/**
+ * Local or LAN Ollama server
+ */
+export class OllamaProvider extends LLMProvider {
+    constructor() {
+        super({
+            id: 'ollama',
+            label: 'Ollama',
+            capabilities: { json: true, vision: true, embeddings: true },
+            settingsSchema: [
+                { key: 'host', label: 'Host (Remote/Local)', type: 'text', placeholder: 'http://10.x.x.x:11434', defaultValue: import.meta.env.VITE_OLLAMA_HOST || '/ollama' }
+            ],
+            defaultModel: 'devstral-small-2:24b',
+            defaultEmbeddingModel: 'nomic-embed-text'
+        });
+        this.client = new Ollama({ host: this.settings.host });
+    }
+
+    configure(settings) {
+        const previousHost = this.settings.host;
+        super.configure(settings);
+        if (this.settings.host !== previousHost) {
+            this.client = new Ollama({ host: this.settings.host });
+        }
+    }
+
+    async listModels() {
+        const { models } = await this.client.list();
+        return models.map(m => ({ id: m.name, name: m.name, provider: this.id }));
+    }
+
+    async chat({ model, system, prompt, image, json, temperature = 0.2, keepAlive, signal, onContent }) {
+        const imageData = image ? image.replace(/^data:image\/(png|jpg|jpeg);base64,/, '') : null;
+        const messages = [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            {
+                role: 'user',
+                content: prompt,
+                ...(imageData && { images: [imageData] })
+            }
+        ];
+
+        // The Ollama client aborts through its own iterator, not an AbortSignal
+        let stream = null;
+        const abort = () => stream?.abort();
+        signal?.addEventListener('abort', abort);
+
+        try {
+            stream = await this.client.chat({
+                model,
+                messages,
+                stream: true,
+                format: json ? 'json' : undefined,
+                keep_alive: keepAlive,
+                options: { temperature }
+            });
+            if (signal?.aborted) stream.abort();
+
+            let content = '';
+            for await (const part of stream) {
+                content += part.message?.content || '';
+                onContent?.(content);
+            }
+            return content;
+        } finally {
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    async embed(model, text) {
+        const response = await fetch(`${this.settings.host}/api/embeddings`, {
+            method: 'POST',
+            body: JSON.stringify({ model, prompt: text })
+        });
+        const data = await response.json();
+        return data.embedding;
+    }
+}
@@ -0,0 +1,97 @@
+import { LLMProvider } from './LLMProvider';
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor() {
+        super({
+            id: 'openai',
+            label: 'OpenAI-compatible',
+            capabilities: { json: true, vision: true, embeddings: true },
+            settingsSchema: [
+                { key: 'baseUrl', label: 'Base URL', type: 'text', placeholder: 'http://10.x.x.x:8080/v1', defaultValue: import.meta.env.VITE_OPENAI_BASE_URL || 'http://localhost:8080/v1' },
+                { key: 'apiKey', label: 'API Key (optional)', type: 'password', placeholder: 'sk-...', defaultValue: '' },
+                // LM Studio only accepts json_schema; llama.cpp and vLLM accept json_object
+                { key: 'jsonMode', label: 'Send response_format json_object', type: 'checkbox', defaultValue: true }
+            ]
+        });
+    }
+
+    async listModels() {
+        const response = await this._request('/models', { method: 'GET' });
+        const data = await response.json();
+        return (data.data || []).map(m => ({ id: m.id, name: m.id, provider: this.id }));
+    }
+
+    async chat({ model, system, prompt, image, json, temperature = 0.2, signal, onContent }) {
+        const userContent = image
+            ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: image } }]
+            : prompt;
+
+        const response = await this._request('/chat/completions', {
+            method: 'POST',
+            signal,
+            body: JSON.stringify({
+                model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    { role: 'user', content: userContent }
+                ],
+                temperature,
+                stream: true,
+                ...(json && this.settings.jsonMode && { response_format: { type: 'json_object' } })
+            })
+        });
+
+        // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let content = '';
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+                const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    onContent?.(content);
+                }
+            }
+        }
+        return content;
+    }
+
+    async embed(model, text) {
+        const response = await this._request('/embeddings', {
+            method: 'POST',
+            body: JSON.stringify({ model, input: text })
+        });
+        const data = await response.json();
+        return data.data?.[0]?.embedding || null;
+    }
+
+    async _request(path, init) {
+        const response = await fetch(`${this.settings.baseUrl.replace(/\/+$/, '')}${path}`, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.settings.apiKey && { Authorization: `Bearer ${this.settings.apiKey}` })
+            }
+        });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`Error ${response.status}: ${detail || response.statusText}`);
+        }
+        return response;
+    }
+}
@@ -0,0 +1,21 @@
+import { analyzeMesh } from '../services/MeshAnalyzer';
+
+/**
+ * Mesh analysis Web Worker - keeps the edge, shell and self-intersection
+ * passes over large meshes off the main thread.
+ *
+ * Messages from the main thread:
+ *   { type: 'analyze', id, stlData }
+ *
+ * Messages to the main thread:
+ *   { id, report } or { id, error }
+ */
+
+self.onmessage = ({ data }) => {
+    if (data.type !== 'analyze') return;
+    try {
+        self.postMessage({ id: data.id, report: analyzeMesh(data.stlData) });
+    } catch (err) {
+        self.postMessage({ id: data.id, error: err.message });
+    }
+};
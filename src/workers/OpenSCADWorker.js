@@ -0,0 +1,270 @@
+import { createOpenSCAD } from 'openscad-wasm';
+import { loadFileList, openLibraryCache, fetchLibraryFile } from '../services/LibraryFiles';
+
+/**
+ * OpenSCAD Web Worker - runs the WASM compiler off the main thread so long
+ * CGAL renders don't freeze the UI. The main thread cancels a render by
+ * terminating the worker.
+ *
+ * Messages from the main thread:
+ *   { type: 'warmup' }                            prepare an instance before the first compile
+ *   { type: 'compile', id, code, outputs, args }  outputs: ['stl', 'svg', ...], args: extra CLI args (e.g. -O)
+ *
+ * Messages to the main thread:
+ *   { type: 'progress', id, stage, message }    stage: initializing | rendering | exporting
+ *   { type: 'stdout' | 'stderr', id, text }
+ *   { type: 'result', id, status, outputs, dimension, crash, logs, timings }
+ *       outputs: { [format]: Uint8Array } (transferred), dimension: '2D' | '3D' | null
+ *   { type: 'error', id, message, logs, timings }
+ *
+ * Requesting both a 3D and a 2D format (e.g. stl + svg) renders once and
+ * only the format matching the top-level object is written, which is how
+ * 2D designs are detected.
+ *
+ * An Emscripten instance can run main() only once, so every compile needs a
+ * fresh one. To keep that off the critical path the worker always keeps a
+ * spare instance with BOSL2 already written to its FS, and library sources
+ * are held in memory and in Cache Storage instead of being re-fetched.
+ */
+
+const INPUT_FILE = '/input.scad';
+const FORMATS_2D = ['svg', 'dxf'];
+
+const post = (message, transfer) => self.postMessage(message, transfer || []);
+
+// Job that receives print/printErr output of the instance currently running
+let activeJob = null;
+// Promise of the pre-warmed instance for the next compile
+let spare = null;
+// Promise of the library sources: { files: [{ path, content }], source, ms }
+let libraries = null;
+let librariesInMemory = false;
+
+/**
+ * Loads the BOSL2 sources once per worker.
+ * The file list comes from public/bosl2_files.json; see LibraryFiles for the cache.
+ */
+function loadLibraries() {
+    if (libraries) return libraries;
+
+    libraries = (async () => {
+        const startedAt = performance.now();
+        const fileList = await loadFileList();
+        if (!fileList) {
+            console.warn("Could not load bosl2_files.json. BOSL2 will not be available.");
+            return { files: [], source: 'none', ms: 0 };
+        }
+        const cache = await openLibraryCache(fileList.version);
+
+        let fromNetwork = 0;
+        const files = await Promise.all(fileList.files.map(async (filePath) => {
+            try {
+                const { text, fromCache } = await fetchLibraryFile(cache, filePath);
+                if (!fromCache) fromNetwork++;
+                return { path: `/BOSL2/${filePath}`, content: text };
+            } catch (err) {
+                console.warn(`Failed to load BOSL2 file: ${filePath}`, err);
+                return null;
+            }
+        }));
+
+        return {
+            files: files.filter(Boolean),
+            source: fromNetwork === 0 ? 'cache' : 'network',
+            ms: Math.round(performance.now() - startedAt)
+        };
+    })();
+
+    libraries.then(
+        () => { librariesInMemory = true; },
+        () => { libraries = null; } // Retry on the next instance if loading failed outright
+    );
+    return libraries;
+}
+
+/**
+ * Writes the library sources into the WASM virtual file system.
+ * include <BOSL2/std.scad> resolves against the root of the virtual FS.
+ */
+function writeLibraries(FS, files) {
+    for (const { path, content } of files) {
+        const parts = path.split('/').slice(1, -1);
+        let dir = '';
+        for (const part of parts) {
+            dir += '/' + part;
+            if (!FS.analyzePath(dir).exists) FS.mkdir(dir);
+        }
+        FS.writeFile(path, content);
+    }
+}
+
+/**
+ * Creates an OpenSCAD instance with the libraries preloaded
+ */
+async function prepareInstance() {
+    const startedAt = performance.now();
+    const wrapper = await createOpenSCAD({
+        noInitialRun: true,
+        print: (text) => activeJob && post({ type: 'stdout', id: activeJob.id, text }),
+        printErr: (text) => {
+            if (!activeJob) return;
+            activeJob.logs.push(text);
+            post({ type: 'stderr', id: activeJob.id, text });
+            const stage = detectStage(text);
+            if (stage) post({ type: 'progress', id: activeJob.id, stage, message: text });
+        }
+    });
+    const instance = wrapper.getInstance();
+    const instanceMs = Math.round(performance.now() - startedAt);
+
+    const inMemory = librariesInMemory;
+    const { files, source, ms } = await loadLibraries();
+    const writeStartedAt = performance.now();
+    writeLibraries(instance.FS, files);
+
+    return {
+        instance,
+        timings: {
+            instanceMs,
+            libraryFetchMs: inMemory ? 0 : ms,
+            libraryWriteMs: Math.round(performance.now() - writeStartedAt),
+            librarySource: inMemory ? 'memory' : source,
+            libraryFiles: files.length
+        }
+    };
+}
+
+/**
+ * Starts preparing the instance for the next compile in the background
+ */
+function warmSpare() {
+    if (spare) return;
+    const pending = prepareInstance();
+    spare = pending;
+    pending.then(
+        () => { pending.ready = true; },
+        () => { if (spare === pending) spare = null; }
+    );
+}
+
+/**
+ * Takes the spare instance (waiting for it if it is still warming up)
+ */
+async function acquireInstance(id) {
+    const warm = !!spare?.ready;
+    if (warm) {
+        post({ type: 'progress', id, stage: 'initializing', message: 'Using pre-warmed OpenSCAD instance...' });
+    } else {
+        post({ type: 'progress', id, stage: 'initializing', message: 'Initializing OpenSCAD and loading BOSL2...' });
+        warmSpare();
+    }
+
+    const pending = spare;
+    spare = null;
+    const prepared = await pending;
+    return { ...prepared, warm };
+}
+
+/**
+ * Maps OpenSCAD stderr lines to coarse progress stages
+ */
+function detectStage(text) {
+    if (/Rendering Polygon Mesh|Rendering cache|CGAL Cache|Manifold/i.test(text)) return 'rendering';
+    if (/Total rendering time|Top level object is/i.test(text)) return 'exporting';
+    return null;
+}
+
+/**
+ * Reads the dimensionality of the top-level object from OpenSCAD's summary
+ */
+function detectDimension(logs) {
+    const summary = logs.find(line => /^Top level object is a [23]D object/.test(line));
+    if (summary) return summary.match(/([23]D)/)[1];
+    // Without any matching output OpenSCAD only reports what the object is not
+    const mismatch = logs.find(line => /top level object is not a [23]D object/.test(line));
+    if (mismatch) return mismatch.includes('not a 2D') ? '3D' : '2D';
+    return null;
+}
+
+async function compile(id, code, formats = ['stl'], extraArgs = []) {
+    const requestedAt = performance.now();
+    const { instance, timings, warm } = await acquireInstance(id);
+    const job = { id, logs: [] };
+    activeJob = job;
+
+    instance.FS.writeFile(INPUT_FILE, code);
+    post({ type: 'progress', id, stage: 'rendering', message: 'Rendering...' });
+
+    const args = [INPUT_FILE, ...extraArgs];
+    formats.forEach(format => args.push('-o', `/output.${format}`));
+
+    let status = 0;
+    let crash = null;
+    const renderStartedAt = performance.now();
+    try {
+        status = instance.callMain(args) ?? 0;
+    } catch (e) {
+        // Emscripten throws ExitStatus when main() finishes with exit()
+        if (e && e.name === 'ExitStatus') {
+            status = e.status;
+        } else {
+            // Exporters can abort after earlier outputs were written; keep those
+            status = -1;
+            crash = e?.message || 'WASM Execution Error';
+        }
+    }
+
+    activeJob = null;
+    let logs = job.logs;
+    const finishedAt = performance.now();
+    const compileTimings = {
+        ...timings,
+        warm,
+        waitMs: Math.round(renderStartedAt - requestedAt),
+        renderMs: Math.round(finishedAt - renderStartedAt),
+        totalMs: Math.round(finishedAt - requestedAt)
+    };
+
+    const outputs = {};
+    for (const format of formats) {
+        const path = `/output.${format}`;
+        if (instance.FS.analyzePath(path).exists) {
+            const data = instance.FS.readFile(path);
+            if (data.length > 0) outputs[format] = data;
+        }
+    }
+
+    // When both a 2D and a 3D format are requested one of them always fails; that is not an error
+    const dimension = detectDimension(logs);
+    const bothDimensions = formats.some(f => FORMATS_2D.includes(f)) && formats.some(f => !FORMATS_2D.includes(f));
+    if (bothDimensions || (dimension && Object.keys(outputs).length > 0)) {
+        logs = logs.filter(line => !/top level object is not a [23]D object/.test(line));
+    }
+
+    if (crash && Object.keys(outputs).length === 0) {
+        post({ type: 'error', id, message: crash, logs: logs.join('\n'), timings: compileTimings });
+        return;
+    }
+
+    post(
+        { type: 'result', id, status, outputs, dimension, crash, logs: logs.join('\n'), timings: compileTimings },
+        Object.values(outputs).map(data => data.buffer)
+    );
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'warmup') {
+        warmSpare();
+        return;
+    }
+    if (data.type !== 'compile') return;
+    try {
+        await compile(data.id, data.code, data.outputs, data.args);
+    } catch (err) {
+        activeJob = null;
+        post({ type: 'error', id: data.id, message: err.message || 'General Compilation Failure', logs: '' });
+    } finally {
+        // Prepare the next instance while the UI handles the result
+        warmSpare();
+    }
+};